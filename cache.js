@@ -0,0 +1,662 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const readline = require('readline');
+const { pipeline } = require('stream/promises');
+const { loadIssueRegistry, getIssue } = require('./src/issue_registry');
+const { CHUNK_STATUS, LEGACY_CHUNK_TIMEZONE, loadExistingChunks, saveChunk } = require('./fetch_payment_data');
+const { STATUS_RANK, getCoveredSpans, getMonthRanges } = require('./compact_chunks');
+const { STORAGE_BACKENDS, STORAGE_BACKEND, readChunkEvents, removeChunk } = require('./src/chunk_store');
+const sqliteStore = require('./src/sqlite_store');
+const { readDailyAggregates, aggregateEventsByDay, mergeDailyAggregates } = require('./src/daily_aggregates');
+const { REPORT_TIMEZONE, toZonedDate, getToday, addDays, listDays } = require('./src/timezone');
+const { DATA_DIR } = require('./src/data_dir');
+const { envInt } = require('./src/env');
+
+// Housekeeping for the local cache (data/raw or the SQLite store, plus reports):
+//
+//   prune [--days N] [--issue KEY] [--dry-run]
+//       Drops cached chunks that ended more than N days ago (CACHE_RETENTION_DAYS,
+//       default 180) after adding their per-day counts to data/aggregates/, and
+//       deletes generated reports from data/processed/ older than that.
+//   export [--output FILE] [--issue KEY]
+//       Writes the cache (chunks, daily aggregates, applications_data.json) to one
+//       gzip NDJSON bundle whose first record is a manifest with per-chunk checksums.
+//   import FILE [--dry-run]
+//       Checks a bundle against its manifest, then merges it into the local cache.
+//       Chunks overlapping local ones are merged, so the cache never overlaps.
+
+const PROCESSED_DIR = path.join(DATA_DIR, 'processed');
+const EXPORTS_DIR = path.join(DATA_DIR, 'exports');
+const APPLICATIONS_FILE = path.join(DATA_DIR, 'manual', 'applications_data.json');
+
+const DEFAULT_RETENTION_DAYS = envInt('CACHE_RETENTION_DAYS', 180);
+const BUNDLE_FORMAT_VERSION = 1;
+const REPORT_FILE_PATTERN = /^payment_report_(\d{4}-\d{2}-\d{2})\.(html|pdf)$/;
+
+function rangesOverlap(a, b) {
+    return a.start <= b.end && b.start <= a.end;
+}
+
+// Whether an event falls on one of a range's days (in the timezone the range was cut in)
+function isInRange(event, range, timeZone = REPORT_TIMEZONE) {
+    const day = toZonedDate(event.timestamp, timeZone);
+    return day >= range.start && day <= range.end;
+}
+
+function hashEvents(events) {
+    return crypto.createHash('sha256').update(JSON.stringify(events)).digest('hex');
+}
+
+// Unlike the fetcher's loadChunkEvents, errors are thrown: a chunk we can't
+// read must not be deleted or merged as if it were empty
+async function readEvents(chunk) {
+    if (STORAGE_BACKEND === STORAGE_BACKENDS.SQLITE) {
+        return sqliteStore.readChunkEvents(chunk.issueId, chunk.start, chunk.end);
+    }
+    return readChunkEvents(chunk.path);
+}
+
+function deleteChunk(chunk) {
+    if (STORAGE_BACKEND === STORAGE_BACKENDS.SQLITE) {
+        sqliteStore.deleteChunk(chunk.issueId, chunk.start, chunk.end);
+    } else {
+        removeChunk(chunk.path);
+    }
+}
+
+function getIssues(specificIssue) {
+    if (!specificIssue) return loadIssueRegistry();
+
+    const issue = getIssue(specificIssue);
+    if (!issue) {
+        console.error(`Error: unknown issue "${specificIssue}" (see config/sentry_issues.json)`);
+        process.exit(1);
+    }
+    return [issue];
+}
+
+// Prune
+
+/**
+ * Summarize and drop an issue's chunks that ended before the cutoff
+ * Chunks that straddle the cutoff are kept whole, so the cache never claims a
+ * range it only partly holds.
+ * @returns {Promise<{removed, days}>}
+ */
+async function pruneIssue(issue, cutoff, dryRun) {
+    const old = loadExistingChunks(issue.id, issue.name).filter(chunk => chunk.end < cutoff);
+
+    console.log(`\n${issue.name}`);
+
+    if (old.length === 0) {
+        console.log(`  ✓ No chunks ending before ${cutoff}`);
+        return { removed: 0, days: 0 };
+    }
+
+    const events = [];
+    const seen = new Set();
+    const incompleteRanges = [];
+    const pruned = [];
+
+    for (const chunk of old) {
+        let chunkEvents;
+        try {
+            chunkEvents = await readEvents(chunk);
+        } catch (error) {
+            console.log(`  ⚠ Keeping unreadable chunk ${chunk.start} to ${chunk.end} (${error.message}) - run \`npm run verify\``);
+            continue;
+        }
+
+        for (const event of chunkEvents) {
+            if (event.eventId && seen.has(event.eventId)) continue;
+            seen.add(event.eventId);
+            events.push(event);
+        }
+
+        if (chunk.status !== CHUNK_STATUS.COMPLETE) {
+            incompleteRanges.push(chunk);
+        }
+        pruned.push(chunk);
+        console.log(`  - ${chunk.start} to ${chunk.end}: ${chunkEvents.length} events${chunk.status === CHUNK_STATUS.COMPLETE ? '' : ` (${chunk.status})`}`);
+    }
+
+    // Days of the pruned chunks without events are stored too, so they aren't fetched again
+    const coveredDays = pruned.flatMap(chunk => listDays(chunk.start, chunk.end));
+    const days = aggregateEventsByDay(issue, events, true, coveredDays);
+    for (const [day, summary] of Object.entries(days)) {
+        if (incompleteRanges.some(range => day >= range.start && day <= range.end)) {
+            summary.complete = false;
+        }
+    }
+
+    if (dryRun) {
+        console.log(`  Would remove ${pruned.length} chunk(s), keeping aggregates for ${Object.keys(days).length} day(s)`);
+        return { removed: pruned.length, days: Object.keys(days).length };
+    }
+
+    // Aggregates are saved before any chunk is deleted
+    const added = mergeDailyAggregates(issue, days);
+    pruned.forEach(deleteChunk);
+
+    console.log(`  ✓ Removed ${pruned.length} chunk(s), ${added} new day(s) of aggregates`);
+    return { removed: pruned.length, days: added };
+}
+
+function pruneReports(cutoff, dryRun) {
+    if (!fs.existsSync(PROCESSED_DIR)) return 0;
+
+    const old = fs.readdirSync(PROCESSED_DIR).filter(filename => {
+        const match = filename.match(REPORT_FILE_PATTERN);
+        return match && match[1] < cutoff;
+    });
+
+    console.log(`\nReports: ${old.length} older than ${cutoff}`);
+    for (const filename of old) {
+        console.log(`  - ${filename}`);
+        if (!dryRun) {
+            fs.unlinkSync(path.join(PROCESSED_DIR, filename));
+        }
+    }
+
+    return old.length;
+}
+
+async function prune(options) {
+    const { retentionDays, specificIssue, dryRun } = options;
+    const cutoff = addDays(getToday(), -retentionDays);
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`Cache Prune${dryRun ? ' (dry run)' : ''}`);
+    console.log('='.repeat(60));
+    console.log(`Retention: ${retentionDays} days (keeping data from ${cutoff})`);
+
+    let removed = 0;
+    for (const issue of getIssues(specificIssue)) {
+        removed += (await pruneIssue(issue, cutoff, dryRun)).removed;
+    }
+
+    const reports = specificIssue ? 0 : pruneReports(cutoff, dryRun);
+
+    console.log('\n' + '='.repeat(60));
+    if (dryRun) {
+        console.log(`${removed} chunk(s) and ${reports} report(s) would be removed. To apply, run without --dry-run`);
+    } else {
+        console.log(`✓ Removed ${removed} chunk(s) and ${reports} report(s)`);
+    }
+    console.log('='.repeat(60));
+}
+
+// Export
+
+function getChunkHeader(issue, chunk) {
+    return {
+        fetchDate: chunk.fetchDate,
+        fetchStatus: chunk.status,
+        lastCursor: chunk.lastCursor || null,
+        fetchError: chunk.fetchError || null,
+        schemaVersion: chunk.schemaVersion || issue.schema.version,
+        timezone: chunk.timezone
+    };
+}
+
+/**
+ * Build the bundle manifest (reads every chunk once to checksum it)
+ */
+async function buildManifest(issues) {
+    const manifest = {
+        type: 'bundle',
+        formatVersion: BUNDLE_FORMAT_VERSION,
+        createdAt: new Date().toISOString(),
+        chunks: [],
+        aggregates: [],
+        applications: null
+    };
+
+    for (const issue of issues) {
+        for (const chunk of loadExistingChunks(issue.id, issue.name)) {
+            let events;
+            try {
+                events = await readEvents(chunk);
+            } catch (error) {
+                console.log(`  ⚠ Skipping unreadable ${issue.name} chunk ${chunk.start} to ${chunk.end} (${error.message}) - run \`npm run verify\``);
+                continue;
+            }
+
+            manifest.chunks.push({
+                issueId: issue.id,
+                issueName: issue.name,
+                start: chunk.start,
+                end: chunk.end,
+                ...getChunkHeader(issue, chunk),
+                totalEvents: events.length,
+                sha256: hashEvents(events)
+            });
+        }
+
+        const days = Object.keys(readDailyAggregates(issue)).length;
+        if (days > 0) {
+            manifest.aggregates.push({ issueId: issue.id, days });
+        }
+    }
+
+    if (fs.existsSync(APPLICATIONS_FILE)) {
+        const applications = JSON.parse(fs.readFileSync(APPLICATIONS_FILE, 'utf8'));
+        manifest.applications = {
+            dateRangeStart: applications.dateRangeStart,
+            dateRangeEnd: applications.dateRangeEnd,
+            lastUpdated: applications.lastUpdated || null
+        };
+    }
+
+    return manifest;
+}
+
+async function* bundleRecords(issues, manifest) {
+    yield JSON.stringify(manifest) + '\n';
+
+    for (const entry of manifest.chunks) {
+        const issue = issues.find(i => i.id === entry.issueId);
+        const chunk = loadExistingChunks(issue.id, issue.name).find(c => c.start === entry.start && c.end === entry.end);
+        const events = await readEvents(chunk);
+
+        if (hashEvents(events) !== entry.sha256) {
+            throw new Error(`${issue.name} chunk ${entry.start} to ${entry.end} changed during export`);
+        }
+        yield JSON.stringify({ type: 'chunk', issueId: entry.issueId, start: entry.start, end: entry.end, events }) + '\n';
+    }
+
+    for (const { issueId } of manifest.aggregates) {
+        const days = readDailyAggregates(issues.find(i => i.id === issueId));
+        yield JSON.stringify({ type: 'aggregates', issueId, days }) + '\n';
+    }
+
+    if (manifest.applications) {
+        yield JSON.stringify({ type: 'applications', data: JSON.parse(fs.readFileSync(APPLICATIONS_FILE, 'utf8')) }) + '\n';
+    }
+}
+
+async function exportCache(options) {
+    const { specificIssue } = options;
+    const outputFile = path.resolve(options.outputFile
+        || path.join(EXPORTS_DIR, `cache_${getToday()}.ndjson.gz`));
+    const issues = getIssues(specificIssue);
+
+    console.log('\n' + '='.repeat(60));
+    console.log('Cache Export');
+    console.log('='.repeat(60));
+
+    const manifest = await buildManifest(issues);
+    const totalEvents = manifest.chunks.reduce((sum, c) => sum + c.totalEvents, 0);
+
+    fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+    const tempFile = `${outputFile}.${process.pid}.tmp`;
+
+    try {
+        await pipeline(bundleRecords(issues, manifest), zlib.createGzip(), fs.createWriteStream(tempFile));
+    } catch (error) {
+        if (fs.existsSync(tempFile)) fs.unlinkSync(tempFile);
+        throw error;
+    }
+    fs.renameSync(tempFile, outputFile);
+
+    console.log(`  ✓ ${manifest.chunks.length} chunk(s), ${totalEvents} events`);
+    console.log(`  ✓ Daily aggregates for ${manifest.aggregates.length} issue(s)`);
+    console.log(`  ${manifest.applications ? '✓' : '-'} applications_data.json${manifest.applications ? '' : ' (not cached)'}`);
+    console.log('\n' + '='.repeat(60));
+    console.log(`✓ Exported to ${outputFile}`);
+    console.log('='.repeat(60));
+}
+
+// Import
+
+async function* readBundle(bundleFile) {
+    const input = fs.createReadStream(bundleFile).pipe(zlib.createGunzip());
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    for await (const line of lines) {
+        if (line) {
+            yield JSON.parse(line);
+        }
+    }
+}
+
+/**
+ * Check every record of a bundle against its manifest before anything is written
+ * @returns {Promise<{manifest, problems: string[]}>}
+ */
+async function validateBundle(bundleFile) {
+    const problems = [];
+    let manifest = null;
+    const received = new Set();
+
+    try {
+        for await (const record of readBundle(bundleFile)) {
+            if (!manifest) {
+                if (record.type !== 'bundle') {
+                    throw new Error('first record is not a bundle manifest');
+                }
+                if (record.formatVersion > BUNDLE_FORMAT_VERSION) {
+                    throw new Error(`bundle format v${record.formatVersion} is newer than this version supports (v${BUNDLE_FORMAT_VERSION})`);
+                }
+                manifest = record;
+                continue;
+            }
+
+            if (record.type !== 'chunk') continue;
+
+            const key = `${record.issueId}:${record.start}_to_${record.end}`;
+            const entry = manifest.chunks.find(c => `${c.issueId}:${c.start}_to_${c.end}` === key);
+            const label = `chunk ${record.start} to ${record.end} (issue ${record.issueId})`;
+
+            if (!entry) {
+                problems.push(`${label} is not in the manifest`);
+            } else if (received.has(key)) {
+                problems.push(`${label} appears more than once`);
+            } else if (record.events.length !== entry.totalEvents) {
+                problems.push(`${label} has ${record.events.length} events, manifest says ${entry.totalEvents}`);
+            } else if (hashEvents(record.events) !== entry.sha256) {
+                problems.push(`${label} does not match its manifest checksum`);
+            } else if (record.events.some(e => !isInRange(e, record, entry.timezone || LEGACY_CHUNK_TIMEZONE))) {
+                problems.push(`${label} has events outside its range`);
+            }
+            received.add(key);
+        }
+    } catch (error) {
+        problems.push(`unreadable bundle: ${error.message}`);
+        return { manifest, problems };
+    }
+
+    if (!manifest) {
+        problems.push('bundle is empty');
+        return { manifest, problems };
+    }
+
+    for (const entry of manifest.chunks) {
+        if (!received.has(`${entry.issueId}:${entry.start}_to_${entry.end}`)) {
+            problems.push(`chunk ${entry.start} to ${entry.end} (issue ${entry.issueId}) is listed in the manifest but missing`);
+        }
+    }
+
+    return { manifest, problems };
+}
+
+// Local chunks overlapping the incoming range, plus anything overlapping those,
+// so the merged ranges can't overlap a chunk left in place
+function findOverlapGroup(existing, incoming) {
+    const group = [];
+    const ranges = [incoming];
+
+    let added = true;
+    while (added) {
+        added = false;
+        for (const chunk of existing) {
+            if (!group.includes(chunk) && ranges.some(range => rangesOverlap(chunk, range))) {
+                group.push(chunk);
+                ranges.push(chunk);
+                added = true;
+            }
+        }
+    }
+
+    return group;
+}
+
+// Prefer a chunk cut on the reporting timezone's days (others get re-fetched),
+// then the more complete chunk, then the newer schema, then the newer fetch
+function isBetterChunk(a, b) {
+    if ((a.timezone === REPORT_TIMEZONE) !== (b.timezone === REPORT_TIMEZONE)) return a.timezone === REPORT_TIMEZONE;
+    if (STATUS_RANK[a.status] !== STATUS_RANK[b.status]) return STATUS_RANK[a.status] < STATUS_RANK[b.status];
+    if ((a.schemaVersion || 0) !== (b.schemaVersion || 0)) return (a.schemaVersion || 0) > (b.schemaVersion || 0);
+    return (a.fetchDate || '') > (b.fetchDate || '');
+}
+
+function mergeEvents(...eventLists) {
+    const seen = new Set();
+    const merged = [];
+
+    for (const event of eventLists.flat()) {
+        if (event.eventId) {
+            if (seen.has(event.eventId)) continue;
+            seen.add(event.eventId);
+        }
+        merged.push(event);
+    }
+
+    return merged.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
+
+/**
+ * Merge one incoming chunk into the local cache
+ *   no overlap     - saved as is
+ *   same range     - events are combined, keeping the better chunk's status
+ *   partial overlap - the chunks involved are rewritten as calendar-month chunks,
+ *                    taking the worst status and earliest fetch date (as compact_chunks.js does)
+ * @returns {Promise<{action: 'new'|'merged'|'unchanged', detail: string}>}
+ */
+async function importChunk(issue, entry, events, dryRun) {
+    const incoming = {
+        start: entry.start,
+        end: entry.end,
+        status: entry.fetchStatus,
+        lastCursor: entry.lastCursor,
+        fetchError: entry.fetchError,
+        fetchDate: entry.fetchDate,
+        schemaVersion: entry.schemaVersion,
+        timezone: entry.timezone || LEGACY_CHUNK_TIMEZONE
+    };
+    const meta = chunk => ({
+        fetchStatus: chunk.status,
+        lastCursor: chunk.lastCursor || null,
+        fetchError: chunk.fetchError || null,
+        schemaVersion: chunk.schemaVersion,
+        timezone: chunk.timezone,
+        ...(chunk.fetchDate ? { fetchDate: chunk.fetchDate } : {})
+    });
+
+    const group = findOverlapGroup(loadExistingChunks(issue.id, issue.name), incoming);
+
+    if (group.length === 0) {
+        if (!dryRun) saveChunk(issue.id, issue.name, incoming.start, incoming.end, events, meta(incoming));
+        return { action: 'new', detail: `new (${events.length} events)` };
+    }
+
+    const localEvents = [];
+    for (const chunk of group) {
+        localEvents.push(await readEvents(chunk));
+    }
+
+    if (group.length === 1 && group[0].start === incoming.start && group[0].end === incoming.end) {
+        const local = group[0];
+        const winner = isBetterChunk(incoming, local) ? incoming : local;
+        // Events extracted with different schemas, or cut on different days, can't be mixed
+        const merged = incoming.schemaVersion === local.schemaVersion && incoming.timezone === local.timezone
+            ? mergeEvents(localEvents[0], events)
+            : (winner === incoming ? events : localEvents[0]);
+
+        if (winner === local && merged.length === localEvents[0].length) {
+            return { action: 'unchanged', detail: 'already cached' };
+        }
+        if (!dryRun) saveChunk(issue.id, issue.name, incoming.start, incoming.end, merged, meta(winner));
+        return { action: 'merged', detail: `merged with local chunk (${merged.length} events, ${winner.status})` };
+    }
+
+    const sources = [...group, incoming];
+    const sourceEvents = [...localEvents, events];
+    const planned = getMonthRanges(getCoveredSpans(sources)).map(range => {
+        const rangeSources = sources.filter(chunk => rangesOverlap(chunk, range));
+        const status = rangeSources.reduce(
+            (worst, c) => (STATUS_RANK[c.status] > STATUS_RANK[worst] ? c.status : worst),
+            CHUNK_STATUS.COMPLETE
+        );
+        return {
+            ...range,
+            status,
+            fetchError: status === CHUNK_STATUS.COMPLETE ? null : 'Merged from incomplete chunks by cache import',
+            fetchDate: rangeSources.map(c => c.fetchDate).filter(Boolean).sort()[0] || null,
+            schemaVersion: Math.min(...rangeSources.map(c => c.schemaVersion || issue.schema.version)),
+            // Any source cut on another timezone's days makes the merged chunk due for a re-fetch
+            timezone: rangeSources.map(c => c.timezone).find(tz => tz !== REPORT_TIMEZONE) || REPORT_TIMEZONE,
+            // Each source's events go by the days of its own timezone, as its range does,
+            // so none fall outside the ranges planned from those ranges
+            events: mergeEvents(...sources.map((chunk, i) => sourceEvents[i].filter(e => isInRange(e, range, chunk.timezone))))
+        };
+    });
+
+    if (!dryRun) {
+        // Write the merged chunks first, then remove the local ones they replace
+        const keep = new Set();
+        for (const p of planned) {
+            saveChunk(issue.id, issue.name, p.start, p.end, p.events, meta(p));
+            keep.add(`${p.start}_to_${p.end}`);
+        }
+        group.filter(c => !keep.has(`${c.start}_to_${c.end}`)).forEach(deleteChunk);
+    }
+
+    return { action: 'merged', detail: `merged with ${group.length} overlapping chunk(s) into ${planned.length} monthly chunk(s)` };
+}
+
+function importApplications(data, dryRun) {
+    if (fs.existsSync(APPLICATIONS_FILE)) {
+        const local = JSON.parse(fs.readFileSync(APPLICATIONS_FILE, 'utf8'));
+        if ((local.lastUpdated || '') >= (data.lastUpdated || '')) {
+            return 'kept local copy (same or newer)';
+        }
+    }
+
+    if (!dryRun) {
+        fs.mkdirSync(path.dirname(APPLICATIONS_FILE), { recursive: true });
+        fs.writeFileSync(APPLICATIONS_FILE, JSON.stringify(data, null, 2));
+    }
+    return `imported (${data.dateRangeStart} to ${data.dateRangeEnd})`;
+}
+
+async function importCache(options) {
+    const { bundleFile, dryRun } = options;
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`Cache Import${dryRun ? ' (dry run)' : ''}`);
+    console.log('='.repeat(60));
+
+    if (!bundleFile || !fs.existsSync(bundleFile)) {
+        console.error(`Error: bundle not found: ${bundleFile || '(none given)'}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    const { manifest, problems } = await validateBundle(bundleFile);
+    if (problems.length > 0) {
+        problems.forEach(problem => console.log(`  ✗ ${problem}`));
+        console.log(`\n✗ ${path.basename(bundleFile)} failed validation - nothing was imported`);
+        process.exitCode = 1;
+        return;
+    }
+    console.log(`✓ Validated ${manifest.chunks.length} chunk(s) from ${manifest.createdAt}`);
+
+    const counts = {};
+    for await (const record of readBundle(bundleFile)) {
+        if (record.type === 'chunk') {
+            const issue = getIssue(record.issueId);
+            const entry = manifest.chunks.find(c => c.issueId === record.issueId && c.start === record.start && c.end === record.end);
+            if (!issue) {
+                console.log(`  ⚠ Skipping ${entry.issueName} chunk ${record.start} to ${record.end}: issue is not in config/sentry_issues.json`);
+                continue;
+            }
+
+            let result;
+            try {
+                result = await importChunk(issue, entry, record.events, dryRun);
+            } catch (error) {
+                result = { action: 'skipped', detail: `skipped, a local chunk it overlaps is unreadable (${error.message}) - run \`npm run verify\`` };
+            }
+            console.log(`  - ${issue.name} ${record.start} to ${record.end}: ${result.detail}`);
+            counts[result.action] = (counts[result.action] || 0) + 1;
+        } else if (record.type === 'aggregates') {
+            const issue = getIssue(record.issueId);
+            if (!issue) continue;
+            const added = dryRun
+                ? Object.keys(record.days).filter(day => !readDailyAggregates(issue)[day]).length
+                : mergeDailyAggregates(issue, record.days);
+            console.log(`  - ${issue.name} daily aggregates: ${added} new day(s)`);
+        } else if (record.type === 'applications') {
+            console.log(`  - applications_data.json: ${importApplications(record.data, dryRun)}`);
+        }
+    }
+
+    console.log('\n' + '='.repeat(60));
+    const summary = Object.entries(counts).map(([result, n]) => `${n} ${result}`).join(', ') || 'no chunks';
+    console.log(dryRun
+        ? `Dry run (${summary}) - nothing was changed. To apply, run without --dry-run`
+        : `✓ Imported ${path.basename(bundleFile)} (${summary})`);
+    console.log('='.repeat(60));
+}
+
+function printUsage() {
+    console.log(`
+Usage: node cache.js <command> [options]
+
+Commands:
+  prune [--days N] [--issue KEY] [--dry-run]   Drop raw events older than the retention window
+  export [--output FILE] [--issue KEY]         Write the cache to a single bundle
+  import FILE [--dry-run]                      Validate a bundle and merge it into the cache
+`);
+}
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+
+    const options = {
+        retentionDays: DEFAULT_RETENTION_DAYS,
+        specificIssue: null,
+        dryRun: false,
+        outputFile: null,
+        bundleFile: null
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--days' && args[i + 1]) {
+            options.retentionDays = parseInt(args[i + 1], 10);
+            i++;
+        } else if (args[i] === '--issue' && args[i + 1]) {
+            options.specificIssue = args[i + 1];
+            i++;
+        } else if (args[i] === '--output' && args[i + 1]) {
+            options.outputFile = args[i + 1];
+            i++;
+        } else if (args[i] === '--dry-run') {
+            options.dryRun = true;
+        } else if (!args[i].startsWith('--')) {
+            options.bundleFile = args[i];
+        }
+    }
+
+    if (!Number.isInteger(options.retentionDays) || options.retentionDays < 1) {
+        console.error('Error: --days must be a positive number of days');
+        process.exit(1);
+    }
+
+    if (command === 'prune') {
+        await prune(options);
+    } else if (command === 'export') {
+        await exportCache(options);
+    } else if (command === 'import') {
+        await importCache(options);
+    } else {
+        printUsage();
+        process.exitCode = command ? 1 : 0;
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`\n✗ ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { pruneIssue, validateBundle, importChunk };
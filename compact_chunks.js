@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+
+const { loadIssueRegistry, getIssue } = require('./src/issue_registry');
+const { CHUNK_STATUS, loadExistingChunks, saveChunk } = require('./fetch_payment_data');
+const { iterateChunkEvents, removeChunk } = require('./src/chunk_store');
+const { REPORT_TIMEZONE, toZonedDate, addDays } = require('./src/timezone');
+
+// Chunks written by the migration (7 days) and the fetcher (30 days, anchored
+// to the day they were fetched) overlap, so the same events end up cached
+// several times. This rewrites an issue's cache into one chunk per calendar
+// month (clipped to the dates actually cached), dropping duplicate events.
+
+// Worst status wins when merging chunks
+const STATUS_RANK = {
+    [CHUNK_STATUS.COMPLETE]: 0,
+    [CHUNK_STATUS.PARTIAL]: 1,
+    [CHUNK_STATUS.FAILED]: 2
+};
+
+function getMonthEnd(dateStr) {
+    const date = new Date(dateStr + 'T00:00:00Z');
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).toISOString().split('T')[0];
+}
+
+// Merge chunk ranges into the continuous date spans they cover
+function getCoveredSpans(chunks) {
+    const spans = [];
+    const sorted = [...chunks].sort((a, b) => a.start.localeCompare(b.start));
+
+    for (const chunk of sorted) {
+        const last = spans[spans.length - 1];
+        if (last && chunk.start <= addDays(last.end, 1)) {
+            if (chunk.end > last.end) last.end = chunk.end;
+        } else {
+            spans.push({ start: chunk.start, end: chunk.end });
+        }
+    }
+
+    return spans;
+}
+
+// Split covered spans on calendar month boundaries
+function getMonthRanges(spans) {
+    const ranges = [];
+
+    for (const span of spans) {
+        let start = span.start;
+        while (start <= span.end) {
+            const monthEnd = getMonthEnd(start);
+            const end = monthEnd < span.end ? monthEnd : span.end;
+            ranges.push({ start, end });
+            start = addDays(end, 1);
+        }
+    }
+
+    return ranges;
+}
+
+function hasOverlaps(chunks) {
+    const sorted = [...chunks].sort((a, b) => a.start.localeCompare(b.start));
+    return sorted.some((chunk, i) => i > 0 && chunk.start <= sorted[i - 1].end);
+}
+
+/**
+ * Plan the compacted chunks for an issue
+ * Each new chunk takes the worst status, earliest fetch date and lowest schema
+ * version of the chunks it was built from (and a foreign timezone if any had
+ * one), so incomplete, stale or outdated data is still picked up by the fetcher.
+ */
+async function planCompaction(issue) {
+    const chunks = loadExistingChunks(issue.id, issue.name);
+    const ranges = getMonthRanges(getCoveredSpans(chunks));
+
+    const planned = ranges.map(range => ({ ...range, sources: [], events: [], seen: new Set() }));
+    let duplicates = 0;
+
+    for (const chunk of chunks) {
+        for (const target of planned) {
+            if (chunk.end < target.start || chunk.start > target.end) continue;
+            target.sources.push(chunk);
+        }
+
+        for await (const event of iterateChunkEvents(chunk.path)) {
+            const eventDate = toZonedDate(event.timestamp);
+            const target = planned.find(r => eventDate >= r.start && eventDate <= r.end);
+            if (!target) continue;
+
+            if (event.eventId) {
+                if (target.seen.has(event.eventId)) {
+                    duplicates++;
+                    continue;
+                }
+                target.seen.add(event.eventId);
+            }
+            target.events.push(event);
+        }
+    }
+
+    for (const target of planned) {
+        target.status = target.sources.reduce(
+            (worst, c) => (STATUS_RANK[c.status] > STATUS_RANK[worst] ? c.status : worst),
+            CHUNK_STATUS.COMPLETE
+        );
+        target.fetchDate = target.sources
+            .map(c => c.fetchDate)
+            .filter(Boolean)
+            .sort()[0] || null;
+        target.schemaVersion = Math.min(...target.sources.map(c => c.schemaVersion || issue.schema.version));
+        target.timezone = target.sources.map(c => c.timezone).find(tz => tz !== REPORT_TIMEZONE) || REPORT_TIMEZONE;
+        target.events.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    }
+
+    return { chunks, planned, duplicates };
+}
+
+async function compactIssue(issue, dryRun) {
+    const { chunks, planned, duplicates } = await planCompaction(issue);
+
+    console.log(`\n${issue.name}`);
+
+    if (chunks.length === 0) {
+        console.log('  No cached chunks');
+        return false;
+    }
+
+    // Chunks are matched on range, so the file format doesn't matter here
+    const alreadyCompact = !hasOverlaps(chunks)
+        && chunks.length === planned.length
+        && planned.every(p => chunks.some(c => c.start === p.start && c.end === p.end));
+
+    if (alreadyCompact) {
+        console.log(`  ✓ Already compact (${chunks.length} chunk(s))`);
+        return false;
+    }
+
+    console.log(`  ${chunks.length} chunk(s) → ${planned.length} monthly chunk(s), ${duplicates} duplicate event(s) dropped`);
+    planned.forEach(p => {
+        const note = p.status === CHUNK_STATUS.COMPLETE ? '' : ` (${p.status})`;
+        console.log(`  - ${p.start} to ${p.end}: ${p.events.length} events from ${p.sources.length} chunk(s)${note}`);
+    });
+
+    if (dryRun) return true;
+
+    // Write the new chunks first, then remove the old files they replace
+    // (saveChunk already replaces a same-range file in the other format)
+    const keep = new Set();
+    for (const p of planned) {
+        saveChunk(issue.id, issue.name, p.start, p.end, p.events, {
+            fetchStatus: p.status,
+            fetchError: p.status === CHUNK_STATUS.COMPLETE ? null : 'Merged from incomplete chunks by compact_chunks.js',
+            schemaVersion: p.schemaVersion,
+            timezone: p.timezone,
+            ...(p.fetchDate ? { fetchDate: p.fetchDate } : {})
+        });
+        keep.add(`${p.start}_to_${p.end}`);
+    }
+
+    for (const chunk of chunks) {
+        if (!keep.has(`${chunk.start}_to_${chunk.end}`)) {
+            removeChunk(chunk.path);
+        }
+    }
+
+    return true;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+
+    let specificIssue = null;
+    let dryRun = false;
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--issue' && args[i + 1]) {
+            specificIssue = args[i + 1];
+            i++;
+        } else if (args[i] === '--dry-run') {
+            dryRun = true;
+        }
+    }
+
+    let issues = loadIssueRegistry();
+    if (specificIssue) {
+        const issue = getIssue(specificIssue);
+        if (!issue) {
+            console.error(`Error: unknown issue "${specificIssue}" (see config/sentry_issues.json)`);
+            process.exit(1);
+        }
+        issues = [issue];
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`Chunk Compaction${dryRun ? ' (dry run)' : ''}`);
+    console.log('='.repeat(60));
+
+    let compacted = 0;
+    for (const issue of issues) {
+        if (await compactIssue(issue, dryRun)) compacted++;
+    }
+
+    console.log('\n' + '='.repeat(60));
+    if (compacted === 0) {
+        console.log('✓ Nothing to compact');
+    } else if (dryRun) {
+        console.log(`${compacted} issue(s) would be compacted. To apply, run without --dry-run`);
+    } else {
+        console.log(`✓ Compacted ${compacted} issue(s)`);
+    }
+    console.log('='.repeat(60));
+}
+
+if (require.main === module) {
+    main().catch(console.error);
+}
+
+module.exports = {
+    STATUS_RANK,
+    planCompaction,
+    getCoveredSpans,
+    getMonthRanges,
+    hasOverlaps
+};
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+
+const { loadIssueRegistry, getIssue } = require('./src/issue_registry');
+const { FORMATS, getChunkDir, listChunkFiles, convertChunk } = require('./src/chunk_store');
+
+// Rewrites cached chunks in place into another storage format - pretty JSON
+// ("json") or gzip-compressed NDJSON ("ndjson.gz"). Either format is read
+// transparently, so this is only about disk size and load speed.
+
+async function main() {
+    const args = process.argv.slice(2);
+
+    let specificIssue = null;
+    let format = FORMATS.NDJSON_GZ;
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--issue' && args[i + 1]) {
+            specificIssue = args[i + 1];
+            i++;
+        } else if (args[i] === '--format' && args[i + 1]) {
+            format = args[i + 1];
+            i++;
+        }
+    }
+
+    if (!Object.values(FORMATS).includes(format)) {
+        console.error(`Error: unknown format "${format}" (expected one of: ${Object.values(FORMATS).join(', ')})`);
+        process.exit(1);
+    }
+
+    let issues = loadIssueRegistry();
+    if (specificIssue) {
+        const issue = getIssue(specificIssue);
+        if (!issue) {
+            console.error(`Error: unknown issue "${specificIssue}" (see config/sentry_issues.json)`);
+            process.exit(1);
+        }
+        issues = [issue];
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`Chunk Conversion → ${format}`);
+    console.log('='.repeat(60));
+
+    let converted = 0;
+    for (const issue of issues) {
+        const chunks = listChunkFiles(getChunkDir(issue.id, issue.name));
+        console.log(`\n${issue.name}`);
+
+        let issueConverted = 0;
+        for (const chunk of chunks) {
+            if (await convertChunk(chunk, format)) {
+                console.log(`  ✓ ${chunk.filename} → ${format}`);
+                issueConverted++;
+            }
+        }
+
+        console.log(issueConverted > 0
+            ? `  Converted ${issueConverted} of ${chunks.length} chunk(s)`
+            : `  ✓ All ${chunks.length} chunk(s) already ${format}`);
+        converted += issueConverted;
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`✓ Converted ${converted} chunk(s)`);
+    if (format !== FORMATS.JSON) {
+        console.log(`Set CHUNK_FORMAT=${format} so new chunks are written the same way`);
+    }
+    console.log('='.repeat(60));
+}
+
+if (require.main === module) {
+    main().catch(console.error);
+}
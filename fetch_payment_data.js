@@ -4,26 +4,61 @@ require('dotenv').config();
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
-
-// Configuration - requires SENTRY_TOKEN environment variable
+const { sentryGet, getNextPageUrl, getSentryApiUrl } = require('./src/sentry_client');
+const { loadIssueRegistry, getIssue } = require('./src/issue_registry');
+const { extractEvent, DEFAULT_SCHEMA_VERSION } = require('./src/event_schema');
+const { isReplaying } = require('./src/http_fixtures');
+const { runPool } = require('./src/worker_pool');
+const {
+    STORAGE_BACKENDS,
+    STORAGE_BACKEND,
+    RAW_DIR,
+    getChunkDir,
+    readManifest,
+    listChunkFiles,
+    readChunkHeader,
+    checkChunkBody,
+    readChunkEvents,
+    writeChunk
+} = require('./src/chunk_store');
+const sqliteStore = require('./src/sqlite_store');
+const { DATA_DIR } = require('./src/data_dir');
+const { envInt } = require('./src/env');
+const { getPrunedDays } = require('./src/daily_aggregates');
+const {
+    REPORT_TIMEZONE,
+    getTimezoneOffsetMs,
+    toZonedDate,
+    getToday,
+    addDays: addDaysToDay,
+    listDays,
+    startOfDay,
+    endOfDay,
+    toIsoSeconds
+} = require('./src/timezone');
+
+// Configuration - requires SENTRY_TOKEN environment variable (except when replaying fixtures)
 const SENTRY_TOKEN = process.env.SENTRY_TOKEN;
-if (!SENTRY_TOKEN) {
-    console.error('Error: SENTRY_TOKEN environment variable is required');
-    process.exit(1);
-}
 const ORGANIZATION_SLUG = process.env.SENTRY_ORG || "xajeet";
-const PAYMENT_ERROR_ISSUE_ID = "6722248692";
-const PAYMENT_SUCCESS_ISSUE_ID = "6722249177";
 
-// Paths
-const BASE_DIR = __dirname;
-const DATA_DIR = path.join(BASE_DIR, 'data');
-const RAW_DIR = path.join(DATA_DIR, 'raw');
-
-// Chunk configuration - 30 days per chunk (single chunk for full period)
+// Chunk configuration - days not cached yet are fetched in chunks of up to 30 days
 const CHUNK_DAYS = 30;
 
+// When topping up a stale chunk, re-fetch this far before the previous fetch time
+// so events that were still being ingested at fetch time aren't missed
+const TOP_UP_OVERLAP_MS = 60 * 60 * 1000;
+
+// Chunks fetched at once across all issues (requests are still rate limited by sentry_client)
+const DEFAULT_CONCURRENCY = envInt('SENTRY_CONCURRENCY', 4);
+
+// A range that takes more pages or events than this is split in half (on day,
+// then hour, boundaries) and fetched as sub-ranges, each checkpointed when done
+const MAX_PAGES_PER_RANGE = parseInt(process.env.SENTRY_MAX_PAGES_PER_RANGE, 10) || 50;
+const MAX_EVENTS_PER_RANGE = parseInt(process.env.SENTRY_MAX_EVENTS_PER_RANGE, 10) || 5000;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
 // Ensure directories exist
 function ensureDir(dir) {
     if (!fs.existsSync(dir)) {
@@ -49,11 +84,12 @@ function addDays(date, days) {
     return result;
 }
 
+// Inclusive ranges of at most chunkDays days covering startDate to endDate, both included
 function getDateRanges(startDate, endDate, chunkDays = CHUNK_DAYS) {
     const ranges = [];
     let currentStart = new Date(startDate);
 
-    while (currentStart < endDate) {
+    while (currentStart <= endDate) {
         let currentEnd = addDays(currentStart, chunkDays - 1);
         if (currentEnd > endDate) {
             currentEnd = new Date(endDate);
@@ -70,248 +106,586 @@ function getDateRanges(startDate, endDate, chunkDays = CHUNK_DAYS) {
     return ranges;
 }
 
-// File utilities
-function getChunkDir(issueId, issueName) {
-    const dirName = `${issueName.toLowerCase().replace(/\s+/g, '_')}_${issueId}`;
-    return path.join(RAW_DIR, dirName);
-}
+// Chunk fetch statuses
+// complete - every page was fetched
+// partial  - some pages were fetched before an error; lastCursor marks where to resume
+// failed   - nothing could be fetched
+const CHUNK_STATUS = {
+    COMPLETE: 'complete',
+    PARTIAL: 'partial',
+    FAILED: 'failed'
+};
 
-function getChunkFilename(chunkDir, startDate, endDate) {
-    return path.join(chunkDir, `${startDate}_to_${endDate}.json`);
-}
+// Sub-ranges of an incomplete chunk (see fetchDateRangeChunk) are either
+// complete or pending; a pending one with a lastCursor was interrupted mid-way
+const SUB_RANGE_PENDING = 'pending';
 
-function loadExistingChunks(issueId, issueName) {
-    const chunkDir = getChunkDir(issueId, issueName);
+// Chunks written before the reporting timezone was configurable used UTC days
+const LEGACY_CHUNK_TIMEZONE = 'UTC';
 
-    if (!fs.existsSync(chunkDir)) {
-        return [];
+// A chunk whose events can't all be read counts as failed, so it is fetched again
+function readChunkStatus(chunkPath, manifestEntry = null) {
+    try {
+        const chunkData = readChunkHeader(chunkPath);
+        checkChunkBody(chunkPath, manifestEntry);
+        return {
+            // Chunks written before statuses were recorded are assumed complete
+            status: chunkData.fetchStatus || CHUNK_STATUS.COMPLETE,
+            lastCursor: chunkData.lastCursor || null,
+            fetchDate: chunkData.fetchDate || null,
+            fetchError: chunkData.fetchError || null,
+            schemaVersion: chunkData.schemaVersion || DEFAULT_SCHEMA_VERSION,
+            timezone: chunkData.timezone || LEGACY_CHUNK_TIMEZONE,
+            subRanges: chunkData.subRanges || null
+        };
+    } catch (error) {
+        return { status: CHUNK_STATUS.FAILED, lastCursor: null, fetchDate: null, fetchError: error.message, schemaVersion: null, timezone: null, subRanges: null };
     }
+}
 
-    const files = fs.readdirSync(chunkDir);
-    const chunks = files
-        .filter(f => f.endsWith('.json'))
-        .map(f => {
-            const match = f.match(/^(\d{4}-\d{2}-\d{2})_to_(\d{4}-\d{2}-\d{2})\.json$/);
-            if (match) {
-                return {
-                    filename: f,
-                    path: path.join(chunkDir, f),
-                    start: match[1],
-                    end: match[2]
-                };
-            }
-            return null;
-        })
-        .filter(Boolean);
+// A chunk is stale if its range hadn't finished yet when it was fetched
+// (dateRangeEnd on or after the fetch day), so later events are missing
+function isChunkStale(chunk) {
+    if (!chunk.fetchDate) return false;
+    return chunk.end >= toZonedDate(chunk.fetchDate);
+}
 
-    return chunks;
+function isChunkOlderThan(chunk, maxAgeHours) {
+    if (!chunk.fetchDate) return true;
+    return Date.now() - new Date(chunk.fetchDate).getTime() > maxAgeHours * 60 * 60 * 1000;
 }
 
-function saveChunk(issueId, issueName, startDate, endDate, events) {
+function loadExistingChunks(issueId, issueName) {
+    if (STORAGE_BACKEND === STORAGE_BACKENDS.SQLITE) {
+        return sqliteStore.listChunks(issueId).map(chunk => ({
+            issueId: chunk.issueId,
+            start: chunk.start,
+            end: chunk.end,
+            status: chunk.fetchStatus,
+            lastCursor: chunk.lastCursor,
+            fetchDate: chunk.fetchDate,
+            fetchError: chunk.fetchError,
+            schemaVersion: chunk.schemaVersion || DEFAULT_SCHEMA_VERSION,
+            timezone: chunk.timezone || LEGACY_CHUNK_TIMEZONE,
+            subRanges: chunk.subRanges
+        }));
+    }
+
     const chunkDir = getChunkDir(issueId, issueName);
-    ensureDir(chunkDir);
+    let manifest = { chunks: {} };
+    try {
+        manifest = readManifest(chunkDir);
+    } catch (error) {
+        // A corrupt manifest is reported by verify_chunks.js; chunks are still checked without it
+    }
 
-    const chunkFile = getChunkFilename(chunkDir, startDate, endDate);
+    return listChunkFiles(chunkDir).map(chunkFile => {
+        const { status, lastCursor, fetchDate, fetchError, schemaVersion, timezone, subRanges } = readChunkStatus(chunkFile.path, manifest.chunks[chunkFile.filename]);
+        return {
+            filename: chunkFile.filename,
+            path: chunkFile.path,
+            start: chunkFile.start,
+            end: chunkFile.end,
+            format: chunkFile.format,
+            status: status,
+            lastCursor: lastCursor,
+            fetchDate: fetchDate,
+            fetchError: fetchError,
+            schemaVersion: schemaVersion,
+            timezone: timezone,
+            subRanges: subRanges
+        };
+    });
+}
 
-    const chunkData = {
-        fetchDate: new Date().toISOString(),
+/**
+ * Write a chunk file
+ * @param {Object} meta - { fetchStatus, lastCursor, fetchError, schemaVersion, fetchDate, timezone, subRanges }
+ *   timezone is the zone whose days the range covers (REPORT_TIMEZONE unless
+ *   the events were copied from another chunk). Set meta.checkpoint when saving the progress of a fetch that is still running.
+ */
+function saveChunk(issueId, issueName, startDate, endDate, events, meta = {}) {
+    const {
+        fetchStatus = CHUNK_STATUS.COMPLETE,
+        lastCursor = null,
+        fetchError = null,
+        schemaVersion = DEFAULT_SCHEMA_VERSION,
+        fetchDate = new Date().toISOString(),
+        timezone = REPORT_TIMEZONE,
+        subRanges = null,
+        checkpoint = false
+    } = meta;
+
+    const header = {
+        fetchDate: fetchDate,
         issueId: issueId,
         issueName: issueName,
         dateRangeStart: startDate,
         dateRangeEnd: endDate,
-        totalEvents: events.length,
-        events: events
+        fetchStatus: fetchStatus,
+        lastCursor: lastCursor,
+        fetchError: fetchError,
+        schemaVersion: schemaVersion,
+        timezone: timezone,
+        // Only incomplete chunks fetched in sub-ranges have these, to resume from
+        ...(subRanges ? { subRanges: subRanges } : {}),
+        totalEvents: events.length
     };
 
-    fs.writeFileSync(chunkFile, JSON.stringify(chunkData, null, 2));
-    console.log(`  ✓ Saved chunk: ${startDate} to ${endDate} (${events.length} events)`);
-}
+    if (STORAGE_BACKEND === STORAGE_BACKENDS.SQLITE) {
+        sqliteStore.saveChunk(issueId, issueName, startDate, endDate, header, events);
+    } else {
+        // Written as CHUNK_FORMAT (pretty JSON by default, or gzip NDJSON)
+        writeChunk(getChunkDir(issueId, issueName), startDate, endDate, header, events);
+    }
 
-// API utilities
-async function fetchWithPagination(url, headers) {
-    return new Promise((resolve, reject) => {
-        https.get(url, { headers }, (res) => {
-            let data = '';
-
-            res.on('data', (chunk) => {
-                data += chunk;
-            });
-
-            res.on('end', () => {
-                try {
-                    const json = JSON.parse(data);
-                    const linkHeader = res.headers.link;
-                    resolve({ data: json, linkHeader });
-                } catch (e) {
-                    reject(e);
-                }
-            });
-        }).on('error', reject);
-    });
+    if (checkpoint) {
+        const done = subRanges.filter(r => r.status === CHUNK_STATUS.COMPLETE).length;
+        console.log(`    ↳ Checkpoint ${issueName} ${startDate} to ${endDate}: ${done}/${subRanges.length} sub-ranges (${events.length} events)`);
+    } else if (fetchStatus === CHUNK_STATUS.COMPLETE) {
+        console.log(`  ✓ Saved ${issueName} chunk: ${startDate} to ${endDate} (${events.length} events)`);
+    } else {
+        console.log(`  ⚠ Saved ${fetchStatus} ${issueName} chunk: ${startDate} to ${endDate} (${events.length} events) - will retry next run`);
+    }
 }
 
-function extractMinimalEventData(event, issueType) {
-    const user = event.user || {};
-    const userId = user.id || user.email || user.ip_address || 'anonymous';
-
-    const minimalEvent = {
-        timestamp: event.dateCreated || event.dateReceived || new Date().toISOString(),
-        eventId: event.id || event.eventID,
-        userId: userId
-    };
-
-    // Extract issue-specific fields
-    if (issueType === 'payment_error') {
-        const tags = event.tags || [];
-        for (const tag of tags) {
-            if (tag.key === 'paymentErrorReason') {
-                minimalEvent.paymentErrorReason = tag.value || 'Unknown';
-            } else if (tag.key === 'merchant_id') {
-                minimalEvent.merchant_id = tag.value;
-            } else if (tag.key === 'customerId') {
-                minimalEvent.customerId = tag.value;
-            } else if (tag.key === 'storeState') {
-                minimalEvent.storeState = tag.value;
-            } else if (tag.key === 'storeId') {
-                minimalEvent.storeId = tag.value;
-            }
-        }
-    } else if (issueType === 'payment_success') {
-        const tags = event.tags || [];
-        for (const tag of tags) {
-            if (tag.key === 'merchant_id') {
-                minimalEvent.merchant_id = tag.value || 'Unknown';
-                break;
-            }
+async function loadChunkEvents(chunk) {
+    try {
+        if (STORAGE_BACKEND === STORAGE_BACKENDS.SQLITE) {
+            return sqliteStore.readChunkEvents(chunk.issueId, chunk.start, chunk.end);
         }
+        return await readChunkEvents(chunk.path);
+    } catch (error) {
+        return [];
     }
-
-    return minimalEvent;
 }
 
-async function fetchDateRangeChunk(issueId, issueName, issueType, startDate, endDate) {
-    console.log(`\n  Fetching ${issueName}: ${startDate} to ${endDate}...`);
+function getCursorFromUrl(url) {
+    try {
+        return new URL(url).searchParams.get('cursor');
+    } catch (error) {
+        return null;
+    }
+}
 
-    // Use absolute date parameters for historical data
-    // Convert dates to ISO 8601 format for Sentry API
-    const startISO = `${startDate}T00:00:00Z`;
-    const endISO = `${endDate}T23:59:59Z`;
+// Split a sub-range in two on a day boundary, or an hour boundary once it's a
+// day or less (both in the reporting timezone). Returns null for a single hour,
+// which is always fetched whole.
+function splitSubRange(subRange) {
+    const start = new Date(subRange.start).getTime();
+    const end = new Date(subRange.end).getTime() + 1000; // end is the last second in range
+
+    for (const unit of [DAY_MS, HOUR_MS]) {
+        if (unit === DAY_MS && end - start <= DAY_MS) continue;
+        const offset = getTimezoneOffsetMs((start + end) / 2);
+        const middle = Math.floor(((start + end) / 2 + offset) / unit) * unit - offset;
+        if (middle > start && middle < end) {
+            return [
+                { start: subRange.start, end: toIsoSeconds(middle - 1000), status: SUB_RANGE_PENDING, lastCursor: null, events: 0 },
+                { start: toIsoSeconds(middle), end: subRange.end, status: SUB_RANGE_PENDING, lastCursor: null, events: 0 }
+            ];
+        }
+    }
 
-    const url = `https://sentry.io/api/0/organizations/${ORGANIZATION_SLUG}/issues/${issueId}/events/?full=true&start=${encodeURIComponent(startISO)}&end=${encodeURIComponent(endISO)}`;
+    return null;
+}
 
-    const headers = {
-        'Authorization': `Bearer ${SENTRY_TOKEN}`,
-        'Content-Type': 'application/json'
-    };
+/**
+ * Page through one sub-range, adding new events to the chunk's events
+ * Stops early with { split } once the sub-range proves too big (and can still
+ * be split), or with { error, cursor } if a request fails.
+ */
+async function fetchSubRange(issue, subRange, chunk) {
+    const { startDate, endDate, allEvents, seenEventIds } = chunk;
+    const label = chunk.split ? `${chunk.label} [${subRange.start} - ${subRange.end}]` : chunk.label;
+
+    let currentUrl = getSentryApiUrl(`/organizations/${ORGANIZATION_SLUG}/issues/${issue.id}/events/?full=true&start=${encodeURIComponent(subRange.start)}&end=${encodeURIComponent(subRange.end)}`);
+    if (subRange.lastCursor) {
+        currentUrl += `&cursor=${encodeURIComponent(subRange.lastCursor)}`;
+    }
 
-    const allEvents = [];
-    let currentUrl = url;
     let pageNum = 1;
+    let eventsInRange = 0;
 
     try {
         while (currentUrl) {
-            const { data, linkHeader } = await fetchWithPagination(currentUrl, headers);
+            const { data, linkHeader } = await sentryGet(currentUrl, { token: SENTRY_TOKEN });
 
             // Filter events by date range and extract minimal data
             for (const event of data) {
                 const eventDate = event.dateCreated || event.dateReceived;
                 if (eventDate) {
-                    const eventDateObj = new Date(eventDate);
-                    const eventDateStr = formatDate(eventDateObj);
+                    const eventDateStr = toZonedDate(eventDate);
 
                     // Check if event is within our target date range
                     if (eventDateStr >= startDate && eventDateStr <= endDate) {
-                        const minimalEvent = extractMinimalEventData(event, issueType);
+                        eventsInRange++;
+                        const minimalEvent = extractEvent(event, issue.schema);
+                        if (seenEventIds.has(minimalEvent.eventId)) continue;
+                        seenEventIds.add(minimalEvent.eventId);
                         allEvents.push(minimalEvent);
                     }
                 }
             }
 
-            console.log(`    Page ${pageNum}: ${allEvents.length} events in range so far`);
+            console.log(`    ${label} page ${pageNum}: ${allEvents.length} events in range so far`);
 
             // Parse Link header for next page
-            currentUrl = null;
-            if (linkHeader) {
-                const nextMatch = linkHeader.match(/<([^>]+)>;\s*rel="next"/);
-                if (nextMatch) {
-                    currentUrl = nextMatch[1];
-                    pageNum++;
+            currentUrl = getNextPageUrl(linkHeader);
+
+            if (data.length === 0) break;
+
+            // Too big to fetch in one go: fetch it as two smaller sub-ranges instead
+            // (events already seen are kept, and de-duplicated when seen again)
+            if (currentUrl && (pageNum >= MAX_PAGES_PER_RANGE || eventsInRange >= MAX_EVENTS_PER_RANGE)) {
+                const halves = splitSubRange(subRange);
+                if (halves) {
+                    console.log(`    ${label}: over ${pageNum >= MAX_PAGES_PER_RANGE ? `${MAX_PAGES_PER_RANGE} pages` : `${MAX_EVENTS_PER_RANGE} events`}, splitting at ${halves[1].start}`);
+                    return { split: halves };
                 }
             }
 
-            if (data.length === 0) break;
+            if (currentUrl) {
+                pageNum++;
+            }
         }
 
-        console.log(`  ✓ Fetched ${allEvents.length} events in date range`);
-        return allEvents;
+        return { events: eventsInRange };
 
     } catch (error) {
-        console.error(`  ✗ Error fetching chunk: ${error.message}`);
-        return [];
+        console.error(`  ✗ ${label}: error fetching chunk: ${error.message}`);
+        // Remember where we stopped so the next run can pick up from this page
+        return { error, cursor: getCursorFromUrl(currentUrl) || subRange.lastCursor || null };
     }
 }
 
-async function fetchMissingChunks(issueId, issueName, issueType, startDate, endDate) {
+/**
+ * Fetch all events for an issue in a date range
+ * The range is fetched as one or more sub-ranges: one that takes more than
+ * MAX_PAGES_PER_RANGE pages or MAX_EVENTS_PER_RANGE events is split in half
+ * (down to single days, then hours), and onCheckpoint(progress) is called after
+ * each sub-range finishes so the work so far can be saved.
+ * Pass resumeFrom ({ subRanges, events }) to continue an interrupted fetch,
+ * ({ cursor, events }) to continue a partial chunk saved without sub-ranges, or
+ * ({ since, events }) to top up a stale chunk with events newer than `since`.
+ * Returns { events, status, lastCursor, subRanges, error } - never throws.
+ */
+async function fetchDateRangeChunk(issue, startDate, endDate, resumeFrom = null, onCheckpoint = null) {
+    // Chunks are fetched concurrently, so every log line says which one it's about
+    const label = `${issue.name} ${startDate} to ${endDate}`;
+    console.log(`\n  Fetching ${label}...`);
+
+    const fullRange = { start: toIsoSeconds(startOfDay(startDate)), end: toIsoSeconds(endOfDay(endDate)) };
+    const chunk = { startDate, endDate, label, allEvents: [], seenEventIds: new Set(), split: false };
+
+    let subRanges;
+    if (resumeFrom && resumeFrom.subRanges) {
+        subRanges = resumeFrom.subRanges.map(r => ({ ...r }));
+    } else {
+        subRanges = [{
+            start: resumeFrom && resumeFrom.since ? toIsoSeconds(resumeFrom.since) : fullRange.start,
+            end: fullRange.end,
+            status: SUB_RANGE_PENDING,
+            lastCursor: resumeFrom && resumeFrom.cursor ? resumeFrom.cursor : null,
+            events: 0
+        }];
+    }
+
+    if (resumeFrom) {
+        for (const event of resumeFrom.events) {
+            chunk.allEvents.push(event);
+            chunk.seenEventIds.add(event.eventId);
+        }
+        if (resumeFrom.subRanges) {
+            const done = subRanges.filter(r => r.status === CHUNK_STATUS.COMPLETE).length;
+            console.log(`    Resuming with ${done}/${subRanges.length} sub-ranges done (${chunk.allEvents.length} events already cached)`);
+        } else if (resumeFrom.cursor) {
+            console.log(`    Resuming from cursor ${resumeFrom.cursor} (${chunk.allEvents.length} events already cached)`);
+        } else if (resumeFrom.since) {
+            console.log(`    Topping up events since ${resumeFrom.since} (${chunk.allEvents.length} events already cached)`);
+        }
+    }
+
+    const getProgress = (status, error) => {
+        const pending = subRanges.find(r => r.status !== CHUNK_STATUS.COMPLETE);
+        // A chunk-level cursor only makes sense for a query over the whole chunk
+        const wholeRange = subRanges.length === 1 && subRanges[0].start === fullRange.start;
+        return {
+            events: chunk.allEvents,
+            status,
+            lastCursor: pending && wholeRange ? pending.lastCursor : null,
+            subRanges: status === CHUNK_STATUS.COMPLETE ? null : subRanges,
+            error
+        };
+    };
+
+    for (let i = 0; i < subRanges.length; i++) {
+        const subRange = subRanges[i];
+        if (subRange.status === CHUNK_STATUS.COMPLETE) continue;
+
+        chunk.split = chunk.split || subRanges.length > 1;
+        const outcome = await fetchSubRange(issue, subRange, chunk);
+
+        if (outcome.split) {
+            subRanges.splice(i, 1, ...outcome.split);
+            chunk.split = true;
+            i--;
+            continue;
+        }
+
+        if (outcome.error) {
+            subRange.lastCursor = outcome.cursor;
+            const started = chunk.allEvents.length > 0 || subRanges.some(r => r.status === CHUNK_STATUS.COMPLETE);
+            return getProgress(started ? CHUNK_STATUS.PARTIAL : CHUNK_STATUS.FAILED, outcome.error.message);
+        }
+
+        subRange.status = CHUNK_STATUS.COMPLETE;
+        subRange.lastCursor = null;
+        subRange.events = outcome.events;
+
+        const remaining = subRanges.slice(i + 1).some(r => r.status !== CHUNK_STATUS.COMPLETE);
+        if (onCheckpoint && remaining) {
+            onCheckpoint(getProgress(CHUNK_STATUS.PARTIAL, null));
+        }
+    }
+
+    console.log(`  ✓ ${label}: fetched ${chunk.allEvents.length} events in date range${subRanges.length > 1 ? ` (${subRanges.length} sub-ranges)` : ''}`);
+    return getProgress(CHUNK_STATUS.COMPLETE, null);
+}
+
+/**
+ * Work out which chunks of an issue need fetching, without fetching them
+ * Planning goes day by day: a day inside a complete, current-timezone chunk
+ * that isn't stale or too old is cached, whatever the chunk's shape (a compacted
+ * month, a migrated week, a fetch from another period). Any other chunk holding
+ * an uncached day is fetched again over its own range - resumed from its
+ * cursor, topped up if stale, or from scratch - so it is replaced rather than
+ * overlapped. Days no chunk holds are fetched in new ranges of up to CHUNK_DAYS,
+ * except days pruned into daily aggregates.
+ * @returns {Array<{issue, range, existing, forced}>}
+ */
+function planMissingChunks(issue, startDate, endDate, options = {}) {
+    const { refresh = false, maxAgeHours = null } = options;
+    const { id: issueId, name: issueName } = issue;
+
     console.log(`\n${'='.repeat(60)}`);
-    console.log(`Fetching: ${issueName} (Issue #${issueId})`);
+    console.log(`Planning: ${issueName} (Issue #${issueId})`);
     console.log(`Date Range: ${startDate} to ${endDate}`);
     console.log('='.repeat(60));
 
-    // Get all date ranges
-    const allRanges = getDateRanges(parseDate(startDate), parseDate(endDate));
-    console.log(`\nTotal date ranges: ${allRanges.length}`);
-
     // Check existing chunks
     const existingChunks = loadExistingChunks(issueId, issueName);
-    const existingRanges = new Set(existingChunks.map(c => `${c.start}_to_${c.end}`));
 
-    console.log(`Existing chunks: ${existingChunks.length}`);
+    console.log(`\nExisting chunks: ${existingChunks.length}`);
     if (existingChunks.length > 0) {
         existingChunks.forEach(c => {
-            console.log(`  - ${c.start} to ${c.end}`);
+            let note = c.status === CHUNK_STATUS.COMPLETE ? '' : ` (${c.status})`;
+            if (c.timezone !== REPORT_TIMEZONE) {
+                note = ` (days in ${c.timezone})`;
+            } else if (c.status === CHUNK_STATUS.COMPLETE && isChunkStale(c)) {
+                note = ` (stale - fetched ${c.fetchDate})`;
+            }
+            console.log(`  - ${c.start} to ${c.end}${note}`);
         });
     }
 
-    // Identify missing ranges
-    const missingRanges = allRanges.filter(r => !existingRanges.has(`${r.start}_to_${r.end}`));
-    console.log(`\nMissing chunks: ${missingRanges.length}`);
+    const isTooOld = (existing) => maxAgeHours !== null && isChunkOlderThan(existing, maxAgeHours);
 
-    if (missingRanges.length === 0) {
+    // Decide whether a cached chunk's days can be used as they are
+    const isUsable = (existing) => !refresh
+        && existing.timezone === REPORT_TIMEZONE
+        && existing.status === CHUNK_STATUS.COMPLETE
+        && !isTooOld(existing)
+        && !isChunkStale(existing);
+
+    const days = listDays(startDate, endDate);
+    const cached = new Set();
+    for (const existing of existingChunks.filter(isUsable)) {
+        days.filter(day => day >= existing.start && day <= existing.end).forEach(day => cached.add(day));
+    }
+
+    // Days pruned from the cache (`npm run cache -- prune`) only have daily
+    // aggregates left, and are past Sentry's retention: never fetch them again
+    const prunedDays = Object.keys(getPrunedDays(issue, existingChunks, startDate, endDate));
+    prunedDays.forEach(day => cached.add(day));
+
+    const missingDays = new Set(days.filter(day => !cached.has(day)));
+    console.log(`\nDays cached: ${cached.size}/${days.length}${prunedDays.length > 0 ? ` (${prunedDays.length} pruned, kept as daily aggregates)` : ''}`);
+
+    const tasks = [];
+
+    // Chunks holding missing days - incomplete, stale, too old or cut on other days
+    const chunksToRefetch = existingChunks
+        .filter(c => !isUsable(c))
+        .sort((a, b) => a.start.localeCompare(b.start) || b.end.localeCompare(a.end));
+    for (const existing of chunksToRefetch) {
+        const chunkDays = [...missingDays].filter(day => day >= existing.start && day <= existing.end);
+        if (chunkDays.length === 0) continue;
+        chunkDays.forEach(day => missingDays.delete(day));
+
+        // Cached events from an older extraction schema, or cut on another
+        // timezone's day boundaries, can't be merged with new ones
+        const forced = refresh
+            || isTooOld(existing)
+            || existing.schemaVersion !== issue.schema.version
+            || existing.timezone !== REPORT_TIMEZONE;
+        tasks.push({ issue, range: { start: existing.start, end: existing.end }, existing, forced: Boolean(forced) });
+    }
+
+    // Days not in any chunk, in runs of consecutive days
+    const runs = [];
+    for (const day of days.filter(d => missingDays.has(d))) {
+        const last = runs[runs.length - 1];
+        if (last && addDaysToDay(last.end, 1) === day) {
+            last.end = day;
+        } else {
+            runs.push({ start: day, end: day });
+        }
+    }
+    for (const run of runs) {
+        for (const range of getDateRanges(parseDate(run.start), parseDate(run.end))) {
+            tasks.push({ issue, range, existing: null, forced: refresh });
+        }
+    }
+
+    console.log(`Missing chunks: ${tasks.length}${refresh ? ' (--refresh)' : ''}`);
+
+    if (tasks.length === 0) {
         console.log('✓ All data already cached!');
-        return;
     }
 
-    // Fetch missing chunks
-    for (let i = 0; i < missingRanges.length; i++) {
-        const range = missingRanges[i];
-        console.log(`\nFetching chunk ${i + 1}/${missingRanges.length}:`);
-
-        const events = await fetchDateRangeChunk(
-            issueId,
-            issueName,
-            issueType,
-            range.start,
-            range.end
-        );
-
-        if (events.length > 0) {
-            saveChunk(issueId, issueName, range.start, range.end, events);
+    return tasks.sort((a, b) => a.range.start.localeCompare(b.range.start));
+}
+
+/**
+ * Fetch and save one planned chunk
+ * @returns {Promise<{status, events}>}
+ */
+async function fetchPlannedChunk(task) {
+    const { issue, range, existing, forced } = task;
+
+    // Partial chunks resume from where the last run stopped; stale chunks are
+    // topped up with events since their last fetch. Forced refreshes start over.
+    // Cached events are only loaded here so queued tasks don't hold them in memory.
+    let resumeFrom = null;
+    if (existing && !forced) {
+        if (existing.status !== CHUNK_STATUS.COMPLETE && existing.subRanges) {
+            resumeFrom = { subRanges: existing.subRanges, events: await loadChunkEvents(existing) };
+        } else if (existing.status === CHUNK_STATUS.PARTIAL && existing.lastCursor) {
+            resumeFrom = { cursor: existing.lastCursor, events: await loadChunkEvents(existing) };
+        } else if (existing.status === CHUNK_STATUS.COMPLETE && isChunkStale(existing)) {
+            const since = new Date(new Date(existing.fetchDate).getTime() - TOP_UP_OVERLAP_MS);
+            resumeFrom = { since: since.toISOString(), events: await loadChunkEvents(existing) };
+        }
+    }
+
+    // Finished sub-ranges are saved as they complete, so an interrupted fetch resumes from there
+    const saveCheckpoint = (progress) => saveChunk(issue.id, issue.name, range.start, range.end, progress.events, {
+        fetchStatus: progress.status,
+        lastCursor: progress.lastCursor,
+        schemaVersion: issue.schema.version,
+        subRanges: progress.subRanges,
+        checkpoint: true
+    });
+
+    const result = await fetchDateRangeChunk(issue, range.start, range.end, resumeFrom, saveCheckpoint);
+
+    if (result.status === CHUNK_STATUS.COMPLETE && result.events.length === 0) {
+        console.log(`  ⚠ No ${issue.name} events found for ${range.start} to ${range.end}`);
+    }
+
+    saveChunk(issue.id, issue.name, range.start, range.end, result.events, {
+        fetchStatus: result.status,
+        lastCursor: result.lastCursor,
+        fetchError: result.error,
+        schemaVersion: issue.schema.version,
+        subRanges: result.subRanges
+    });
+
+    return { status: result.status, events: result.events.length };
+}
+
+/**
+ * Fetch every missing, incomplete or stale chunk for several issues through one
+ * bounded worker pool, printing per-issue progress as chunks finish
+ * @param {Object} options
+ * @param {boolean} options.refresh - Re-fetch every chunk in range, ignoring the cache
+ * @param {number} options.maxAgeHours - Re-fetch chunks fetched longer ago than this
+ * @param {number} options.concurrency - Chunks fetched at once (default SENTRY_CONCURRENCY or 4)
+ * @returns {Promise<Object>} { [issueKey]: { fetched, incomplete } }
+ */
+async function fetchMissingChunksForIssues(issues, startDate, endDate, options = {}) {
+    const { concurrency = DEFAULT_CONCURRENCY } = options;
+
+    if (!SENTRY_TOKEN && !isReplaying()) {
+        throw new Error('SENTRY_TOKEN environment variable is required');
+    }
+
+    const tasks = [];
+    const progress = {};
+    for (const issue of issues) {
+        const issueTasks = planMissingChunks(issue, startDate, endDate, options);
+        tasks.push(...issueTasks);
+        progress[issue.key] = { total: issueTasks.length, done: 0, incomplete: 0, events: 0 };
+    }
+
+    if (tasks.length > 0) {
+        console.log(`\nFetching ${tasks.length} chunk(s) across ${issues.length} issue(s), ${Math.min(concurrency, tasks.length)} at a time`);
+    }
+
+    await runPool(tasks, concurrency, async (task) => {
+        const result = await fetchPlannedChunk(task);
+        const issueProgress = progress[task.issue.key];
+
+        issueProgress.done++;
+        issueProgress.events += result.events;
+        if (result.status !== CHUNK_STATUS.COMPLETE) {
+            issueProgress.incomplete++;
+        }
+
+        const note = issueProgress.incomplete > 0 ? `, ${issueProgress.incomplete} incomplete` : '';
+        console.log(`  ▸ ${task.issue.name}: ${issueProgress.done}/${issueProgress.total} chunks (${issueProgress.events} events${note})`);
+    });
+
+    const results = {};
+    for (const issue of issues) {
+        const { total, incomplete } = progress[issue.key];
+        if (total === 0) {
+            // Nothing to fetch - already reported while planning
+        } else if (incomplete > 0) {
+            console.log(`\n⚠ Completed fetching ${issue.name} with ${incomplete} incomplete chunk(s)`);
         } else {
-            console.log(`  ⚠ No events found for this date range`);
-            // Still save empty chunk to mark as fetched
-            saveChunk(issueId, issueName, range.start, range.end, []);
+            console.log(`\n✓ Completed fetching ${issue.name}`);
         }
+        results[issue.key] = { fetched: total, incomplete };
     }
 
-    console.log(`\n✓ Completed fetching ${issueName}`);
+    return results;
+}
+
+/**
+ * Fetch every chunk in the date range that isn't cached, is incomplete, or is stale
+ * @param {Object} options - see fetchMissingChunksForIssues
+ */
+async function fetchMissingChunks(issue, startDate, endDate, options = {}) {
+    const results = await fetchMissingChunksForIssues([issue], startDate, endDate, options);
+    return results[issue.key];
 }
 
 async function main() {
+    if (!SENTRY_TOKEN) {
+        console.error('Error: SENTRY_TOKEN environment variable is required');
+        process.exit(1);
+    }
+
     const args = process.argv.slice(2);
 
     // Parse command line arguments
     let daysBack = 30;
     let specificIssue = null;
+    let refresh = false;
+    let maxAgeHours = null;
+    let concurrency = DEFAULT_CONCURRENCY;
 
     for (let i = 0; i < args.length; i++) {
         if (args[i] === '--days' && args[i + 1]) {
@@ -320,42 +694,54 @@ async function main() {
         } else if (args[i] === '--issue' && args[i + 1]) {
             specificIssue = args[i + 1];
             i++;
+        } else if (args[i] === '--refresh') {
+            refresh = true;
+        } else if (args[i] === '--max-age' && args[i + 1]) {
+            maxAgeHours = parseFloat(args[i + 1]);
+            if (Number.isNaN(maxAgeHours)) maxAgeHours = null;
+            i++;
+        } else if (args[i] === '--concurrency' && args[i + 1]) {
+            concurrency = parseInt(args[i + 1], 10) || DEFAULT_CONCURRENCY;
+            i++;
         }
     }
 
-    const endDate = new Date();
+    const endDate = parseDate(getToday());
     const startDate = addDays(endDate, -daysBack);
 
     console.log('\n' + '='.repeat(60));
     console.log('Payment Data Fetcher with Date-Range Chunking');
     console.log('='.repeat(60));
-    console.log(`Date Range: ${formatDate(startDate)} to ${formatDate(endDate)}`);
-    console.log(`Chunk Size: ${CHUNK_DAYS} days`);
+    console.log(`Date Range: ${formatDate(startDate)} to ${formatDate(endDate)} (${REPORT_TIMEZONE})`);
+    console.log(`Chunk Size: up to ${CHUNK_DAYS} days of uncached data (split above ${MAX_PAGES_PER_RANGE} pages or ${MAX_EVENTS_PER_RANGE} events)`);
+    console.log(`Concurrency: ${concurrency}`);
     console.log('='.repeat(60));
 
-    // Fetch data for both issues
-    if (!specificIssue || specificIssue === 'error') {
-        await fetchMissingChunks(
-            PAYMENT_ERROR_ISSUE_ID,
-            'Payment Error',
-            'payment_error',
-            formatDate(startDate),
-            formatDate(endDate)
-        );
+    // Fetch data for every registered issue (or just the one asked for)
+    let issues = loadIssueRegistry();
+    if (specificIssue) {
+        const issue = getIssue(specificIssue);
+        if (!issue) {
+            console.error(`Error: unknown issue "${specificIssue}" (see config/sentry_issues.json)`);
+            process.exit(1);
+        }
+        issues = [issue];
     }
 
-    if (!specificIssue || specificIssue === 'success') {
-        await fetchMissingChunks(
-            PAYMENT_SUCCESS_ISSUE_ID,
-            'Payment Success',
-            'payment_success',
-            formatDate(startDate),
-            formatDate(endDate)
-        );
-    }
+    const results = await fetchMissingChunksForIssues(
+        issues,
+        formatDate(startDate),
+        formatDate(endDate),
+        { refresh, maxAgeHours, concurrency }
+    );
+    const incomplete = Object.values(results).reduce((sum, r) => sum + r.incomplete, 0);
 
     console.log('\n' + '='.repeat(60));
-    console.log('✓ All data fetched successfully!');
+    if (incomplete > 0) {
+        console.log(`⚠ ${incomplete} chunk(s) incomplete - re-run to retry them`);
+    } else {
+        console.log('✓ All data fetched successfully!');
+    }
     console.log('='.repeat(60));
     console.log('\nTo generate a report, run:');
     console.log(`  node process_payment_report.js --start-date ${formatDate(startDate)} --end-date ${formatDate(endDate)}`);
@@ -366,8 +752,14 @@ if (require.main === module) {
 }
 
 module.exports = {
+    CHUNK_STATUS,
+    LEGACY_CHUNK_TIMEZONE,
     fetchMissingChunks,
+    fetchMissingChunksForIssues,
+    fetchDateRangeChunk,
+    saveChunk,
     loadExistingChunks,
+    planMissingChunks,
     getDateRanges,
     getChunkDir
 };
@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+
+const fs = require('fs');
+const http = require('http');
+const { verifyOAuthHeader } = require('./src/gravity_forms_auth');
+
+// A local stand-in for the Gravity Forms REST API v2 entries endpoint, for
+// checking what the fetcher sends without touching the live site:
+//
+//   node gravity_forms_stub.js [--port N] [--entries FILE]
+//   GRAVITY_FORMS_URL=http://127.0.0.1:8787 npm run fetch:gravity
+//
+// Requests are checked against GRAVITY_FORMS_KEY / GRAVITY_FORMS_SECRET with
+// verifyOAuthHeader (or as HTTP Basic auth) and get a 401 if the signature is
+// wrong or the credentials appear in the URL. FILE holds the entries to serve,
+// keyed by form ID ({ "4": [{ "id": "1", "date_created": "2026-01-05 12:00:00", ... }] });
+// without it every form is empty.
+
+const DEFAULT_PORT = 8787;
+
+function isAuthorized(req, url, credentials) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Basic ')) {
+        return Buffer.from(header.slice(6), 'base64').toString('utf8') === `${credentials.key}:${credentials.secret}`;
+    }
+    return verifyOAuthHeader(req.method, url, header, credentials);
+}
+
+// Entries of a form created on the search's days (date_created is UTC, as the API returns it)
+function findEntries(entriesByForm, params) {
+    const entries = params.get('form_ids')
+        .split(',')
+        .flatMap(formId => entriesByForm[formId] || []);
+
+    const search = params.get('search') ? JSON.parse(params.get('search')) : {};
+    return entries.filter(entry => {
+        const day = String(entry.date_created).slice(0, 10);
+        return (!search.start_date || day >= search.start_date) && (!search.end_date || day <= search.end_date);
+    });
+}
+
+/**
+ * Create (but don't start) the stub server
+ * @param {Object} options - { credentials: { key, secret }, entriesByForm }
+ */
+function createStubServer(options) {
+    const { credentials, entriesByForm = {} } = options;
+
+    return http.createServer((req, res) => {
+        const url = `http://${req.headers.host}${req.url}`;
+        const { pathname, searchParams } = new URL(url);
+
+        const send = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        if (req.method !== 'GET' || pathname !== '/wp-json/gf/v2/entries' || !searchParams.get('form_ids')) {
+            return send(404, { code: 'rest_no_route', message: 'No route was found matching the URL and request method' });
+        }
+
+        if (searchParams.has('consumer_key') || searchParams.has('consumer_secret')) {
+            console.log(`  ✗ ${req.method} ${req.url} - credentials in the URL`);
+            return send(401, { code: 'gform_rest_authentication_error', message: 'Credentials must not be sent in the URL' });
+        }
+        if (!isAuthorized(req, url, credentials)) {
+            console.log(`  ✗ ${req.method} ${req.url} - signature rejected`);
+            return send(401, { code: 'gform_rest_authentication_error', message: 'Invalid signature' });
+        }
+
+        let entries;
+        try {
+            entries = findEntries(entriesByForm, searchParams);
+        } catch (error) {
+            return send(400, { code: 'rest_invalid_param', message: error.message });
+        }
+
+        const pageSize = parseInt(searchParams.get('paging[page_size]'), 10) || 10;
+        const page = parseInt(searchParams.get('paging[current_page]'), 10) || 1;
+        const pageEntries = entries.slice((page - 1) * pageSize, page * pageSize);
+
+        console.log(`  ✓ ${req.method} ${req.url} - ${pageEntries.length} of ${entries.length} entries`);
+        send(200, { total_count: entries.length, entries: pageEntries });
+    });
+}
+
+function main() {
+    const args = process.argv.slice(2);
+
+    let port = DEFAULT_PORT;
+    let entriesFile = null;
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--port' && args[i + 1]) {
+            port = parseInt(args[i + 1], 10);
+            i++;
+        } else if (args[i] === '--entries' && args[i + 1]) {
+            entriesFile = args[i + 1];
+            i++;
+        }
+    }
+
+    const credentials = { key: process.env.GRAVITY_FORMS_KEY, secret: process.env.GRAVITY_FORMS_SECRET };
+    if (!credentials.key || !credentials.secret) {
+        console.error('Error: GRAVITY_FORMS_KEY and GRAVITY_FORMS_SECRET are required');
+        process.exit(1);
+    }
+
+    const entriesByForm = entriesFile ? JSON.parse(fs.readFileSync(entriesFile, 'utf8')) : {};
+
+    createStubServer({ credentials, entriesByForm }).listen(port, '127.0.0.1', () => {
+        console.log(`Gravity Forms stub listening on http://127.0.0.1:${port}`);
+        console.log(`  Serving ${Object.keys(entriesByForm).length} form(s); point GRAVITY_FORMS_URL here to use it`);
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    createStubServer
+};
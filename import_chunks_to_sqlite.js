@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+
+const { loadIssueRegistry, getIssue } = require('./src/issue_registry');
+const { getChunkDir, listChunkFiles, readChunkHeader, readChunkEvents } = require('./src/chunk_store');
+const sqliteStore = require('./src/sqlite_store');
+
+// Copies the chunk files in data/raw (JSON or NDJSON.gz) into the SQLite event
+// store, so STORAGE_BACKEND=sqlite starts from the existing cache. Safe to re-run:
+// chunks are replaced by range and events are unique per issue.
+
+async function main() {
+    const args = process.argv.slice(2);
+
+    let specificIssue = null;
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--issue' && args[i + 1]) {
+            specificIssue = args[i + 1];
+            i++;
+        }
+    }
+
+    let issues = loadIssueRegistry();
+    if (specificIssue) {
+        const issue = getIssue(specificIssue);
+        if (!issue) {
+            console.error(`Error: unknown issue "${specificIssue}" (see config/sentry_issues.json)`);
+            process.exit(1);
+        }
+        issues = [issue];
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log('Import Chunks → SQLite');
+    console.log('='.repeat(60));
+
+    let importedChunks = 0;
+    let failedChunks = 0;
+
+    for (const issue of issues) {
+        const chunks = listChunkFiles(getChunkDir(issue.id, issue.name));
+        console.log(`\n${issue.name}: ${chunks.length} chunk(s)`);
+
+        // Oldest first, so where chunks overlap the newer chunk owns the shared events
+        for (const chunk of chunks) {
+            try {
+                const header = readChunkHeader(chunk.path);
+                const events = await readChunkEvents(chunk.path);
+                sqliteStore.saveChunk(issue.id, issue.name, chunk.start, chunk.end, header, events);
+                console.log(`  ✓ ${chunk.filename} (${events.length} events)`);
+                importedChunks++;
+            } catch (error) {
+                console.error(`  ✗ ${chunk.filename}: ${error.message}`);
+                failedChunks++;
+            }
+        }
+    }
+
+    sqliteStore.closeDatabase();
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`✓ Imported ${importedChunks} chunk(s)${failedChunks > 0 ? `, ${failedChunks} failed` : ''}`);
+    console.log('Set STORAGE_BACKEND=sqlite to fetch into and report from the database');
+    console.log('='.repeat(60));
+}
+
+if (require.main === module) {
+    main().catch(console.error);
+}
@@ -0,0 +1,51 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+
+const { runMigrations, detectVersions, getPendingMigrations } = require('./src/migrations');
+
+// Brings the on-disk cache (chunk files and applications_data.json) up to the
+// latest version. Every file a migration touches is copied to
+// data/backups/<timestamp>/<migration id>/ first.
+//
+//   --dry-run  show what each pending migration would change
+//   --status   only print the detected versions and pending migrations
+
+async function main() {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const statusOnly = args.includes('--status');
+
+    console.log('\n' + '='.repeat(60));
+    console.log(`Cache Migrations${dryRun ? ' (dry run)' : ''}`);
+    console.log('='.repeat(60));
+
+    if (statusOnly) {
+        const versions = detectVersions();
+        Object.entries(versions).forEach(([target, version]) => console.log(`  ${target}: v${version}`));
+        const pending = getPendingMigrations(versions);
+        console.log(pending.length > 0
+            ? `\nPending: ${pending.map(m => m.id).join(', ')}`
+            : '\n✓ Cache is up to date');
+        return;
+    }
+
+    const { applied } = await runMigrations({ dryRun });
+
+    console.log('\n' + '='.repeat(60));
+    if (dryRun) {
+        console.log('Dry run - nothing was changed. Run without --dry-run to apply.');
+    } else if (applied.length === 0) {
+        console.log('✓ Cache is up to date');
+    } else {
+        console.log(`✓ Applied ${applied.length} migration(s): ${applied.join(', ')}`);
+    }
+    console.log('='.repeat(60));
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(`\n✗ ${error.message}`);
+        process.exitCode = 1;
+    });
+}
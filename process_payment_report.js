@@ -4,16 +4,37 @@ require('dotenv').config();
 
 const fs = require('fs');
 const path = require('path');
+const { fetchIssueTotals, fetchIssueAggregates } = require('./src/sentry_aggregates');
+const { loadIssueRegistry, getIssuesForSection } = require('./src/issue_registry');
+const { getExtractedKeys } = require('./src/event_schema');
+const {
+    STORAGE_BACKENDS,
+    STORAGE_BACKEND,
+    getChunkDir,
+    listChunkFiles,
+    readChunkHeader,
+    iterateChunkEvents
+} = require('./src/chunk_store');
+const sqliteStore = require('./src/sqlite_store');
+const { DATA_DIR } = require('./src/data_dir');
+const { aggregateEventsByDay, getPrunedDays, summarizeDays } = require('./src/daily_aggregates');
+const { APPLICATIONS_SCHEMA_VERSION, FORM_STATUS, describeMissingDays } = require('./src/fetch_gravity_forms');
+const { WEEKDAYS, buildHeatmap, buildHeatmapFromCounts, formatHourRange } = require('./src/time_heatmap');
+const { INTERVALS, buildSeries, buildSeriesFromCounts, listBuckets } = require('./src/time_series');
+const {
+    REPORT_TIMEZONE,
+    toZonedDate,
+    getToday,
+    startOfDay,
+    endOfDay,
+    formatDateTime,
+    getTimezoneLabel
+} = require('./src/timezone');
 
 // Configuration
 const ORGANIZATION_SLUG = process.env.SENTRY_ORG || "xajeet";
-const PAYMENT_ERROR_ISSUE_ID = "6722248692";
-const PAYMENT_SUCCESS_ISSUE_ID = "6722249177";
 
 // Paths
-const BASE_DIR = __dirname;
-const DATA_DIR = path.join(BASE_DIR, 'data');
-const RAW_DIR = path.join(DATA_DIR, 'raw');
 const MANUAL_DIR = path.join(DATA_DIR, 'manual');
 const PROCESSED_DIR = path.join(DATA_DIR, 'processed');
 
@@ -31,48 +52,186 @@ function parseDate(dateStr) {
     return new Date(dateStr + 'T00:00:00Z');
 }
 
-// File utilities
-function getChunkDir(issueId, issueName) {
-    const dirName = `${issueName.toLowerCase().replace(/\s+/g, '_')}_${issueId}`;
-    return path.join(RAW_DIR, dirName);
+// Text from outside the report (API errors, form entries) goes into the HTML escaped
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
-function loadChunksInDateRange(issueId, issueName, startDate, endDate) {
+/**
+ * Load an issue's cached events in the date range
+ * @returns {Promise<{events, unreadable}>} unreadable lists chunks skipped because
+ *   they couldn't be read, in the shape findIncompleteChunks reports
+ */
+async function loadChunksInDateRange(issueId, issueName, startDate, endDate) {
+    // Events are unique per issue in the database, so there's nothing to de-duplicate
+    if (STORAGE_BACKEND === STORAGE_BACKENDS.SQLITE) {
+        const events = sqliteStore.loadEventsInRange(issueId, startDate, endDate);
+        console.log(`  Loaded ${events.length} events from SQLite`);
+        return { events, unreadable: [] };
+    }
+
     const chunkDir = getChunkDir(issueId, issueName);
 
     if (!fs.existsSync(chunkDir)) {
         console.log(`⚠ No data found for ${issueName}`);
-        return [];
+        return { events: [], unreadable: [] };
     }
 
-    const files = fs.readdirSync(chunkDir).filter(f => f.endsWith('.json'));
-    const allEvents = [];
-
-    for (const file of files) {
-        const match = file.match(/^(\d{4}-\d{2}-\d{2})_to_(\d{4}-\d{2}-\d{2})\.json$/);
-        if (!match) continue;
-
-        const chunkStart = match[1];
-        const chunkEnd = match[2];
+    // Check if chunk overlaps with requested date range
+    const chunks = listChunkFiles(chunkDir).filter(chunk => chunk.end >= startDate && chunk.start <= endDate);
 
-        // Check if chunk overlaps with requested date range
-        if (chunkEnd >= startDate && chunkStart <= endDate) {
-            const chunkPath = path.join(chunkDir, file);
-            const chunkData = JSON.parse(fs.readFileSync(chunkPath, 'utf8'));
+    const allEvents = [];
+    const unreadable = [];
+    // Chunks can overlap (different chunk sizes, or ranges anchored to different
+    // fetch days), so the same event may be cached more than once
+    const seenEventIds = new Set();
+    let duplicates = 0;
+    let previous = null;
+
+    for (const chunk of chunks) {
+        if (previous && chunk.start <= previous.end) {
+            console.log(`  ⚠ Overlapping chunks: ${previous.start} to ${previous.end} and ${chunk.start} to ${chunk.end}`);
+        }
+        if (!previous || chunk.end > previous.end) {
+            previous = chunk;
+        }
 
-            // Filter events by date range
-            for (const event of chunkData.events) {
-                const eventDate = event.timestamp.split('T')[0]; // YYYY-MM-DD
+        // Filter events by date range (NDJSON chunks are streamed, not loaded whole).
+        // A corrupt chunk (e.g. a truncated NDJSON body behind a readable header)
+        // is skipped as a whole rather than failing the report, and returned so
+        // the report can flag it.
+        const inRange = [];
+        let chunkEvents = 0;
+        try {
+            for await (const event of iterateChunkEvents(chunk.path)) {
+                chunkEvents++;
+                const eventDate = toZonedDate(event.timestamp); // YYYY-MM-DD in REPORT_TIMEZONE
                 if (eventDate >= startDate && eventDate <= endDate) {
-                    allEvents.push(event);
+                    inRange.push(event);
+                }
+            }
+        } catch (error) {
+            console.log(`  ✗ Skipping corrupt chunk ${chunk.filename}: ${error.message} - run \`npm run verify\``);
+            unreadable.push({ issueName, start: chunk.start, end: chunk.end, status: 'corrupt', error: error.message });
+            continue;
+        }
+
+        for (const event of inRange) {
+            if (event.eventId) {
+                if (seenEventIds.has(event.eventId)) {
+                    duplicates++;
+                    continue;
                 }
+                seenEventIds.add(event.eventId);
             }
+            allEvents.push(event);
+        }
+
+        console.log(`  Loaded chunk: ${chunk.start} to ${chunk.end} (${chunkEvents} events)`);
+    }
+
+    if (duplicates > 0) {
+        console.log(`  ⚠ Skipped ${duplicates} duplicate ${issueName} events from overlapping chunks - run \`npm run compact\` to clean up the cache`);
+    }
+
+    return { events: allEvents, unreadable };
+}
+
+function listCachedChunks(issueId, issueName) {
+    return STORAGE_BACKEND === STORAGE_BACKENDS.SQLITE
+        ? sqliteStore.listChunks(issueId)
+        : listChunkFiles(getChunkDir(issueId, issueName));
+}
+
+// Load cached events for every registered issue, keyed by issue key, along
+// with the chunks that couldn't be read (for findAllIncompleteChunks) and the
+// daily aggregates of days pruned from the cache (for buildReportData)
+async function loadIssueEvents(startDate, endDate) {
+    const eventsByIssue = {};
+    const unreadableChunks = [];
+    const prunedDaysByIssue = {};
+
+    for (const issue of loadIssueRegistry()) {
+        const { events, unreadable } = await loadChunksInDateRange(issue.id, issue.name, startDate, endDate);
+        eventsByIssue[issue.key] = events;
+        unreadableChunks.push(...unreadable);
+        console.log(`✓ Loaded ${events.length} ${issue.name} events`);
+
+        prunedDaysByIssue[issue.key] = getPrunedDays(issue, listCachedChunks(issue.id, issue.name), startDate, endDate);
+        const prunedCount = Object.keys(prunedDaysByIssue[issue.key]).length;
+        if (prunedCount > 0) {
+            console.log(`  + ${prunedCount} pruned day(s) from the daily aggregates`);
+        }
+    }
+
+    return { eventsByIssue, unreadableChunks, prunedDaysByIssue };
+}
+
+// Combine the events of every issue feeding a report section
+function getSectionEvents(eventsByIssue, section) {
+    return getIssuesForSection(section).flatMap(issue => eventsByIssue[issue.key] || []);
+}
+
+// Fetch Sentry aggregates (counts, hourly series, tag breakdowns) for every
+// registered issue, keyed by issue key - the alternative to loadIssueEvents
+async function loadIssueAggregates(startDate, endDate) {
+    const aggregatesByIssue = {};
+
+    for (const issue of loadIssueRegistry()) {
+        aggregatesByIssue[issue.key] = await fetchIssueAggregates(issue, startDate, endDate);
+    }
+
+    return aggregatesByIssue;
+}
+
+// Find partial/failed chunks for every registered issue, adding the chunks
+// loadIssueEvents couldn't read - a truncated NDJSON chunk's header can still
+// say it is complete
+function findAllIncompleteChunks(startDate, endDate, unreadableChunks = []) {
+    const incomplete = loadIssueRegistry().flatMap(issue => findIncompleteChunks(issue.id, issue.name, startDate, endDate));
+    const key = chunk => `${chunk.issueName}:${chunk.start}:${chunk.end}`;
+    const flagged = new Set(incomplete.map(key));
+    return incomplete.concat(unreadableChunks.filter(chunk => !flagged.has(key(chunk))));
+}
 
-            console.log(`  Loaded chunk: ${chunkStart} to ${chunkEnd} (${chunkData.events.length} events)`);
+// Find chunks overlapping the date range that were not fully fetched (partial or
+// failed) or can't be read (corrupt)
+function findIncompleteChunks(issueId, issueName, startDate, endDate) {
+    const incomplete = [];
+
+    for (const chunk of listCachedChunks(issueId, issueName)) {
+        if (chunk.end < startDate || chunk.start > endDate) continue;
+
+        // Only the header is read - no need to load the events
+        let chunkData;
+        try {
+            chunkData = chunk.path ? readChunkHeader(chunk.path) : chunk;
+        } catch (error) {
+            chunkData = { fetchStatus: 'corrupt', fetchError: error.message };
+        }
+        const status = chunkData.fetchStatus || 'complete';
+
+        if (status !== 'complete') {
+            incomplete.push({
+                issueName,
+                start: chunk.start,
+                end: chunk.end,
+                status,
+                error: chunkData.fetchError || null
+            });
         }
     }
 
-    return allEvents;
+    if (incomplete.length > 0) {
+        console.log(`⚠ ${issueName}: ${incomplete.length} incomplete chunk(s) in range - counts may be low`);
+    }
+
+    return incomplete;
 }
 
 function loadApplicationsData() {
@@ -86,6 +245,10 @@ function loadApplicationsData() {
     const data = JSON.parse(fs.readFileSync(applicationsFile, 'utf8'));
     console.log(`  ✓ Loaded applications data (${data.dateRangeStart} to ${data.dateRangeEnd})`);
 
+    if ((data.schemaVersion || 1) < APPLICATIONS_SCHEMA_VERSION) {
+        console.log(`  ⚠ applications_data.json is schema v${data.schemaVersion || 1} (current v${APPLICATIONS_SCHEMA_VERSION}) - run \`npm run migrate\``);
+    }
+
     // Log if manual payment data is present
     if (data.manualPaymentData) {
         console.log(`  ✓ Manual payment data found`);
@@ -94,18 +257,135 @@ function loadApplicationsData() {
     return data;
 }
 
+// Percentages in the funnel are null where there was nothing to convert from
+function formatRate(rate) {
+    return rate === null ? '-' : `${rate}%`;
+}
+
+// Heatmap rows run Monday to Sunday
+const HEATMAP_WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+/**
+ * Hour-by-weekday heatmap table with its peak-hour call-outs (see src/time_heatmap.js)
+ * @param {Object} heatmap - from buildHeatmap()
+ * @param {Array<number>} rgb - cell colour, shaded by count
+ * @param {string} quietLabel - what the quietest window is called out as
+ */
+function renderHeatmap(heatmap, rgb, quietLabel = 'Quietest window') {
+    if (heatmap.total === 0) {
+        return `            <div class="section-subtitle">Nothing recorded in the period.</div>`;
+    }
+
+    const max = Math.max(...heatmap.grid.flat());
+    const cell = count => {
+        if (count === 0) return '<td></td>';
+        const alpha = 0.1 + 0.9 * (count / max);
+        return `<td style="background-color: rgba(${rgb.join(', ')}, ${alpha.toFixed(2)});${alpha > 0.6 ? ' color: white;' : ''}">${count}</td>`;
+    };
+    const slot = peak => `${WEEKDAYS[peak.weekday]} ${formatHourRange(peak.hour)} (${peak.count.toLocaleString()})`;
+
+    return `            <ul class="heatmap-callouts">
+                <li><strong>Peak hours:</strong> ${heatmap.peaks.map(slot).join(', ')}</li>
+                <li><strong>Busiest hour of the day:</strong> ${formatHourRange(heatmap.busiestHour.hour)} (${heatmap.busiestHour.count.toLocaleString()} over the period)</li>
+                <li><strong>Busiest day:</strong> ${WEEKDAYS[heatmap.busiestWeekday.weekday]} (${heatmap.busiestWeekday.count.toLocaleString()})</li>
+                <li><strong>${quietLabel}:</strong> ${formatHourRange(heatmap.quietWindow.startHour, heatmap.quietWindow.hours)} (${heatmap.quietWindow.count.toLocaleString()} over the period)</li>
+            </ul>
+            <table class="heatmap">
+                <thead>
+                    <tr>
+                        <th></th>
+${Array.from({ length: 24 }, (_, hour) => `                        <th>${String(hour).padStart(2, '0')}</th>`).join('\n')}
+                        <th>Total</th>
+                    </tr>
+                </thead>
+                <tbody>
+${HEATMAP_WEEKDAY_ORDER.map(weekday => `                    <tr>
+                        <th>${WEEKDAYS[weekday]}</th>
+                        ${heatmap.grid[weekday].map(cell).join('')}
+                        <td><strong>${heatmap.grid[weekday].reduce((sum, count) => sum + count, 0).toLocaleString()}</strong></td>
+                    </tr>`).join('\n')}
+                </tbody>
+            </table>
+            <div class="section-subtitle" style="margin-top: 10px;">Hours in ${heatmap.timezone}</div>`;
+}
+
+/**
+ * Rows of the trend charts and tables, one per day or hour of the report period
+ * Payments are left out when they have no series (manual payment data); charted
+ * forms are null outside the applications data's own date range.
+ * @returns {Array<{bucket, success, errors, errorRate, forms}>}
+ */
+function buildTrendRows(errorData, successData, applicationsData, startDate, endDate, interval) {
+    const key = interval === INTERVALS.HOUR ? 'hourly' : 'daily';
+    const hasPayments = Boolean(errorData.series && successData.series);
+    const forms = applicationsData && applicationsData.series ? Object.values(applicationsData.series) : [];
+    const inApplicationsRange = bucket => bucket.slice(0, 10) >= applicationsData.dateRangeStart && bucket.slice(0, 10) <= applicationsData.dateRangeEnd;
+
+    return listBuckets(startDate, endDate, interval).map(bucket => {
+        const row = { bucket, forms: forms.map(form => inApplicationsRange(bucket) ? form[key][bucket] || 0 : null) };
+        if (hasPayments) {
+            row.success = successData.series[key][bucket] || 0;
+            row.errors = errorData.series[key][bucket] || 0;
+            // Errors among all payment attempts (%), null when there were none
+            const attempts = row.success + row.errors;
+            row.errorRate = attempts > 0 ? Math.round((row.errors / attempts) * 1000) / 10 : null;
+        }
+        return row;
+    });
+}
+
+// Chart.js data for buildTrendRows() rows
+function toTrendChartData(rows) {
+    return {
+        labels: rows.map(row => row.bucket),
+        success: rows.map(row => row.success),
+        errors: rows.map(row => row.errors),
+        errorRate: rows.map(row => row.errorRate),
+        forms: rows.length > 0 ? rows[0].forms.map((_, i) => rows.map(row => row.forms[i])) : []
+    };
+}
+
+// Collapsible table of the numbers behind the trend charts
+function renderTrendTable(rows, title, bucketLabel, showPayments, formNames) {
+    return `            <details class="trend-table">
+                <summary>${title}</summary>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>${bucketLabel}</th>
+${showPayments ? `                            <th>Payment Success</th>
+                            <th>Payment Errors</th>
+                            <th>Error Rate</th>
+` : ''}${formNames.map(name => `                            <th>${name}</th>`).join('\n')}
+                        </tr>
+                    </thead>
+                    <tbody>
+${rows.map(row => `                        <tr>
+                            <td>${row.bucket}</td>
+${showPayments ? `                            <td>${row.success.toLocaleString()}</td>
+                            <td>${row.errors.toLocaleString()}</td>
+                            <td class="percentage">${formatRate(row.errorRate)}</td>
+` : ''}${row.forms.map(count => `                            <td>${count === null ? '-' : count.toLocaleString()}</td>`).join('\n')}
+                        </tr>`).join('\n')}
+                    </tbody>
+                </table>
+            </details>`;
+}
+
 // Data processing
+function groupErrorReason(reason) {
+    // Group errors ending with "is not a valid card number"
+    if (reason.endsWith('is not a valid card number')) {
+        return 'Invalid card number (grouped)';
+    }
+    return reason;
+}
+
 function processPaymentErrors(events) {
     const reasonData = {};
-    const invalidCardNumberKey = 'Invalid card number (grouped)';
 
     for (const event of events) {
-        let reason = event.paymentErrorReason || 'Unknown';
-
-        // Group errors ending with "is not a valid card number"
-        if (reason.endsWith('is not a valid card number')) {
-            reason = invalidCardNumberKey;
-        }
+        const reason = groupErrorReason(event.paymentErrorReason || 'Unknown');
 
         if (!reasonData[reason]) {
             reasonData[reason] = {
@@ -203,6 +483,214 @@ function processMidRulesErrors(events) {
     };
 }
 
+// Generic breakdown for issues without a dedicated report section:
+// totals plus a count per value of each extracted tag/field
+function processAdditionalIssues(eventsByIssue) {
+    return getIssuesForSection('additional').map(issue => {
+        const events = eventsByIssue[issue.key] || [];
+        const totalEvents = events.length;
+
+        const breakdowns = getExtractedKeys(issue.schema).map(tag => {
+            const valueData = {};
+
+            for (const event of events) {
+                const value = event[tag] || 'Unknown';
+                if (!valueData[value]) {
+                    valueData[value] = { count: 0, users: new Set() };
+                }
+                valueData[value].count++;
+                valueData[value].users.add(event.userId);
+            }
+
+            const rows = Object.entries(valueData)
+                .map(([value, data]) => ({
+                    value,
+                    count: data.count,
+                    uniqueUsers: data.users.size,
+                    percentage: totalEvents > 0 ? parseFloat(((data.count / totalEvents) * 100).toFixed(2)) : 0
+                }))
+                .sort((a, b) => b.count - a.count);
+
+            return { tag, rows };
+        });
+
+        return {
+            key: issue.key,
+            issueId: issue.id,
+            name: issue.name,
+            totalEvents,
+            totalUsers: new Set(events.map(e => e.userId)).size,
+            breakdowns
+        };
+    });
+}
+
+// Aggregate equivalents of the processors above - same output shapes, built
+// from the per-tag breakdowns returned by Sentry instead of raw events.
+// Unique users are summed across grouped values, so they're an upper bound.
+function mergeBreakdownRows(aggregates, tagKey, groupValue = value => value) {
+    const merged = {};
+
+    for (const aggregate of aggregates) {
+        for (const row of (aggregate.breakdowns[tagKey] || [])) {
+            const value = groupValue(String(row.value));
+            if (!merged[value]) {
+                merged[value] = { count: 0, uniqueUsers: 0 };
+            }
+            merged[value].count += row.count;
+            merged[value].uniqueUsers += row.uniqueUsers;
+        }
+    }
+
+    return Object.entries(merged)
+        .map(([value, data]) => ({ value, count: data.count, uniqueUsers: data.uniqueUsers }))
+        .sort((a, b) => b.count - a.count);
+}
+
+function processPaymentErrorAggregates(aggregates) {
+    return mergeBreakdownRows(aggregates, 'paymentErrorReason', groupErrorReason)
+        .map(({ value, count, uniqueUsers }) => ({ reason: value, count, uniqueUsers }));
+}
+
+function processPaymentSuccessAggregates(aggregates) {
+    return mergeBreakdownRows(aggregates, 'merchant_id')
+        .map(({ value, count, uniqueUsers }) => ({ merchantId: value, count, uniqueUsers }));
+}
+
+function processAdditionalIssueAggregates(aggregatesByIssue) {
+    return getIssuesForSection('additional').map(issue => {
+        const aggregate = aggregatesByIssue[issue.key];
+        const totalEvents = aggregate ? aggregate.totalEvents : 0;
+
+        const breakdowns = Object.keys(aggregate ? aggregate.breakdowns : {}).map(tag => ({
+            tag,
+            rows: mergeBreakdownRows([aggregate], tag).map(row => ({
+                ...row,
+                percentage: totalEvents > 0 ? parseFloat(((row.count / totalEvents) * 100).toFixed(2)) : 0
+            }))
+        }));
+
+        return {
+            key: issue.key,
+            issueId: issue.id,
+            name: issue.name,
+            totalEvents,
+            totalUsers: aggregate ? aggregate.uniqueUsers : 0,
+            breakdowns
+        };
+    });
+}
+
+// Build the error section data: percentages, plus top 12 reasons + "Others" for the charts
+// Percentages are of totalEvents, which defaults to the sum of the reasons
+function buildErrorData(errorReasons, totalUsers, totalEvents = errorReasons.reduce((sum, item) => sum + item.count, 0)) {
+    const withPercentage = item => ({
+        ...item,
+        percentage: totalEvents > 0
+            ? parseFloat(((item.count / totalEvents) * 100).toFixed(2))
+            : 0
+    });
+
+    const topErrorReasons = errorReasons.slice(0, 12);
+    const otherErrorReasons = errorReasons.slice(12);
+    const chartReasons = topErrorReasons.map(withPercentage);
+
+    // If there are more than 12 reasons, combine the rest into "Others" for the chart
+    if (otherErrorReasons.length > 0) {
+        chartReasons.push(withPercentage({
+            reason: 'Others',
+            count: otherErrorReasons.reduce((sum, item) => sum + item.count, 0),
+            uniqueUsers: otherErrorReasons.reduce((sum, item) => sum + item.uniqueUsers, 0)
+        }));
+    }
+
+    return {
+        totalEvents,
+        totalUsers,
+        chartReasons,
+        // For table: show all error reasons
+        reasons: errorReasons.map(withPercentage)
+    };
+}
+
+function buildSuccessData(merchants, totalUsers, totalEvents = merchants.reduce((sum, item) => sum + item.count, 0)) {
+    return {
+        totalEvents,
+        totalUsers,
+        merchants: merchants.map(item => ({
+            ...item,
+            percentage: totalEvents > 0
+                ? parseFloat(((item.count / totalEvents) * 100).toFixed(2))
+                : 0
+        }))
+    };
+}
+
+// Everything generateHTMLReport needs, from cached events. Days pruned from
+// the cache only have daily aggregates, so a period with any is built like
+// aggregate mode, from the per-day summaries of both.
+function buildReportData(eventsByIssue, prunedDaysByIssue = {}) {
+    if (Object.values(prunedDaysByIssue).some(days => Object.keys(days).length > 0)) {
+        const aggregatesByIssue = {};
+        for (const issue of loadIssueRegistry()) {
+            const cachedDays = aggregateEventsByDay(issue, eventsByIssue[issue.key] || []);
+            aggregatesByIssue[issue.key] = summarizeDays(issue, { ...cachedDays, ...prunedDaysByIssue[issue.key] });
+        }
+        return buildReportDataFromAggregates(aggregatesByIssue);
+    }
+
+    const errorEvents = getSectionEvents(eventsByIssue, 'payment_errors');
+    const successEvents = getSectionEvents(eventsByIssue, 'payment_success');
+
+    const errorData = buildErrorData(processPaymentErrors(errorEvents), new Set(errorEvents.map(e => e.userId)).size);
+    const successData = buildSuccessData(processPaymentSuccess(successEvents), new Set(successEvents.map(e => e.userId)).size);
+    const errorTimes = errorEvents.map(e => e.timestamp);
+    const successTimes = successEvents.map(e => e.timestamp);
+    errorData.heatmap = buildHeatmap(errorTimes);
+    successData.heatmap = buildHeatmap(successTimes);
+    errorData.series = buildSeries(errorTimes);
+    successData.series = buildSeries(successTimes);
+
+    return {
+        errorData,
+        successData,
+        midRulesData: processMidRulesErrors(errorEvents),
+        additionalIssues: processAdditionalIssues(eventsByIssue)
+    };
+}
+
+// Everything generateHTMLReport needs, from Sentry aggregates
+// (no MID Rules details - those need individual events)
+function buildReportDataFromAggregates(aggregatesByIssue) {
+    const sectionAggregates = section => getIssuesForSection(section)
+        .map(issue => aggregatesByIssue[issue.key])
+        .filter(Boolean);
+
+    const errorAggregates = sectionAggregates('payment_errors');
+    const successAggregates = sectionAggregates('payment_success');
+    const sumUsers = aggregates => aggregates.reduce((sum, a) => sum + a.uniqueUsers, 0);
+    // Totals (and so percentages) come from the count query, not the possibly truncated breakdowns
+    const sumEvents = aggregates => aggregates.reduce((sum, a) => sum + a.totalEvents, 0);
+
+    const errorData = buildErrorData(processPaymentErrorAggregates(errorAggregates), sumUsers(errorAggregates), sumEvents(errorAggregates));
+    const successData = buildSuccessData(processPaymentSuccessAggregates(successAggregates), sumUsers(successAggregates), sumEvents(successAggregates));
+
+    // Heatmaps and trends from Sentry's hourly buckets
+    const errorHourly = errorAggregates.flatMap(a => a.hourly || []);
+    const successHourly = successAggregates.flatMap(a => a.hourly || []);
+    errorData.heatmap = buildHeatmapFromCounts(errorHourly);
+    successData.heatmap = buildHeatmapFromCounts(successHourly);
+    errorData.series = buildSeriesFromCounts(errorHourly);
+    successData.series = buildSeriesFromCounts(successHourly);
+
+    return {
+        errorData,
+        successData,
+        midRulesData: null,
+        additionalIssues: processAdditionalIssueAggregates(aggregatesByIssue)
+    };
+}
+
 function processPaymentSuccess(events) {
     const merchantData = {};
 
@@ -232,23 +720,24 @@ function processPaymentSuccess(events) {
 }
 
 // Report generation
-function generateHTMLReport(errorData, successData, applicationsData, startDate, endDate, skipAnalysis = false, midRulesData = null) {
-    const today = new Date();
-    const outputFile = path.join(PROCESSED_DIR, `payment_report_${formatDate(today)}.html`);
+function generateHTMLReport(errorData, successData, applicationsData, startDate, endDate, skipAnalysis = false, midRulesData = null, dataWarnings = [], additionalIssues = [], periodLabel = null) {
+    const today = getToday();
+    const errorIssueIds = getIssuesForSection('payment_errors').map(issue => `#${issue.id}`).join(', ');
+    const successIssueIds = getIssuesForSection('payment_success').map(issue => `#${issue.id}`).join(', ');
+    const outputFile = path.join(PROCESSED_DIR, `payment_report_${today}.html`);
 
     const start = parseDate(startDate);
     const end = parseDate(endDate);
 
     const formatDateLong = (date) => {
-        return date.toLocaleString('en-US', {
+        return formatDateTime(date, {
             year: 'numeric',
             month: 'short',
             day: 'numeric',
             hour: '2-digit',
             minute: '2-digit',
             second: '2-digit',
-            hour12: false,
-            timeZone: 'UTC',
+            hourCycle: 'h23',
             timeZoneName: 'short'
         });
     };
@@ -260,15 +749,38 @@ function generateHTMLReport(errorData, successData, applicationsData, startDate,
         summaryStart = parseDate(applicationsData.dateRangeStart);
         summaryEnd = parseDate(applicationsData.dateRangeEnd);
         daysDiff = Math.ceil((summaryEnd - summaryStart) / (1000 * 60 * 60 * 24)) + 1;
-        timeframeText = `${formatDateLong(summaryStart)} to ${formatDateLong(summaryEnd)}`;
+        timeframeText = `${formatDateLong(startOfDay(applicationsData.dateRangeStart))} to ${formatDateLong(endOfDay(applicationsData.dateRangeEnd))}`;
     } else {
         summaryStart = start;
         summaryEnd = end;
         daysDiff = Math.ceil((end - start) / (1000 * 60 * 60 * 24)) + 1;
-        timeframeText = `${formatDateLong(start)} to ${formatDateLong(end)}`;
+        timeframeText = `${formatDateLong(startOfDay(startDate))} to ${formatDateLong(endOfDay(endDate))}`;
     }
 
-    const todayFormatted = today.toLocaleDateString('en-US', { month: '2-digit', day: '2-digit', year: 'numeric' });
+    const todayFormatted = formatDateTime(new Date(), { month: '2-digit', day: '2-digit', year: 'numeric' });
+
+    // Gravity Forms metrics built from forms whose fetch didn't cover every day
+    // (applications_data.json written before formStatus existed has no flags)
+    const formStatus = (applicationsData && applicationsData.formStatus) || {};
+    const incompleteForms = Object.values(formStatus).filter(status => status.status !== FORM_STATUS.COMPLETE);
+    const incompleteFlag = (output) => {
+        const status = formStatus[output];
+        if (!status || status.status === FORM_STATUS.COMPLETE) return '';
+        return ` <span class="incomplete-flag" title="${escapeHtml(`${status.name}: ${describeMissingDays(status)}`)}">incomplete</span>`;
+    };
+
+    const funnel = applicationsData && applicationsData.funnel;
+    const funnelFlag = funnel && funnel.incompleteStages.length > 0
+        ? ` <span class="incomplete-flag" title="Days missing for: ${escapeHtml(funnel.incompleteStages.join(', '))}">incomplete</span>`
+        : '';
+    const unlinkedEntries = funnel ? Object.values(funnel.unlinked).reduce((sum, count) => sum + count, 0) : 0;
+
+    // Trend charts: payments unless the analysis is skipped, and forms with "series"
+    const showPaymentTrends = !skipAnalysis && Boolean(errorData.series && successData.series);
+    const trendFormNames = applicationsData && applicationsData.series ? Object.values(applicationsData.series).map(series => series.name) : [];
+    const dailyTrend = buildTrendRows(errorData, successData, applicationsData, startDate, endDate, INTERVALS.DAY);
+    const hourlyTrend = buildTrendRows(errorData, successData, applicationsData, startDate, endDate, INTERVALS.HOUR);
+    const showTrends = showPaymentTrends || trendFormNames.length > 0;
 
     const colors = [
         '#FF6384', '#36A2EB', '#FFCE56', '#4BC0C0', '#9966FF',
@@ -357,6 +869,9 @@ function generateHTMLReport(errorData, successData, applicationsData, startDate,
         .summary-card.error {
             background: linear-gradient(135deg, #eb3349 0%, #f45c43 100%);
         }
+        .summary-card.other {
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+        }
         .summary-card h3 {
             font-size: 16px;
             margin-bottom: 15px;
@@ -426,6 +941,73 @@ function generateHTMLReport(errorData, successData, applicationsData, startDate,
             color: #666;
             font-size: 14px;
         }
+        .data-warning {
+            background-color: #fff3cd;
+            border: 1px solid #ffc107;
+            border-left: 6px solid #ff9800;
+            color: #664d03;
+            padding: 15px 20px;
+            border-radius: 8px;
+            margin-bottom: 30px;
+            font-size: 14px;
+        }
+        .data-warning strong {
+            display: block;
+            margin-bottom: 5px;
+        }
+        .data-warning ul {
+            margin-left: 20px;
+        }
+        .incomplete-flag {
+            display: inline-block;
+            background-color: #fff3cd;
+            border: 1px solid #ffc107;
+            color: #664d03;
+            font-size: 11px;
+            font-weight: bold;
+            padding: 1px 6px;
+            border-radius: 4px;
+            margin-left: 6px;
+            vertical-align: middle;
+        }
+        .trend-toggle {
+            margin-bottom: 20px;
+        }
+        .trend-toggle button {
+            background-color: #f8f9fa;
+            border: 1px solid #ddd;
+            color: #333;
+            padding: 6px 14px;
+            font-size: 13px;
+            cursor: pointer;
+        }
+        .trend-toggle button.active {
+            background-color: #667eea;
+            border-color: #667eea;
+            color: white;
+        }
+        .trend-table {
+            margin-top: 15px;
+        }
+        .trend-table summary {
+            cursor: pointer;
+            font-weight: 600;
+            color: #333;
+        }
+        .heatmap th, .heatmap td {
+            padding: 4px;
+            text-align: center;
+            font-size: 11px;
+            border: 1px solid #eee;
+        }
+        .heatmap tr:hover {
+            background-color: transparent;
+        }
+        .heatmap-callouts {
+            margin: 0 0 10px 20px;
+            font-size: 14px;
+            color: #333;
+        }
         .footer {
             margin-top: 40px;
             padding-top: 20px;
@@ -541,6 +1123,19 @@ function generateHTMLReport(errorData, successData, applicationsData, startDate,
                 font-size: 8px;
             }
 
+            .heatmap th, .heatmap td {
+                padding: 2px;
+                font-size: 7px;
+            }
+
+            .heatmap-callouts {
+                font-size: 9px;
+            }
+
+            .trend-toggle, .trend-table {
+                display: none;
+            }
+
             .footer {
                 display: none;
             }
@@ -578,15 +1173,25 @@ function generateHTMLReport(errorData, successData, applicationsData, startDate,
             <img src="https://www.razorvision.net/wp-content/themes/razorvision-theme/img/logo-black.svg" alt="RazorVision Logo" class="logo">
             <div class="header-title">
                 <h1>Weekly Application and Payment Report</h1>
-                <div class="header-subtitle">[DLC-004] Production Maintenance &nbsp;&nbsp;&nbsp; ${todayFormatted}</div>
+                <div class="header-subtitle">[DLC-004] Production Maintenance &nbsp;&nbsp;&nbsp; ${todayFormatted} &nbsp;&nbsp;&nbsp; Times in ${getTimezoneLabel()}</div>
             </div>
         </div>
     </div>
 
     <div class="container">
+        <!-- Incomplete Data Warning -->
+        ${dataWarnings.length > 0 ? `
+        <div class="data-warning">
+            <strong>⚠ Incomplete data: some Sentry date ranges could not be fully fetched. Counts below may be understated.</strong>
+            <ul>
+${dataWarnings.map(w => `                <li>${escapeHtml(w.issueName)}: ${w.start} to ${w.end} (${escapeHtml(w.status)}${w.error ? ` - ${escapeHtml(w.error)}` : ''})</li>`).join('\n')}
+            </ul>
+        </div>
+        ` : ''}
+
         <!-- Summary Section -->
         <div class="summary-section">
-            <div class="summary-title">Summary - Last ${daysDiff} Days</div>
+            <div class="summary-title">Summary - ${periodLabel || `Last ${daysDiff} Days`}</div>
             <div class="timeframe">${timeframeText}</div>
             <div class="summary-cards">
                 <div class="summary-card success">
@@ -611,36 +1216,93 @@ function generateHTMLReport(errorData, successData, applicationsData, startDate,
                         <div class="label">users</div>
                     </div>
                 </div>
+${additionalIssues.map(issue => `                <div class="summary-card other">
+                    <h3>${escapeHtml(issue.name)}</h3>
+                    <div class="metric">
+                        <div class="number">${issue.totalEvents.toLocaleString()}</div>
+                        <div class="label">events</div>
+                    </div>
+                    <div class="metric">
+                        <div class="number">${issue.totalUsers.toLocaleString()}</div>
+                        <div class="label">users</div>
+                    </div>
+                </div>`).join('\n')}
             </div>
         </div>
 
+        <!-- Trends Section -->
+        ${showTrends ? `
+        <div class="section">
+            <div class="section-title">Trends</div>
+            <div class="section-subtitle">Per day or hour in ${REPORT_TIMEZONE} (${startDate} to ${endDate})</div>
+
+            <div class="trend-toggle">
+                <button type="button" class="active" data-interval="day">Daily</button>
+                <button type="button" data-interval="hour">Hourly</button>
+            </div>
+${showPaymentTrends ? `
+            <div class="chart-container">
+                <h3>Payments</h3>
+                <div class="chart-wrapper" style="height: 300px;">
+                    <canvas id="paymentTrendChart"></canvas>
+                </div>
+            </div>
+
+            <div class="chart-container">
+                <h3>Payment Error Rate</h3>
+                <div class="chart-wrapper" style="height: 300px;">
+                    <canvas id="errorRateTrendChart"></canvas>
+                </div>
+            </div>
+` : ''}${trendFormNames.length > 0 ? `
+            <div class="chart-container">
+                <h3>${trendFormNames.join(', ')}</h3>
+                <div class="chart-wrapper" style="height: 300px;">
+                    <canvas id="applicationTrendChart"></canvas>
+                </div>
+            </div>
+` : ''}
+${renderTrendTable(dailyTrend, 'Daily numbers', 'Day', showPaymentTrends, trendFormNames)}
+${renderTrendTable(hourlyTrend, 'Hourly numbers', 'Hour', showPaymentTrends, trendFormNames)}
+        </div>
+        ` : ''}
+
         <!-- Applications Section -->
         ${applicationsData ? `
         <div class="section">
             <div class="section-title">Applications Submitted</div>
             <div class="section-subtitle">Data from Gravity Forms (${applicationsData.dateRangeStart} to ${applicationsData.dateRangeEnd})</div>
 
+            ${incompleteForms.length > 0 ? `
+            <div class="data-warning">
+                <strong>⚠ Incomplete data: some Gravity Forms entries could not be fetched. Counts marked "incomplete" may be understated.</strong>
+                <ul>
+${incompleteForms.map(status => `                    <li>${escapeHtml(status.name)}: ${escapeHtml(describeMissingDays(status))}</li>`).join('\n')}
+                </ul>
+            </div>
+            ` : ''}
+
             <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(300px, 1fr)); gap: 20px; margin-bottom: 30px;">
                 <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 20px; border-radius: 8px; color: white;">
-                    <h3 style="font-size: 16px; margin-bottom: 15px; opacity: 0.9;">Total Applications</h3>
+                    <h3 style="font-size: 16px; margin-bottom: 15px; opacity: 0.9;">Total Applications${incompleteFlag('applications')}</h3>
                     <div style="font-size: 36px; font-weight: bold;">${applicationsData.applications.total.toLocaleString()}</div>
                     <div style="font-size: 14px; opacity: 0.9; margin-top: 5px;">Last 7 days</div>
                 </div>
                 <div style="background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%); padding: 20px; border-radius: 8px; color: white;">
-                    <h3 style="font-size: 16px; margin-bottom: 15px; opacity: 0.9;">From Store Kiosks</h3>
+                    <h3 style="font-size: 16px; margin-bottom: 15px; opacity: 0.9;">From Store Kiosks${incompleteFlag('applications')}</h3>
                     <div style="font-size: 36px; font-weight: bold;">${applicationsData.applications.fromStoreKiosks.toLocaleString()}</div>
                 </div>
                 <div style="background: linear-gradient(135deg, #4facfe 0%, #00f2fe 100%); padding: 20px; border-radius: 8px; color: white;">
-                    <h3 style="font-size: 16px; margin-bottom: 15px; opacity: 0.9;">First Time Applications</h3>
+                    <h3 style="font-size: 16px; margin-bottom: 15px; opacity: 0.9;">First Time Applications${incompleteFlag('applications')}</h3>
                     <div style="font-size: 36px; font-weight: bold;">${applicationsData.applications.firstTimeApplications.toLocaleString()}</div>
                 </div>
                 <div style="background: linear-gradient(135deg, #43e97b 0%, #38f9d7 100%); padding: 20px; border-radius: 8px; color: white;">
-                    <h3 style="font-size: 16px; margin-bottom: 15px; opacity: 0.9;">Returning Customers</h3>
+                    <h3 style="font-size: 16px; margin-bottom: 15px; opacity: 0.9;">Returning Customers${incompleteFlag('applications')}</h3>
                     <div style="font-size: 36px; font-weight: bold;">${applicationsData.applications.returningCustomers.toLocaleString()}</div>
                 </div>
             </div>
 
-            <h3 style="margin-top: 30px; margin-bottom: 15px;">Applications by State</h3>
+            <h3 style="margin-top: 30px; margin-bottom: 15px;">Applications by State${incompleteFlag('applications')}</h3>
             <table>
                 <thead>
                     <tr>
@@ -663,7 +1325,7 @@ ${Object.entries(applicationsData.applications.byState)
                 </tbody>
             </table>
 
-            <h3 style="margin-top: 40px; margin-bottom: 15px;">Please Wait Submissions</h3>
+            <h3 style="margin-top: 40px; margin-bottom: 15px;">Please Wait Submissions${incompleteFlag('pleaseWaitSubmissions')}</h3>
             <div style="display: grid; grid-template-columns: repeat(3, 1fr); gap: 15px; margin-bottom: 20px;">
                 <div style="background: #f8f9fa; padding: 15px; border-radius: 5px; border-left: 4px solid #667eea;">
                     <div style="color: #666; font-size: 14px;">Total Submissions</div>
@@ -691,27 +1353,82 @@ ${Object.entries(applicationsData.applications.byState)
                 <tbody>
                     <tr>
                         <td>Bank Verification</td>
-                        <td><strong>${applicationsData.bankVerification.total.toLocaleString()}</strong></td>
+                        <td><strong>${applicationsData.bankVerification.total.toLocaleString()}</strong>${incompleteFlag('bankVerification')}</td>
                     </tr>
                     <tr>
                         <td>Documentation Upload (during application)</td>
-                        <td><strong>${applicationsData.documentationUploadDuringApplication.total.toLocaleString()}</strong></td>
+                        <td><strong>${applicationsData.documentationUploadDuringApplication.total.toLocaleString()}</strong>${incompleteFlag('documentationUploadDuringApplication')}</td>
                     </tr>
 ${Object.entries(applicationsData.otherActions)
     .map(([key, action]) => `                    <tr>
                         <td>${action.label}</td>
-                        <td><strong>${action.total.toLocaleString()}</strong></td>
+                        <td><strong>${action.total.toLocaleString()}</strong>${incompleteFlag(`otherActions.${key}`)}</td>
                     </tr>`).join('\n')}
                 </tbody>
             </table>
         </div>
         ` : ''}
 
+        <!-- Application Funnel Section -->
+        ${applicationsData && applicationsData.funnel ? `
+        <div class="section">
+            <div class="section-title">Application Funnel${funnelFlag}</div>
+            <div class="section-subtitle">Applicants followed from their application through later forms, linked by applicant (${applicationsData.dateRangeStart} to ${applicationsData.dateRangeEnd})</div>
+
+            <table>
+                <thead>
+                    <tr>
+                        <th>Stage</th>
+                        <th>Applicants</th>
+                        <th>Conversion</th>
+                        <th>Drop-off</th>
+                        <th>Of Applicants</th>
+                    </tr>
+                </thead>
+                <tbody>
+${applicationsData.funnel.overall.map(stage => `                    <tr>
+                        <td><strong>${escapeHtml(stage.label)}</strong></td>
+                        <td>${stage.count.toLocaleString()}</td>
+                        <td class="percentage">${formatRate(stage.conversionRate)}</td>
+                        <td>${stage.dropOff.toLocaleString()}</td>
+                        <td class="percentage">${formatRate(stage.overallRate)}</td>
+                    </tr>`).join('\n')}
+                </tbody>
+            </table>
+${applicationsData.funnel.segments.map(segment => `
+            <h3 style="margin-top: 30px; margin-bottom: 15px;">By ${escapeHtml(segment.label)}</h3>
+            <table>
+                <thead>
+                    <tr>
+                        <th>${escapeHtml(segment.label)}</th>
+${applicationsData.funnel.stages.map(stage => `                        <th>${escapeHtml(stage.label)}</th>`).join('\n')}
+                    </tr>
+                </thead>
+                <tbody>
+${segment.groups.map(group => `                    <tr>
+                        <td><strong>${escapeHtml(group.value)}</strong></td>
+${group.stages.map((stage, i) => `                        <td>${stage.count.toLocaleString()}${i > 0 ? ` <span class="percentage">(${formatRate(stage.conversionRate)}${stage.dropOff > 0 ? `, -${stage.dropOff.toLocaleString()}` : ''})</span>` : ''}</td>`).join('\n')}
+                    </tr>`).join('\n')}
+                </tbody>
+            </table>`).join('\n')}
+${unlinkedEntries > 0 ? `
+            <div class="section-subtitle" style="margin-top: 15px;">${unlinkedEntries.toLocaleString()} ${unlinkedEntries === 1 ? 'entry' : 'entries'} without an applicant to link them by ${unlinkedEntries === 1 ? 'was' : 'were'} left out.</div>` : ''}
+        </div>
+        ` : ''}
+
+        <!-- Application Timing Section -->
+${applicationsData && applicationsData.heatmaps ? Object.entries(applicationsData.heatmaps).map(([output, heatmap]) => `
+        <div class="section">
+            <div class="section-title">${heatmap.name} by Hour and Weekday${incompleteFlag(output)}</div>
+            <div class="section-subtitle">${heatmap.total.toLocaleString()} entries by the time they were submitted (${applicationsData.dateRangeStart} to ${applicationsData.dateRangeEnd})</div>
+${renderHeatmap(heatmap, [102, 126, 234])}
+        </div>`).join('\n') : ''}
+
         <!-- Payment Errors Section -->
         ${!skipAnalysis ? `
         <div class="section">
             <div class="section-title">Payment Errors Analysis</div>
-            <div class="section-subtitle">Issue #${PAYMENT_ERROR_ISSUE_ID}</div>
+            <div class="section-subtitle">Issue ${errorIssueIds}</div>
 
             <div class="chart-container">
                 <h3>Error Reasons Distribution</h3>
@@ -746,6 +1463,9 @@ ${errorData.reasons.map(item => `                    <tr>
                     </tr>
 `).join('')}                </tbody>
             </table>
+${errorData.heatmap ? `
+            <h3 style="margin-top: 30px;">Errors by Hour and Weekday</h3>
+${renderHeatmap(errorData.heatmap, [235, 51, 73])}` : ''}
         </div>
         ` : ''}
 
@@ -839,7 +1559,7 @@ ${midRulesData.byMerchant.filter(item => item.merchantId !== 'Unknown').map(item
                 </thead>
                 <tbody>
 ${midRulesData.recentEvents.map(event => `                    <tr>
-                        <td>${new Date(event.timestamp).toLocaleString('en-US', { timeZone: 'UTC' })}</td>
+                        <td>${formatDateTime(event.timestamp)}</td>
                         <td>${event.customerId}</td>
                         <td>${event.storeState}</td>
                         <td>${event.storeId}</td>
@@ -855,7 +1575,7 @@ ${midRulesData.recentEvents.map(event => `                    <tr>
         ${!skipAnalysis ? `
         <div class="section payment-success-section">
             <div class="section-title">Payment Success Analysis</div>
-            <div class="section-subtitle">Issue #${PAYMENT_SUCCESS_ISSUE_ID}</div>
+            <div class="section-subtitle">Issue ${successIssueIds}</div>
 
             <div class="chart-container">
                 <h3>Merchant Distribution</h3>
@@ -890,11 +1610,41 @@ ${successData.merchants.map(item => `                    <tr>
                     </tr>
 `).join('')}                </tbody>
             </table>
+${successData.heatmap ? `
+            <h3 style="margin-top: 30px;">Successful Payments by Hour and Weekday</h3>
+${renderHeatmap(successData.heatmap, [17, 153, 142], 'Suggested maintenance window')}` : ''}
         </div>
         ` : ''}
 
+        <!-- Additional Issue Sections (from config/sentry_issues.json) -->
+${!skipAnalysis ? additionalIssues.map(issue => `
+        <div class="section">
+            <div class="section-title">${escapeHtml(issue.name)}</div>
+            <div class="section-subtitle">Issue #${escapeHtml(issue.issueId)} - ${issue.totalEvents.toLocaleString()} events from ${issue.totalUsers.toLocaleString()} unique users</div>
+${issue.breakdowns.filter(b => b.rows.length > 0).map(breakdown => `
+            <h3>By ${escapeHtml(breakdown.tag)}</h3>
+            <table>
+                <thead>
+                    <tr>
+                        <th>${escapeHtml(breakdown.tag)}</th>
+                        <th>Event Count</th>
+                        <th>Unique Users</th>
+                        <th>Percentage</th>
+                    </tr>
+                </thead>
+                <tbody>
+${breakdown.rows.map(item => `                    <tr>
+                        <td>${escapeHtml(item.value)}</td>
+                        <td><strong>${item.count}</strong></td>
+                        <td><strong>${item.uniqueUsers}</strong></td>
+                        <td class="percentage">${item.percentage}%</td>
+                    </tr>`).join('\n')}
+                </tbody>
+            </table>`).join('\n')}
+        </div>`).join('\n') : ''}
+
         <div class="footer">
-            <p>Generated on ${new Date().toLocaleString('en-US', { timeZone: 'UTC', timeZoneName: 'short' })}</p>
+            <p>Generated on ${formatDateTime(new Date(), { timeZoneName: 'short' })}</p>
             <p>Data source: Sentry API</p>
         </div>
     </div>
@@ -906,6 +1656,68 @@ ${successData.merchants.map(item => `                    <tr>
             return text.substring(0, maxLength) + '...';
         }
 
+        ${showTrends ? `
+        // Trend charts, switched between daily and hourly by the toggle
+        const trendData = ${JSON.stringify({ day: toTrendChartData(dailyTrend), hour: toTrendChartData(hourlyTrend) })};
+        const trendCharts = [];
+
+        function addTrendChart(canvasId, getDatasets, yTicks) {
+            const chart = new Chart(document.getElementById(canvasId).getContext('2d'), {
+                type: 'line',
+                data: {
+                    labels: trendData.day.labels,
+                    datasets: getDatasets(trendData.day)
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    elements: { point: { radius: 3 } },
+                    plugins: { legend: { position: 'top' } },
+                    scales: {
+                        y: {
+                            beginAtZero: true,
+                            ticks: yTicks
+                        }
+                    }
+                }
+            });
+            trendCharts.push({ chart, getDatasets });
+        }
+
+        function showTrend(interval) {
+            for (const { chart, getDatasets } of trendCharts) {
+                chart.data.labels = trendData[interval].labels;
+                chart.data.datasets = getDatasets(trendData[interval]);
+                chart.options.elements.point.radius = interval === 'hour' ? 0 : 3;
+                chart.update();
+            }
+            document.querySelectorAll('.trend-toggle button').forEach(button => {
+                button.classList.toggle('active', button.dataset.interval === interval);
+            });
+        }
+
+        document.querySelectorAll('.trend-toggle button').forEach(button => {
+            button.addEventListener('click', () => showTrend(button.dataset.interval));
+        });
+        ${showPaymentTrends ? `
+        addTrendChart('paymentTrendChart', data => [
+            { label: 'Payment Success', data: data.success, borderColor: '#11998e', backgroundColor: '#11998e', tension: 0.2 },
+            { label: 'Payment Errors', data: data.errors, borderColor: '#eb3349', backgroundColor: '#eb3349', tension: 0.2 }
+        ], { precision: 0 });
+
+        addTrendChart('errorRateTrendChart', data => [
+            { label: 'Error Rate', data: data.errorRate, borderColor: '#eb3349', backgroundColor: '#eb3349', tension: 0.2 }
+        ], { callback: value => value + '%' });
+        ` : ''}
+        ${trendFormNames.length > 0 ? `
+        const trendFormNames = ${JSON.stringify(trendFormNames)};
+        const trendFormColors = ${JSON.stringify(['#667eea', ...colors])};
+        addTrendChart('applicationTrendChart', data => data.forms.map((counts, i) => (
+            { label: trendFormNames[i], data: counts, borderColor: trendFormColors[i], backgroundColor: trendFormColors[i], tension: 0.2 }
+        )), { precision: 0 });
+        ` : ''}
+        ` : ''}
+
         ${!skipAnalysis ? `
         // Error Pie Chart
         const errorPieCtx = document.getElementById('errorPieChart').getContext('2d');
@@ -1133,94 +1945,20 @@ async function generatePDF(htmlFile) {
 }
 
 // Quick count function - fetches only event counts without storing data
-async function fetchQuickCounts(issueId, issueName, startDate, endDate) {
-    const https = require('https');
+async function fetchQuickCounts(issue, startDate, endDate) {
     const SENTRY_TOKEN = process.env.SENTRY_TOKEN;
     if (!SENTRY_TOKEN) {
         console.error('Error: SENTRY_TOKEN environment variable is required');
         return { totalEvents: 0, uniqueUsers: 0 };
     }
 
-    console.log(`\nFetching ${issueName} counts...`);
-
-    const startISO = `${startDate}T00:00:00Z`;
-    const endISO = `${endDate}T23:59:59Z`;
-
-    // Remove full=true to get minimal event data
-    const url = `https://sentry.io/api/0/organizations/${ORGANIZATION_SLUG}/issues/${issueId}/events/?start=${encodeURIComponent(startISO)}&end=${encodeURIComponent(endISO)}`;
-
-    const headers = {
-        'Authorization': `Bearer ${SENTRY_TOKEN}`,
-        'Content-Type': 'application/json'
-    };
-
-    let totalEvents = 0;
-    const uniqueUsers = new Set();
-    let currentUrl = url;
-    let pageNum = 1;
-
-    const fetchPage = (pageUrl) => {
-        return new Promise((resolve, reject) => {
-            https.get(pageUrl, { headers }, (res) => {
-                let data = '';
-
-                res.on('data', (chunk) => {
-                    data += chunk;
-                });
-
-                res.on('end', () => {
-                    try {
-                        const json = JSON.parse(data);
-                        const linkHeader = res.headers.link;
-                        resolve({ data: json, linkHeader });
-                    } catch (e) {
-                        reject(e);
-                    }
-                });
-            }).on('error', reject);
-        });
-    };
+    console.log(`\nFetching ${issue.name} counts...`);
 
     try {
-        while (currentUrl) {
-            const { data, linkHeader } = await fetchPage(currentUrl);
-
-            // Count events and extract unique users
-            for (const event of data) {
-                const eventDate = event.dateCreated || event.dateReceived;
-                if (eventDate) {
-                    const eventDateObj = new Date(eventDate);
-                    const eventDateStr = formatDate(eventDateObj);
-
-                    // Check if event is within our target date range
-                    if (eventDateStr >= startDate && eventDateStr <= endDate) {
-                        totalEvents++;
-
-                        // Extract userId
-                        const user = event.user || {};
-                        const userId = user.id || user.email || user.ip_address || 'anonymous';
-                        uniqueUsers.add(userId);
-                    }
-                }
-            }
-
-            console.log(`  Page ${pageNum}: ${totalEvents} events, ${uniqueUsers.size} unique users so far`);
-
-            // Parse Link header for next page
-            currentUrl = null;
-            if (linkHeader) {
-                const nextMatch = linkHeader.match(/<([^>]+)>;\s*rel="next"/);
-                if (nextMatch) {
-                    currentUrl = nextMatch[1];
-                    pageNum++;
-                }
-            }
-
-            if (data.length === 0) break;
-        }
-
-        console.log(`  ✓ ${issueName}: ${totalEvents} events, ${uniqueUsers.size} unique users`);
-        return { totalEvents, uniqueUsers: uniqueUsers.size };
+        // One Discover query instead of paging through every event
+        const { totalEvents, uniqueUsers } = await fetchIssueTotals(issue, startDate, endDate);
+        console.log(`  ✓ ${issue.name}: ${totalEvents} events, ${uniqueUsers} unique users`);
+        return { totalEvents, uniqueUsers };
 
     } catch (error) {
         console.error(`  ✗ Error fetching counts: ${error.message}`);
@@ -1237,6 +1975,7 @@ async function main() {
     let daysBack = null;
     let skipAnalysis = false;
     let quickCount = false;
+    let useAggregates = false;
     let useManualPaymentData = false;
 
     for (let i = 0; i < args.length; i++) {
@@ -1253,14 +1992,16 @@ async function main() {
             skipAnalysis = true;
         } else if (args[i] === '--quick-count') {
             quickCount = true;
+        } else if (args[i] === '--aggregate') {
+            useAggregates = true;
         } else if (args[i] === '--use-manual-payment-data') {
             useManualPaymentData = true;
         }
     }
 
-    // Default to last 30 days if not specified
+    // Default to last 30 days if not specified (days in the reporting timezone)
     if (!endDate) {
-        endDate = formatDate(new Date());
+        endDate = getToday();
     }
 
     if (!startDate) {
@@ -1278,32 +2019,28 @@ async function main() {
     }
 
     console.log('\n' + '='.repeat(60));
-    console.log(quickCount ? 'Payment Report Generator - Quick Count Mode' : 'Payment Report Generator');
+    console.log(quickCount ? 'Payment Report Generator - Quick Count Mode'
+        : useAggregates ? 'Payment Report Generator - Aggregate Mode' : 'Payment Report Generator');
     console.log('='.repeat(60));
-    console.log(`Date Range: ${startDate} to ${endDate}`);
+    console.log(`Date Range: ${startDate} to ${endDate} (${REPORT_TIMEZONE})`);
     console.log('='.repeat(60));
 
     // Quick count mode - fetch only counts without storing data
     if (quickCount) {
-        const errorCounts = await fetchQuickCounts(
-            PAYMENT_ERROR_ISSUE_ID,
-            'Payment Error',
-            startDate,
-            endDate
-        );
-
-        const successCounts = await fetchQuickCounts(
-            PAYMENT_SUCCESS_ISSUE_ID,
-            'Payment Success',
-            startDate,
-            endDate
-        );
+        const counts = [];
+        for (const issue of loadIssueRegistry()) {
+            counts.push({
+                issue,
+                ...await fetchQuickCounts(issue, startDate, endDate)
+            });
+        }
 
         console.log('\n' + '='.repeat(60));
         console.log('Summary:');
         console.log('-'.repeat(60));
-        console.log(`Payment Success: ${successCounts.totalEvents.toLocaleString()} events, ${successCounts.uniqueUsers.toLocaleString()} users`);
-        console.log(`Payment Error:   ${errorCounts.totalEvents.toLocaleString()} events, ${errorCounts.uniqueUsers.toLocaleString()} users`);
+        for (const { issue, totalEvents, uniqueUsers } of counts) {
+            console.log(`${(issue.name + ':').padEnd(16)} ${totalEvents.toLocaleString()} events, ${uniqueUsers.toLocaleString()} users`);
+        }
         console.log('='.repeat(60));
         console.log('\n✓ Quick count completed');
         return;
@@ -1376,100 +2113,32 @@ async function main() {
         return;
     }
 
-    // Load Payment Error data
-    console.log('\nLoading Payment Error data...');
-    const errorEvents = loadChunksInDateRange(
-        PAYMENT_ERROR_ISSUE_ID,
-        'Payment Error',
-        startDate,
-        endDate
-    );
-    console.log(`✓ Loaded ${errorEvents.length} Payment Error events`);
-
-    // Load Payment Success data
-    console.log('\nLoading Payment Success data...');
-    const successEvents = loadChunksInDateRange(
-        PAYMENT_SUCCESS_ISSUE_ID,
-        'Payment Success',
-        startDate,
-        endDate
-    );
-    console.log(`✓ Loaded ${successEvents.length} Payment Success events`);
-
-    // Load Applications data
-    console.log('\nLoading Applications data...');
-    const applicationsData = loadApplicationsData();
-
-    // Process data
-    console.log('\nProcessing data...');
-    const errorReasons = processPaymentErrors(errorEvents);
-    const merchants = processPaymentSuccess(successEvents);
-
-    // Calculate totals
-    const totalErrorEvents = errorReasons.reduce((sum, item) => sum + item.count, 0);
-    const totalErrorUsers = new Set(errorEvents.map(e => e.userId)).size;
+    // Load Sentry data: cached events, or aggregates straight from Sentry
+    let reportData;
+    let dataWarnings = [];
 
-    const totalSuccessEvents = merchants.reduce((sum, item) => sum + item.count, 0);
-    const totalSuccessUsers = new Set(successEvents.map(e => e.userId)).size;
-
-    // Prepare data for report
-    // For charts: limit to top 12 error reasons and combine the rest into "Others"
-    const topErrorReasons = errorReasons.slice(0, 12);
-    const otherErrorReasons = errorReasons.slice(12);
-
-    let chartErrorReasons = topErrorReasons.map(item => ({
-        ...item,
-        percentage: totalErrorEvents > 0
-            ? parseFloat(((item.count / totalErrorEvents) * 100).toFixed(2))
-            : 0
-    }));
-
-    // If there are more than 12 reasons, combine the rest into "Others" for the chart
-    if (otherErrorReasons.length > 0) {
-        const othersCount = otherErrorReasons.reduce((sum, item) => sum + item.count, 0);
+    if (useAggregates) {
+        console.log('\nFetching Sentry aggregates...');
+        const aggregatesByIssue = await loadIssueAggregates(startDate, endDate);
+        reportData = buildReportDataFromAggregates(aggregatesByIssue);
+    } else {
+        console.log('\nLoading Sentry data...');
+        const { eventsByIssue, unreadableChunks, prunedDaysByIssue } = await loadIssueEvents(startDate, endDate);
+        dataWarnings = findAllIncompleteChunks(startDate, endDate, unreadableChunks);
 
-        chartErrorReasons.push({
-            reason: 'Others',
-            count: othersCount,
-            uniqueUsers: otherErrorReasons.reduce((sum, item) => sum + item.uniqueUsers, 0),
-            percentage: totalErrorEvents > 0
-                ? parseFloat(((othersCount / totalErrorEvents) * 100).toFixed(2))
-                : 0
-        });
+        console.log('\nProcessing data...');
+        reportData = buildReportData(eventsByIssue, prunedDaysByIssue);
     }
 
-    // For table: show all error reasons
-    const allErrorReasons = errorReasons.map(item => ({
-        ...item,
-        percentage: totalErrorEvents > 0
-            ? parseFloat(((item.count / totalErrorEvents) * 100).toFixed(2))
-            : 0
-    }));
-
-    const errorData = {
-        totalEvents: totalErrorEvents,
-        totalUsers: totalErrorUsers,
-        chartReasons: chartErrorReasons,
-        reasons: allErrorReasons
-    };
+    const { errorData, successData, midRulesData, additionalIssues } = reportData;
 
-    const successData = {
-        totalEvents: totalSuccessEvents,
-        totalUsers: totalSuccessUsers,
-        merchants: merchants.map(item => ({
-            ...item,
-            percentage: totalSuccessEvents > 0
-                ? parseFloat(((item.count / totalSuccessEvents) * 100).toFixed(2))
-                : 0
-        }))
-    };
+    // Load Applications data
+    console.log('\nLoading Applications data...');
+    const applicationsData = loadApplicationsData();
 
-    // Process MID Rules error details
-    console.log('\nProcessing MID Rules error details...');
-    const midRulesData = processMidRulesErrors(errorEvents);
     if (midRulesData) {
         console.log(`✓ Found ${midRulesData.totalEvents} "mid rules could not select a mid" events`);
-    } else {
+    } else if (!useAggregates) {
         console.log('  No "mid rules could not select a mid" errors found');
     }
 
@@ -1481,11 +2150,14 @@ async function main() {
     if (midRulesData) {
         console.log(`MID Rules Errors: ${midRulesData.totalEvents} events, ${midRulesData.totalUsers} users`);
     }
+    for (const issue of additionalIssues) {
+        console.log(`${issue.name}: ${issue.totalEvents} events, ${issue.totalUsers} users`);
+    }
     console.log('='.repeat(60));
 
     // Generate HTML report
     console.log('\nGenerating HTML report...');
-    const htmlFile = generateHTMLReport(errorData, successData, applicationsData, startDate, endDate, skipAnalysis, midRulesData);
+    const htmlFile = generateHTMLReport(errorData, successData, applicationsData, startDate, endDate, skipAnalysis, midRulesData, dataWarnings, additionalIssues);
 
     console.log(`\n✓ Report saved: ${htmlFile}`);
 
@@ -1515,12 +2187,21 @@ if (require.main === module) {
 
 module.exports = {
     loadChunksInDateRange,
+    loadIssueEvents,
+    loadIssueAggregates,
+    getSectionEvents,
+    findIncompleteChunks,
+    findAllIncompleteChunks,
     loadApplicationsData,
     processPaymentErrors,
     processPaymentSuccess,
     processMidRulesErrors,
+    processAdditionalIssues,
+    buildReportData,
+    buildReportDataFromAggregates,
     generateHTMLReport,
     generatePDF,
     formatDate,
-    parseDate
+    parseDate,
+    getChunkDir
 };
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+
+const { loadIssueRegistry, getIssue } = require('./src/issue_registry');
+const { DEFAULT_SCHEMA_VERSION } = require('./src/event_schema');
+const { STORAGE_BACKENDS, STORAGE_BACKEND, getChunkDir, listChunkFiles, readChunkHeader } = require('./src/chunk_store');
+const sqliteStore = require('./src/sqlite_store');
+
+// Cached events only hold what the extraction schema kept, so chunks written
+// with an older schema can't be re-extracted locally - they have to be refetched.
+// This lists them, and with --refetch fetches them again from Sentry.
+
+function findOutdatedChunks(issue) {
+    const outdated = [];
+    const chunks = STORAGE_BACKEND === STORAGE_BACKENDS.SQLITE
+        ? sqliteStore.listChunks(issue.id)
+        : listChunkFiles(getChunkDir(issue.id, issue.name));
+
+    for (const chunk of chunks) {
+        const chunkData = chunk.path ? readChunkHeader(chunk.path) : chunk;
+        const schemaVersion = chunkData.schemaVersion || DEFAULT_SCHEMA_VERSION;
+
+        if (schemaVersion < issue.schema.version) {
+            outdated.push({
+                start: chunk.start,
+                end: chunk.end,
+                schemaVersion,
+                totalEvents: chunkData.totalEvents
+            });
+        }
+    }
+
+    return outdated.sort((a, b) => a.start.localeCompare(b.start));
+}
+
+async function refetchChunks(issue, chunks) {
+    // Loaded lazily - the fetcher requires SENTRY_TOKEN
+    const { fetchDateRangeChunk, saveChunk, CHUNK_STATUS } = require('./fetch_payment_data');
+
+    let failed = 0;
+    for (const chunk of chunks) {
+        const result = await fetchDateRangeChunk(issue, chunk.start, chunk.end);
+
+        // Keep the old chunk rather than replacing it with a partial one
+        if (result.status !== CHUNK_STATUS.COMPLETE) {
+            console.log(`  ⚠ Keeping old chunk ${chunk.start} to ${chunk.end}: ${result.error}`);
+            failed++;
+            continue;
+        }
+
+        saveChunk(issue.id, issue.name, chunk.start, chunk.end, result.events, {
+            schemaVersion: issue.schema.version
+        });
+    }
+
+    return failed;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+
+    let specificIssue = null;
+    let refetch = false;
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--issue' && args[i + 1]) {
+            specificIssue = args[i + 1];
+            i++;
+        } else if (args[i] === '--refetch') {
+            refetch = true;
+        }
+    }
+
+    let issues = loadIssueRegistry();
+    if (specificIssue) {
+        const issue = getIssue(specificIssue);
+        if (!issue) {
+            console.error(`Error: unknown issue "${specificIssue}" (see config/sentry_issues.json)`);
+            process.exit(1);
+        }
+        issues = [issue];
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log('Chunk Schema Check');
+    console.log('='.repeat(60));
+
+    let totalOutdated = 0;
+    let totalFailed = 0;
+
+    for (const issue of issues) {
+        const outdated = findOutdatedChunks(issue);
+        totalOutdated += outdated.length;
+
+        console.log(`\n${issue.name} (schema v${issue.schema.version})`);
+
+        if (outdated.length === 0) {
+            console.log('  ✓ All chunks up to date');
+            continue;
+        }
+
+        console.log(`  ${outdated.length} chunk(s) need refetching:`);
+        outdated.forEach(c => {
+            console.log(`  - ${c.start} to ${c.end} (schema v${c.schemaVersion}, ${c.totalEvents} events)`);
+        });
+
+        if (refetch) {
+            totalFailed += await refetchChunks(issue, outdated);
+        }
+    }
+
+    console.log('\n' + '='.repeat(60));
+    if (totalOutdated === 0) {
+        console.log('✓ No outdated chunks');
+    } else if (!refetch) {
+        console.log(`⚠ ${totalOutdated} outdated chunk(s). To refetch them, run:`);
+        console.log(`  node reextract_chunks.js${specificIssue ? ` --issue ${specificIssue}` : ''} --refetch`);
+    } else if (totalFailed > 0) {
+        console.log(`⚠ ${totalFailed} of ${totalOutdated} chunk(s) could not be refetched - re-run to retry`);
+    } else {
+        console.log(`✓ Refetched ${totalOutdated} chunk(s)`);
+    }
+    console.log('='.repeat(60));
+}
+
+if (require.main === module) {
+    main().catch(console.error);
+}
+
+module.exports = { findOutdatedChunks };
@@ -0,0 +1,106 @@
+/**
+ * Application Funnel
+ * Follows applicants from the funnel's entry-point form (the application)
+ * through the later stages (config/gravity_forms.json "funnel"), linking
+ * entries by each form's hashed funnelKey
+ *
+ * An applicant reaches a stage if they have an entry in the period for it and
+ * for every stage before it. Applicants are counted once per stage however many
+ * entries they have; segments come from their first entry-point entry.
+ */
+
+const { parseEntryDate } = require('./gravity_forms_cache');
+
+const UNKNOWN_SEGMENT = 'Unknown';
+
+function toPercent(count, of) {
+    return of > 0 ? Math.round((count / of) * 1000) / 10 : null;
+}
+
+function getSegmentValue(entry, segment) {
+    const raw = entry[segment.field];
+    const value = raw === undefined || raw === null ? '' : String(raw);
+    if (segment.labels[value]) return segment.labels[value];
+    if (segment.default) return segment.default;
+    return value || UNKNOWN_SEGMENT;
+}
+
+/**
+ * Per-stage counts for a set of applicants
+ * @param {Array<Set>} stageKeys - applicant keys seen at each stage
+ * @returns {Array<{label, count, conversionRate, dropOff, overallRate}>}
+ *   conversionRate is from the previous stage and overallRate from the entry point (both %)
+ */
+function countStages(stages, stageKeys, applicants) {
+    let reached = applicants;
+    const entered = applicants.length;
+
+    return stages.map((stage, i) => {
+        const previous = reached.length;
+        if (i > 0) {
+            reached = reached.filter(key => stageKeys[i].has(key));
+        }
+        return {
+            stage: stage.form,
+            label: stage.label,
+            count: reached.length,
+            conversionRate: i > 0 ? toPercent(reached.length, previous) : null,
+            dropOff: i > 0 ? previous - reached.length : 0,
+            overallRate: toPercent(reached.length, entered)
+        };
+    });
+}
+
+/**
+ * Build the funnel section of applications_data.json
+ * @param {Object} funnel - from loadFunnelConfig()
+ * @param {Object} entriesByForm - { [form key]: cached entries in the period }
+ */
+function buildFunnel(funnel, entriesByForm) {
+    const { stages, segments } = funnel;
+    const unlinked = {};
+
+    const stageKeys = stages.map(stage => {
+        const entries = entriesByForm[stage.form] || [];
+        unlinked[stage.form] = entries.filter(entry => !entry.funnelKey).length;
+        return new Set(entries.filter(entry => entry.funnelKey).map(entry => entry.funnelKey));
+    });
+
+    // Each applicant's first entry-point entry decides their segments
+    const firstEntries = new Map();
+    const entryPoint = [...(entriesByForm[stages[0].form] || [])]
+        .filter(entry => entry.funnelKey)
+        .sort((a, b) => parseEntryDate(a.date_created) - parseEntryDate(b.date_created));
+    for (const entry of entryPoint) {
+        if (!firstEntries.has(entry.funnelKey)) {
+            firstEntries.set(entry.funnelKey, entry);
+        }
+    }
+
+    const applicants = [...firstEntries.keys()];
+
+    return {
+        stages: stages.map(stage => ({ form: stage.form, label: stage.label })),
+        overall: countStages(stages, stageKeys, applicants),
+        segments: segments.map(segment => {
+            const groups = new Map();
+            for (const [key, entry] of firstEntries) {
+                const value = getSegmentValue(entry, segment);
+                if (!groups.has(value)) groups.set(value, []);
+                groups.get(value).push(key);
+            }
+
+            return {
+                name: segment.name,
+                label: segment.label,
+                groups: [...groups.entries()]
+                    .sort((a, b) => b[1].length - a[1].length)
+                    .map(([value, keys]) => ({ value, stages: countStages(stages, stageKeys, keys) }))
+            };
+        }),
+        // Entries without the key can't be linked, so they're left out
+        unlinked
+    };
+}
+
+module.exports = { buildFunnel };
@@ -0,0 +1,354 @@
+/**
+ * Chunk Store
+ * Reads and writes cached Sentry event chunks under data/raw/<issue>/
+ *
+ * Two on-disk formats are supported and read transparently:
+ *   <start>_to_<end>.json      - one pretty-printed JSON object with an "events" array
+ *   <start>_to_<end>.ndjson.gz - gzip-compressed NDJSON: a header record (the chunk
+ *                                metadata) followed by one event per line
+ *
+ * New chunks are written as CHUNK_FORMAT ("json" by default, or "ndjson.gz").
+ * Writes are atomic (temp file + rename) and recorded in a per-issue
+ * manifest.json with each chunk's range, event count, status, schema version
+ * and SHA-256, which verify_chunks.js checks the files against.
+ *
+ * With STORAGE_BACKEND=sqlite, chunks live in a SQLite database instead
+ * (see sqlite_store.js); callers check STORAGE_BACKEND at the load/save points.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+const { DATA_DIR } = require('./data_dir');
+
+const RAW_DIR = path.join(DATA_DIR, 'raw');
+
+const FORMATS = {
+    JSON: 'json',
+    NDJSON_GZ: 'ndjson.gz'
+};
+
+const CHUNK_FORMAT = process.env.CHUNK_FORMAT || FORMATS.JSON;
+
+const NDJSON_FORMAT_VERSION = 1;
+
+const STORAGE_BACKENDS = {
+    FILES: 'files',
+    SQLITE: 'sqlite'
+};
+
+const STORAGE_BACKEND = process.env.STORAGE_BACKEND || STORAGE_BACKENDS.FILES;
+
+// The header is a single short line; this much compressed data always holds it
+const HEADER_READ_BYTES = 64 * 1024;
+
+const MANIFEST_FILE = 'manifest.json';
+const MANIFEST_VERSION = 1;
+
+const CHUNK_FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})_to_(\d{4}-\d{2}-\d{2})\.(json|ndjson\.gz)$/;
+
+if (!Object.values(FORMATS).includes(CHUNK_FORMAT)) {
+    throw new Error(`Unknown CHUNK_FORMAT "${CHUNK_FORMAT}" (expected one of: ${Object.values(FORMATS).join(', ')})`);
+}
+
+if (!Object.values(STORAGE_BACKENDS).includes(STORAGE_BACKEND)) {
+    throw new Error(`Unknown STORAGE_BACKEND "${STORAGE_BACKEND}" (expected one of: ${Object.values(STORAGE_BACKENDS).join(', ')})`);
+}
+
+function getChunkDir(issueId, issueName) {
+    const dirName = `${issueName.toLowerCase().replace(/\s+/g, '_')}_${issueId}`;
+    return path.join(RAW_DIR, dirName);
+}
+
+function getChunkFilename(startDate, endDate, format = CHUNK_FORMAT) {
+    return `${startDate}_to_${endDate}.${format}`;
+}
+
+/**
+ * Write a file via a temp file + rename, so a killed process never leaves a
+ * half-written file behind (at worst a stray *.tmp file)
+ */
+function writeFileAtomic(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, data);
+    fs.renameSync(tempPath, filePath);
+}
+
+function hashFile(filePath) {
+    return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+function getManifestPath(chunkDir) {
+    return path.join(chunkDir, MANIFEST_FILE);
+}
+
+/**
+ * Read an issue's manifest ({ version, chunks: { [filename]: entry } })
+ * Throws if the manifest exists but can't be parsed.
+ */
+function readManifest(chunkDir) {
+    const manifestPath = getManifestPath(chunkDir);
+    if (!fs.existsSync(manifestPath)) {
+        return { version: MANIFEST_VERSION, chunks: {} };
+    }
+
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    return { version: manifest.version || MANIFEST_VERSION, chunks: manifest.chunks || {} };
+}
+
+/**
+ * Record (entry) or forget (null) chunk files in the manifest
+ * @param {Object} updates - { [filename]: entry | null }
+ */
+function updateManifest(chunkDir, updates) {
+    let manifest;
+    try {
+        manifest = readManifest(chunkDir);
+    } catch (error) {
+        // A corrupt manifest shouldn't stop fetching; verify_chunks.js rebuilds the rest
+        console.log(`  ⚠ Unreadable ${getManifestPath(chunkDir)} (${error.message}) - starting a new one`);
+        manifest = { version: MANIFEST_VERSION, chunks: {} };
+    }
+
+    for (const [filename, entry] of Object.entries(updates)) {
+        if (entry) {
+            manifest.chunks[filename] = entry;
+        } else {
+            delete manifest.chunks[filename];
+        }
+    }
+
+    writeFileAtomic(getManifestPath(chunkDir), JSON.stringify(manifest, null, 2));
+}
+
+/**
+ * Manifest entry describing a chunk file as written
+ */
+function getManifestEntry(chunkPath, header) {
+    const parsed = parseChunkFilename(path.basename(chunkPath));
+    const stats = fs.statSync(chunkPath);
+    return {
+        start: parsed.start,
+        end: parsed.end,
+        format: parsed.format,
+        totalEvents: header.totalEvents,
+        fetchStatus: header.fetchStatus || 'complete',
+        schemaVersion: header.schemaVersion || null,
+        sha256: hashFile(chunkPath),
+        size: stats.size,
+        mtimeMs: stats.mtimeMs,
+        updatedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Parse a chunk filename into { start, end, format } (null if it isn't one)
+ */
+function parseChunkFilename(filename) {
+    const match = filename.match(CHUNK_FILE_PATTERN);
+    return match ? { start: match[1], end: match[2], format: match[3] } : null;
+}
+
+/**
+ * List an issue's chunk files, oldest range first
+ * @returns {Array<{filename, path, start, end, format}>}
+ */
+function listChunkFiles(chunkDir) {
+    if (!fs.existsSync(chunkDir)) {
+        return [];
+    }
+
+    return fs.readdirSync(chunkDir)
+        .map(filename => {
+            const parsed = parseChunkFilename(filename);
+            return parsed ? { filename, path: path.join(chunkDir, filename), ...parsed } : null;
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.start.localeCompare(b.start) || a.end.localeCompare(b.end));
+}
+
+/**
+ * Read a chunk's metadata without its events
+ * Only the start of an NDJSON chunk is decompressed, so this stays cheap for large chunks.
+ */
+function readChunkHeader(chunkPath) {
+    if (!chunkPath.endsWith('.ndjson.gz')) {
+        const { events, ...header } = JSON.parse(fs.readFileSync(chunkPath, 'utf8'));
+        if (header.totalEvents === undefined) {
+            header.totalEvents = (events || []).length;
+        }
+        return header;
+    }
+
+    const fd = fs.openSync(chunkPath, 'r');
+    let compressed;
+    try {
+        const buffer = Buffer.alloc(HEADER_READ_BYTES);
+        const bytesRead = fs.readSync(fd, buffer, 0, HEADER_READ_BYTES, 0);
+        compressed = buffer.subarray(0, bytesRead);
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    // Z_SYNC_FLUSH lets us decompress a prefix of the stream
+    let text = zlib.gunzipSync(compressed, { finishFlush: zlib.constants.Z_SYNC_FLUSH }).toString('utf8');
+    let newline = text.indexOf('\n');
+
+    // Headers with many sub-range checkpoints can outgrow the prefix
+    if (newline === -1 && compressed.length === HEADER_READ_BYTES) {
+        text = zlib.gunzipSync(fs.readFileSync(chunkPath)).toString('utf8');
+        newline = text.indexOf('\n');
+    }
+    const record = JSON.parse(newline === -1 ? text : text.slice(0, newline));
+
+    if (record.type !== 'header') {
+        throw new Error(`Missing header record in ${chunkPath}`);
+    }
+
+    const { type, formatVersion, ...header } = record;
+    return header;
+}
+
+/**
+ * Check that the rest of a chunk can be read too - an NDJSON chunk's header
+ * reads fine even when its body is truncated. A file with the size and
+ * modification time its manifest entry recorded is taken as unchanged; any
+ * other is compared with the manifest checksum, or decompressed whole if it
+ * isn't in the manifest. Throws if it can't be read (JSON chunks are already
+ * read whole with the header).
+ */
+function checkChunkBody(chunkPath, manifestEntry = null) {
+    if (!chunkPath.endsWith('.ndjson.gz')) return;
+
+    if (manifestEntry) {
+        const stats = fs.statSync(chunkPath);
+        if (stats.size === manifestEntry.size && stats.mtimeMs === manifestEntry.mtimeMs) return;
+        if (manifestEntry.sha256 !== hashFile(chunkPath)) {
+            throw new Error('checksum does not match manifest');
+        }
+        return;
+    }
+
+    zlib.gunzipSync(fs.readFileSync(chunkPath));
+}
+
+/**
+ * Iterate a chunk's events, streaming NDJSON chunks line by line
+ */
+async function* iterateChunkEvents(chunkPath) {
+    if (!chunkPath.endsWith('.ndjson.gz')) {
+        const chunkData = JSON.parse(fs.readFileSync(chunkPath, 'utf8'));
+        yield* chunkData.events || [];
+        return;
+    }
+
+    const input = fs.createReadStream(chunkPath).pipe(zlib.createGunzip());
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    let isHeader = true;
+    for await (const line of lines) {
+        if (isHeader) {
+            isHeader = false;
+            continue;
+        }
+        if (line) {
+            yield JSON.parse(line);
+        }
+    }
+}
+
+async function readChunkEvents(chunkPath) {
+    const events = [];
+    for await (const event of iterateChunkEvents(chunkPath)) {
+        events.push(event);
+    }
+    return events;
+}
+
+/**
+ * Write a chunk in the given format, replacing the same range in any other format
+ * @param {Object} header - chunk metadata (fetchDate, issueId, ..., totalEvents)
+ * @returns {string} path of the written file
+ */
+function writeChunk(chunkDir, startDate, endDate, header, events, format = CHUNK_FORMAT) {
+    if (!fs.existsSync(chunkDir)) {
+        fs.mkdirSync(chunkDir, { recursive: true });
+    }
+
+    const chunkPath = path.join(chunkDir, getChunkFilename(startDate, endDate, format));
+
+    if (format === FORMATS.NDJSON_GZ) {
+        const lines = [JSON.stringify({ type: 'header', formatVersion: NDJSON_FORMAT_VERSION, ...header })];
+        for (const event of events) {
+            lines.push(JSON.stringify(event));
+        }
+        writeFileAtomic(chunkPath, zlib.gzipSync(lines.join('\n') + '\n'));
+    } else {
+        writeFileAtomic(chunkPath, JSON.stringify({ ...header, events }, null, 2));
+    }
+
+    const manifestUpdates = {
+        [path.basename(chunkPath)]: getManifestEntry(chunkPath, { ...header, totalEvents: events.length })
+    };
+
+    for (const other of Object.values(FORMATS)) {
+        if (other === format) continue;
+        const otherFilename = getChunkFilename(startDate, endDate, other);
+        const otherPath = path.join(chunkDir, otherFilename);
+        if (fs.existsSync(otherPath)) {
+            fs.unlinkSync(otherPath);
+        }
+        manifestUpdates[otherFilename] = null;
+    }
+
+    updateManifest(chunkDir, manifestUpdates);
+
+    return chunkPath;
+}
+
+/**
+ * Delete a chunk file and its manifest entry
+ */
+function removeChunk(chunkPath) {
+    if (fs.existsSync(chunkPath)) {
+        fs.unlinkSync(chunkPath);
+    }
+    updateManifest(path.dirname(chunkPath), { [path.basename(chunkPath)]: null });
+}
+
+/**
+ * Rewrite a chunk file in another format (no-op if it's already in that format)
+ * @returns {boolean} whether the chunk was rewritten
+ */
+async function convertChunk(chunkFile, format) {
+    if (chunkFile.format === format) return false;
+
+    const header = readChunkHeader(chunkFile.path);
+    const events = await readChunkEvents(chunkFile.path);
+    writeChunk(path.dirname(chunkFile.path), chunkFile.start, chunkFile.end, header, events, format);
+    return true;
+}
+
+module.exports = {
+    FORMATS,
+    CHUNK_FORMAT,
+    STORAGE_BACKENDS,
+    STORAGE_BACKEND,
+    RAW_DIR,
+    getChunkDir,
+    hashFile,
+    readManifest,
+    updateManifest,
+    getManifestEntry,
+    parseChunkFilename,
+    listChunkFiles,
+    readChunkHeader,
+    checkChunkBody,
+    iterateChunkEvents,
+    readChunkEvents,
+    writeChunk,
+    removeChunk,
+    convertChunk
+};
@@ -0,0 +1,189 @@
+/**
+ * Daily Aggregates
+ * Per-day summaries of cached events (event count, unique users, hourly counts
+ * and per-tag breakdowns), kept in data/aggregates/<issue dir>.json after
+ * `cache prune` drops the raw events, so old days can still be reported on
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { toZonedDate } = require('./timezone');
+const { DATA_DIR } = require('./data_dir');
+
+const AGGREGATES_DIR = path.join(DATA_DIR, 'aggregates');
+
+function getAggregatesPath(issue) {
+    const dirName = `${issue.name.toLowerCase().replace(/\s+/g, '_')}_${issue.id}`;
+    return path.join(AGGREGATES_DIR, `${dirName}.json`);
+}
+
+// Same breakdowns as aggregate mode: the issue's "breakdowns", or every tag
+function getBreakdownKeys(issue) {
+    const wanted = issue.breakdowns || issue.schema.tags.map(entry => entry.as);
+    return issue.schema.tags.filter(entry => wanted.includes(entry.as)).map(entry => entry.as);
+}
+
+/**
+ * Stored daily aggregates for an issue
+ * @returns {Object} { 'YYYY-MM-DD': summary } (see aggregateEventsByDay)
+ */
+function readDailyAggregates(issue) {
+    const aggregatesPath = getAggregatesPath(issue);
+    if (!fs.existsSync(aggregatesPath)) return {};
+    return JSON.parse(fs.readFileSync(aggregatesPath, 'utf8')).days || {};
+}
+
+// Start of the UTC hour an event happened in, like Sentry's hourly buckets
+function toHourBucket(timestamp) {
+    const hour = new Date(timestamp);
+    hour.setUTCMinutes(0, 0, 0);
+    return hour.toISOString();
+}
+
+/**
+ * Summarize events per day (days in the reporting timezone)
+ * @param {boolean} complete - false if any chunk the events came from was only partially fetched
+ * @param {string[]} coveredDays - every day the events were cached for, so days
+ *   without events get a summary too
+ * @returns {Object} { 'YYYY-MM-DD': { events, users, complete, hours: { hourStart: events },
+ *   breakdowns: { key: { value: { events, users } } } } }
+ */
+function aggregateEventsByDay(issue, events, complete = true, coveredDays = []) {
+    const keys = getBreakdownKeys(issue);
+    const days = {};
+    const usersByDay = {};
+
+    const ensureDay = day => {
+        if (!days[day]) {
+            days[day] = { events: 0, users: 0, complete, hours: {}, breakdowns: Object.fromEntries(keys.map(k => [k, {}])) };
+            usersByDay[day] = { all: new Set(), byValue: Object.fromEntries(keys.map(k => [k, {}])) };
+        }
+    };
+    coveredDays.forEach(ensureDay);
+
+    for (const event of events) {
+        const day = toZonedDate(event.timestamp);
+        ensureDay(day);
+
+        const hour = toHourBucket(event.timestamp);
+        days[day].events++;
+        days[day].hours[hour] = (days[day].hours[hour] || 0) + 1;
+        usersByDay[day].all.add(event.userId);
+
+        for (const key of keys) {
+            const value = event[key] === undefined || event[key] === null ? 'Unknown' : event[key];
+            const counts = days[day].breakdowns[key];
+            const users = usersByDay[day].byValue[key];
+            if (!counts[value]) {
+                counts[value] = { events: 0, users: 0 };
+                users[value] = new Set();
+            }
+            counts[value].events++;
+            users[value].add(event.userId);
+        }
+    }
+
+    for (const day of Object.keys(days)) {
+        days[day].users = usersByDay[day].all.size;
+        for (const key of keys) {
+            for (const [value, users] of Object.entries(usersByDay[day].byValue[key])) {
+                days[day].breakdowns[key][value].users = users.size;
+            }
+        }
+    }
+
+    return days;
+}
+
+/**
+ * Stored days in a range that no cached chunk holds any more, i.e. pruned days
+ * @param {Array<{start, end}>} chunks - the issue's cached chunks, whatever their status
+ * @returns {Object} { 'YYYY-MM-DD': summary }
+ */
+function getPrunedDays(issue, chunks, startDate, endDate) {
+    const pruned = {};
+    for (const [day, summary] of Object.entries(readDailyAggregates(issue))) {
+        if (day < startDate || day > endDate) continue;
+        if (chunks.some(chunk => day >= chunk.start && day <= chunk.end)) continue;
+        pruned[day] = summary;
+    }
+    return pruned;
+}
+
+/**
+ * Combine daily summaries into the per-issue shape of aggregate mode (see
+ * sentry_aggregates.js). Unique users are summed across days, so like
+ * Sentry's grouped values they're an upper bound.
+ * @returns {{issueKey, totalEvents, uniqueUsers, hourly, breakdowns}}
+ */
+function summarizeDays(issue, days) {
+    const summaries = Object.values(days);
+    const hourly = {};
+    const breakdowns = {};
+
+    for (const summary of summaries) {
+        for (const [time, count] of Object.entries(summary.hours)) {
+            hourly[time] = (hourly[time] || 0) + count;
+        }
+        for (const [key, values] of Object.entries(summary.breakdowns)) {
+            if (!breakdowns[key]) breakdowns[key] = {};
+            for (const [value, counts] of Object.entries(values)) {
+                if (!breakdowns[key][value]) {
+                    breakdowns[key][value] = { value, count: 0, uniqueUsers: 0 };
+                }
+                breakdowns[key][value].count += counts.events;
+                breakdowns[key][value].uniqueUsers += counts.users;
+            }
+        }
+    }
+
+    return {
+        issueKey: issue.key,
+        totalEvents: summaries.reduce((sum, summary) => sum + summary.events, 0),
+        uniqueUsers: summaries.reduce((sum, summary) => sum + summary.users, 0),
+        hourly: Object.keys(hourly).sort().map(time => ({ time, count: hourly[time] })),
+        breakdowns: Object.fromEntries(Object.entries(breakdowns)
+            .map(([key, rows]) => [key, Object.values(rows).sort((a, b) => b.count - a.count)]))
+    };
+}
+
+/**
+ * Add days to an issue's stored aggregates
+ * Days already stored are kept as they are: they were summarized from the full
+ * cache when they were first pruned, and later chunks may only cover part of them.
+ * @returns {number} how many days were added
+ */
+function mergeDailyAggregates(issue, days) {
+    const existing = readDailyAggregates(issue);
+    const added = Object.keys(days).filter(day => !existing[day]);
+    if (added.length === 0) return 0;
+
+    for (const day of added) {
+        existing[day] = days[day];
+    }
+
+    const sorted = Object.fromEntries(Object.keys(existing).sort().map(day => [day, existing[day]]));
+    const aggregatesPath = getAggregatesPath(issue);
+    fs.mkdirSync(AGGREGATES_DIR, { recursive: true });
+
+    const tempPath = `${aggregatesPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify({
+        issueId: issue.id,
+        issueName: issue.name,
+        updatedAt: new Date().toISOString(),
+        days: sorted
+    }, null, 2));
+    fs.renameSync(tempPath, aggregatesPath);
+
+    return added.length;
+}
+
+module.exports = {
+    AGGREGATES_DIR,
+    getAggregatesPath,
+    readDailyAggregates,
+    aggregateEventsByDay,
+    getPrunedDays,
+    summarizeDays,
+    mergeDailyAggregates
+};
@@ -0,0 +1,17 @@
+/**
+ * Data Directory
+ * Where everything fetched, cached and generated is kept: data/ in the repo, or
+ * REPORT_DATA_DIR if set. It's resolved once, when this module is first loaded.
+ *
+ * --record and --replay runs of the orchestrator set it to a directory inside the
+ * fixture directory, so fetching through fixtures never overwrites the live
+ * cache with old data marked as freshly fetched.
+ */
+
+const path = require('path');
+
+const DATA_DIR = path.resolve(process.env.REPORT_DATA_DIR || path.join(__dirname, '../data'));
+
+module.exports = {
+    DATA_DIR
+};
@@ -0,0 +1,21 @@
+/**
+ * Environment Settings
+ * Numeric settings read from the environment. An unset or unparsable variable
+ * falls back to the default, but 0 is kept (e.g. SENTRY_MAX_RETRIES=0 turns
+ * retries off).
+ */
+
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+}
+
+function envFloat(name, fallback) {
+    const value = parseFloat(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
+}
+
+module.exports = {
+    envInt,
+    envFloat
+};
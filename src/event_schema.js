@@ -0,0 +1,105 @@
+/**
+ * Event Extraction Schema
+ * Turns a full Sentry event into the minimal record we cache, driven by the
+ * "tags" and "fields" declared for each issue in config/sentry_issues.json
+ *
+ * Every cached event keeps timestamp, eventId and userId. On top of that:
+ *   tags   - Sentry tag keys, e.g. "merchant_id" or { "tag": "browser.name", "as": "browser" }
+ *   fields - dotted paths into the event, e.g. { "field": "contexts.os.name", "as": "os" }
+ * Both accept an optional "default" used when the value is missing or empty.
+ *
+ * Bump the issue's "schemaVersion" whenever its tags/fields change; chunks
+ * record the version they were extracted with so outdated ones can be found.
+ */
+
+const DEFAULT_SCHEMA_VERSION = 1;
+
+/**
+ * Normalize a tag/field entry (string or object) to { source, as, default }
+ */
+function normalizeEntry(entry, sourceKey) {
+    if (typeof entry === 'string') {
+        return { source: entry, as: entry, default: undefined };
+    }
+
+    const source = entry[sourceKey];
+    if (!source) {
+        throw new Error(`Invalid extraction entry ${JSON.stringify(entry)}: missing "${sourceKey}"`);
+    }
+
+    return { source, as: entry.as || source, default: entry.default };
+}
+
+/**
+ * Normalize an issue's extraction schema (called by the issue registry)
+ */
+function normalizeSchema(issue) {
+    return {
+        version: issue.schemaVersion || DEFAULT_SCHEMA_VERSION,
+        tags: (issue.tags || []).map(entry => normalizeEntry(entry, 'tag')),
+        fields: (issue.fields || []).map(entry => normalizeEntry(entry, 'field'))
+    };
+}
+
+/**
+ * Output keys the schema adds to each cached event
+ */
+function getExtractedKeys(schema) {
+    return [...schema.tags, ...schema.fields].map(entry => entry.as);
+}
+
+function getValueAtPath(obj, dottedPath) {
+    return dottedPath.split('.').reduce((value, key) => {
+        return value !== null && value !== undefined ? value[key] : undefined;
+    }, obj);
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '';
+}
+
+/**
+ * Extract the minimal cached record for a full Sentry event
+ */
+function extractEvent(event, schema) {
+    const user = event.user || {};
+    const userId = user.id || user.email || user.ip_address || 'anonymous';
+
+    const minimalEvent = {
+        timestamp: event.dateCreated || event.dateReceived || new Date().toISOString(),
+        eventId: event.id || event.eventID,
+        userId: userId
+    };
+
+    const tagValues = {};
+    for (const tag of event.tags || []) {
+        tagValues[tag.key] = tag.value;
+    }
+
+    for (const entry of schema.tags) {
+        const value = tagValues[entry.source];
+        if (!isEmpty(value)) {
+            minimalEvent[entry.as] = value;
+        } else if (entry.default !== undefined) {
+            minimalEvent[entry.as] = entry.default;
+        }
+    }
+
+    for (const entry of schema.fields) {
+        const value = getValueAtPath(event, entry.source);
+        if (!isEmpty(value)) {
+            minimalEvent[entry.as] = value;
+        } else if (entry.default !== undefined) {
+            minimalEvent[entry.as] = entry.default;
+        }
+    }
+
+    return minimalEvent;
+}
+
+module.exports = {
+    DEFAULT_SCHEMA_VERSION,
+    normalizeSchema,
+    getExtractedKeys,
+    extractEvent
+};
@@ -1,52 +1,126 @@
 /**
  * Gravity Forms API Integration
  * Fetches application and form submission data from WordPress Gravity Forms
+ *
+ * Entries are cached per form (see gravity_forms_cache.js) and only the days
+ * missing from the cache are fetched; the metrics are then computed from the
+ * cache, so past periods can be rebuilt offline.
  */
 
 require('dotenv').config();
 
+const fs = require('fs');
+const path = require('path');
+const { isReplaying } = require('./http_fixtures');
+const { DATA_DIR } = require('./data_dir');
+const { envInt } = require('./env');
+const { runPool } = require('./worker_pool');
+const { REPORT_TIMEZONE, toZonedDate, getToday, addDays } = require('./timezone');
+const { resolveReportPeriod } = require('./report_period');
+const { loadFormConfig, loadFunnelConfig, getExpectedFields } = require('./gravity_forms_config');
+const { AUTH_MODES, GRAVITY_FORMS_AUTH, getAuthHeaders } = require('./gravity_forms_auth');
+const { parseEntryDate, planFormRanges, saveFormChunk, loadFormEntries, hasFormCache, hasFunnelSecret } = require('./gravity_forms_cache');
+const { buildFunnel } = require('./application_funnel');
+const { buildHeatmap } = require('./time_heatmap');
+const { buildSeries } = require('./time_series');
+
 const GRAVITY_FORMS_URL = process.env.GRAVITY_FORMS_URL;
 const GRAVITY_FORMS_KEY = process.env.GRAVITY_FORMS_KEY;
 const GRAVITY_FORMS_SECRET = process.env.GRAVITY_FORMS_SECRET;
 
-// Form IDs
-const FORMS = {
-    applications: 4,
-    bankVerification: 10,
-    changePassword: 8,
-    documentationUpload: 11,
-    forgotPassword: 7,
-    login: 6,
-    makePayment: 13,
-    pleaseWait: 14,
-    resetPassword: 9,
-    uploadDocument: 12
+// Retries per page (on network errors, 429, 5xx and unparseable bodies), and forms fetched at once
+const MAX_RETRIES = envInt('GRAVITY_FORMS_MAX_RETRIES', 3);
+const DEFAULT_CONCURRENCY = envInt('GRAVITY_FORMS_CONCURRENCY', 3);
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30000;
+
+// Whether a form's days in the period are all cached (see formStatus below)
+const FORM_STATUS = {
+    COMPLETE: 'complete',
+    PARTIAL: 'partial',
+    FAILED: 'failed'
 };
 
-// State name mapping
-const STATE_NAMES = {
-    'NV': 'Nevada',
-    'ID': 'Idaho',
-    'WI': 'Wisconsin',
-    'UT': 'Utah',
-    'MO': 'Missouri',
-    'DE': 'Delaware',
-    'OK': 'Oklahoma'
-};
+// Version of the applications_data.json layout built below (see src/migrations/)
+const APPLICATIONS_SCHEMA_VERSION = 2;
+
+const APPLICATIONS_FILE = path.join(DATA_DIR, 'manual', 'applications_data.json');
+// Every period's applications_data.json is also kept here, as <start>_to_<end>.json
+const APPLICATIONS_HISTORY_DIR = path.join(DATA_DIR, 'aggregates', 'applications');
+
+function sleep(ms) {
+    // Replayed failures don't need real waiting
+    if (isReplaying()) return Promise.resolve();
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Exponential backoff with full jitter, as for Sentry requests
+function getBackoffDelay(attempt) {
+    return Math.floor(Math.random() * Math.min(MAX_DELAY_MS, BASE_DELAY_MS * Math.pow(2, attempt)));
+}
+
+/**
+ * GET one page of entries, retrying with backoff
+ * @param {string} label - which form and page, for log lines
+ */
+async function fetchPage(url, label) {
+    for (let attempt = 0; ; attempt++) {
+        let failure;
+        let serverDelay = null;
+        let response = null;
+        let body;
+
+        try {
+            // Credentials go in the Authorization header (see gravity_forms_auth.js), never the URL.
+            // Signed per attempt, so each retry has a fresh nonce.
+            response = await fetch(url, {
+                headers: getAuthHeaders('GET', url, { key: GRAVITY_FORMS_KEY, secret: GRAVITY_FORMS_SECRET })
+            });
+            body = await response.text();
+        } catch (error) {
+            failure = `Network error: ${error.message}`;
+        }
+
+        if (failure) {
+            // Retried below
+        } else if (response.ok) {
+            try {
+                return JSON.parse(body);
+            } catch (error) {
+                failure = `Invalid JSON response: ${error.message}`;
+            }
+        } else if (response.status === 429 || response.status >= 500) {
+            failure = `HTTP ${response.status}: ${response.statusText}`;
+            const retryAfter = Number(response.headers.get('retry-after'));
+            if (retryAfter > 0) serverDelay = Math.min(MAX_DELAY_MS, retryAfter * 1000);
+        } else {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        if (attempt >= MAX_RETRIES) {
+            throw new Error(`${failure} (gave up after ${attempt + 1} attempts)`);
+        }
+
+        const delay = serverDelay !== null ? serverDelay : getBackoffDelay(attempt);
+        console.log(`    ⚠ ${label}: ${failure}, retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 2}/${MAX_RETRIES + 1})`);
+        await sleep(delay);
+    }
+}
 
 /**
  * Fetch entries from a Gravity Form within a date range
+ * @param {string} startDateStr - first day (YYYY-MM-DD in the reporting timezone)
+ * @param {string} endDateStr - last day, inclusive
+ * Failed pages are retried (GRAVITY_FORMS_MAX_RETRIES times); throws if one still
+ * can't be fetched, so a range is only cached once it's complete.
  */
-async function fetchFormEntries(formId, startDate, endDate) {
-    const baseUrl = `${GRAVITY_FORMS_URL}/wp-json/gf/v2/entries`;
+async function fetchFormEntries(formId, startDateStr, endDateStr) {
+    // The host is ignored when replaying fixtures, so credentials aren't needed then
+    const baseUrl = `${GRAVITY_FORMS_URL || 'http://localhost'}/wp-json/gf/v2/entries`;
     const allEntries = [];
     let page = 1;
     const pageSize = 100;
 
-    // Format dates for the API (YYYY-MM-DD)
-    const startDateStr = startDate.toISOString().split('T')[0];
-    const endDateStr = endDate.toISOString().split('T')[0];
-
     console.log(`  Fetching Form ${formId} entries from ${startDateStr} to ${endDateStr}...`);
 
     while (true) {
@@ -54,33 +128,27 @@ async function fetchFormEntries(formId, startDate, endDate) {
             'form_ids': formId,
             'paging[page_size]': pageSize,
             'paging[current_page]': page,
+            // The API matches whole UTC days, so ask for a day either side
+            // and keep the entries that fall in range in the reporting timezone
             'search': JSON.stringify({
-                'start_date': startDateStr,
-                'end_date': endDateStr
-            }),
-            'consumer_key': GRAVITY_FORMS_KEY,
-            'consumer_secret': GRAVITY_FORMS_SECRET
+                'start_date': addDays(startDateStr, -1),
+                'end_date': addDays(endDateStr, 1)
+            })
         });
 
         const url = `${baseUrl}?${params.toString()}`;
 
         try {
-            const response = await fetch(url);
-
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-
-            const data = await response.json();
+            const data = await fetchPage(url, `Form ${formId} page ${page}`);
             const entries = data.entries || [];
 
             if (entries.length === 0) {
                 break;
             }
 
-            // Filter entries by date only (ignore time component)
+            // Filter entries by the day they were created in the reporting timezone
             const filteredEntries = entries.filter(entry => {
-                const entryDateStr = entry.date_created.split(' ')[0]; // "YYYY-MM-DD HH:MM:SS" -> "YYYY-MM-DD"
+                const entryDateStr = toZonedDate(parseEntryDate(entry.date_created));
                 return entryDateStr >= startDateStr && entryDateStr <= endDateStr;
             });
 
@@ -92,8 +160,7 @@ async function fetchFormEntries(formId, startDate, endDate) {
 
             page++;
         } catch (error) {
-            console.error(`  Error fetching form ${formId} page ${page}:`, error.message);
-            break;
+            throw new Error(`Form ${formId} page ${page}: ${error.message}`);
         }
     }
 
@@ -101,183 +168,331 @@ async function fetchFormEntries(formId, startDate, endDate) {
     return allEntries;
 }
 
+function getFieldValue(entry, field) {
+    const value = entry[field];
+    return value === undefined || value === null ? '' : String(value);
+}
+
 /**
- * Process application entries (Form 4)
+ * Derive a form's metrics (see config/gravity_forms.json) from its entries
  */
-function processApplications(entries) {
-    const result = {
-        total: entries.length,
-        fromStoreKiosks: 0,
-        firstTimeApplications: 0,
-        returningCustomers: 0,
-        byState: {}
-    };
-
-    for (const entry of entries) {
-        // Field 120: Origin
-        const origin = entry['120'] || '';
-        if (origin === 'Store Kiosk') {
-            result.fromStoreKiosks++;
+function processFormEntries(form, entries) {
+    const result = { ...form.defaults };
+
+    for (const metric of form.metrics) {
+        if (metric.type === 'breakdown') {
+            const counts = {};
+            for (const entry of entries) {
+                const value = getFieldValue(entry, metric.field);
+                if (!value) continue;
+                const label = (metric.labels && metric.labels[value]) || value;
+                counts[label] = (counts[label] || 0) + 1;
+            }
+            result[metric.name] = counts;
+        } else if (metric.field) {
+            result[metric.name] = entries.filter(entry => metric.values.includes(getFieldValue(entry, metric.field))).length;
+        } else {
+            result[metric.name] = entries.length;
         }
+    }
+
+    return result;
+}
 
-        // Field 151: First application or New Loan
-        const customerType = entry['151'] || '';
-        if (customerType === 'FirstApplication') {
-            result.firstTimeApplications++;
-        } else if (customerType === 'NewLoan') {
-            result.returningCustomers++;
+/**
+ * Check fetched entries against what the mapping expects, so edits to the
+ * WordPress forms show up as warnings instead of silently zeroed metrics
+ * @returns {string[]} warnings
+ */
+function validateFormEntries(form, entries) {
+    if (entries.length === 0) return [];
+
+    const warnings = [];
+    const label = `Form ${form.id} (${form.name})`;
+
+    for (const field of getExpectedFields(form)) {
+        if (!entries.some(entry => entry[field] !== undefined)) {
+            warnings.push(`${label}: field "${field}" is missing from all ${entries.length} entries`);
         }
+    }
+
+    // The cache holds the funnel key hashed, as "funnelKey" (only with a funnel secret)
+    if (form.funnelKey && hasFunnelSecret() && !entries.some(entry => entry.funnelKey)) {
+        warnings.push(`${label}: funnel key field "${form.funnelKey}" is empty or missing in all ${entries.length} entries`);
+    }
+
+    // Values the count metrics look for, per field; none of them turning up
+    // at all usually means the form's choices were renamed
+    const valuesByField = {};
+    for (const metric of form.metrics.filter(m => m.type === 'count' && m.field)) {
+        valuesByField[metric.field] = [...(valuesByField[metric.field] || []), ...metric.values];
+    }
 
-        // Field 27: State
-        const stateCode = entry['27'] || '';
-        if (stateCode) {
-            const stateName = STATE_NAMES[stateCode] || stateCode;
-            result.byState[stateName] = (result.byState[stateName] || 0) + 1;
+    for (const [field, values] of Object.entries(valuesByField)) {
+        const seen = new Set(entries.map(entry => getFieldValue(entry, field)).filter(Boolean));
+        if (seen.size > 0 && !values.some(value => seen.has(value))) {
+            const examples = [...seen].slice(0, 5).map(v => `"${v}"`).join(', ');
+            warnings.push(`${label}: no entries have field "${field}" = ${values.map(v => `"${v}"`).join(' or ')} (seen: ${examples})`);
         }
     }
 
-    return result;
+    return warnings;
 }
 
 /**
- * Process Please Wait entries (Form 14)
+ * Completeness of a form's metrics, as recorded in applications_data.json
+ * @param {number} periodDays - days in the period
+ * @param {Object} syncResult - from syncFormCache (none when built offline)
  */
-function processPleaseWait(entries) {
-    const result = {
-        total: entries.length,
-        errorServer: 0,
-        complete: 0
+function getFormStatus(form, missingDays, periodDays, syncResult = null) {
+    const status = { form: form.key, name: form.name };
+
+    if (missingDays.length === 0) {
+        return { ...status, status: FORM_STATUS.COMPLETE };
+    }
+
+    return {
+        ...status,
+        status: missingDays.length === periodDays ? FORM_STATUS.FAILED : FORM_STATUS.PARTIAL,
+        missingDays: missingDays.length,
+        firstMissingDay: missingDays[0],
+        lastMissingDay: missingDays[missingDays.length - 1],
+        error: syncResult && syncResult.error ? syncResult.error : 'not cached'
     };
+}
 
-    for (const entry of entries) {
-        const status = entry['workflow_final_status'] || '';
-        if (status === 'error_server') {
-            result.errorServer++;
-        } else if (status === 'complete') {
-            result.complete++;
+// Statuses of the forms in applications data that are missing days of its period
+function getIncompleteForms(data) {
+    return Object.values(data.formStatus || {}).filter(formStatus => formStatus.status !== FORM_STATUS.COMPLETE);
+}
+
+// e.g. "3 day(s) missing (2026-01-05 to 2026-01-09) - HTTP 503: Service Unavailable"
+function describeMissingDays(formStatus) {
+    const span = formStatus.missingDays > 1 ? `${formStatus.firstMissingDay} to ${formStatus.lastMissingDay}` : formStatus.firstMissingDay;
+    return `${formStatus.missingDays} day(s) missing (${span}) - ${formStatus.error}`;
+}
+
+function setOutput(data, outputPath, value) {
+    const keys = outputPath.split('.');
+    let target = data;
+    for (const key of keys.slice(0, -1)) {
+        target[key] = target[key] || {};
+        target = target[key];
+    }
+    target[keys[keys.length - 1]] = value;
+}
+
+/**
+ * Fetch and cache the days of a form's range that aren't cached yet
+ * A range that fails is left uncached (and so fetched again next run).
+ * @returns {Promise<{fetched, failed, error}>} ranges fetched and failed, and the last error
+ */
+async function syncFormCache(form, startDateStr, endDateStr, options = {}) {
+    const ranges = planFormRanges(form, startDateStr, endDateStr, options);
+    let failed = 0;
+    let lastError = null;
+
+    if (ranges.length === 0) {
+        console.log(`  ✓ ${form.name}: ${startDateStr} to ${endDateStr} already cached`);
+    }
+
+    for (const range of ranges) {
+        try {
+            const entries = await fetchFormEntries(form.id, range.start, range.end);
+            saveFormChunk(form, range.start, range.end, entries);
+        } catch (error) {
+            console.error(`  ✗ ${form.name} ${range.start} to ${range.end}: ${error.message} - will retry next run`);
+            failed++;
+            lastError = error.message;
         }
     }
 
-    return result;
+    return { fetched: ranges.length - failed, failed, error: lastError };
 }
 
 /**
- * Main function to fetch all Gravity Forms data
+ * Build applications_data.json for a period from the entry cache, fetching
+ * whatever isn't cached first
+ * @param {string} startDateStr - first day (YYYY-MM-DD in the reporting timezone)
+ * @param {string} endDateStr - last day, inclusive
+ * @param {Object} options
+ * @param {boolean} options.offline - Use only the cache (no credentials needed); throws if no day of the period is cached
+ * @param {boolean} options.refresh - Re-fetch the whole period, ignoring the cache
+ * @param {number} options.maxAgeHours - Re-fetch cached days fetched longer ago than this
+ * @param {number} options.concurrency - Forms fetched at once (default GRAVITY_FORMS_CONCURRENCY or 3)
+ * The result's formStatus says, per form output, whether every day of the
+ * period made it into the cache; the report flags metrics from forms that didn't.
  */
-async function fetchGravityFormsData(startDate, endDate) {
-    console.log('\n=== Fetching Gravity Forms Data ===');
-    console.log(`Date range: ${startDate.toISOString().split('T')[0]} to ${endDate.toISOString().split('T')[0]}`);
+async function fetchGravityFormsData(startDateStr, endDateStr, options = {}) {
+    const { offline = false, concurrency = DEFAULT_CONCURRENCY } = options;
+
+    console.log(`\n=== ${offline ? 'Loading Cached' : 'Fetching'} Gravity Forms Data ===`);
+    console.log(`Date range: ${startDateStr} to ${endDateStr} (${REPORT_TIMEZONE})`);
+
+    const forms = loadFormConfig();
+    let syncResults = [];
+
+    if (offline) {
+        if (!forms.some(hasFormCache)) {
+            throw new Error('No Gravity Forms entries cached yet');
+        }
+    } else {
+        if (!isReplaying() && (!GRAVITY_FORMS_URL || !GRAVITY_FORMS_KEY || !GRAVITY_FORMS_SECRET)) {
+            throw new Error('Missing Gravity Forms credentials. Set GRAVITY_FORMS_URL, GRAVITY_FORMS_KEY, and GRAVITY_FORMS_SECRET environment variables.');
+        }
+        if (!Object.values(AUTH_MODES).includes(GRAVITY_FORMS_AUTH)) {
+            throw new Error(`Unknown GRAVITY_FORMS_AUTH "${GRAVITY_FORMS_AUTH}" (expected one of: ${Object.values(AUTH_MODES).join(', ')})`);
+        }
+        if (GRAVITY_FORMS_AUTH === AUTH_MODES.BASIC && GRAVITY_FORMS_URL && GRAVITY_FORMS_URL.startsWith('http://')) {
+            console.log('⚠ GRAVITY_FORMS_AUTH=basic over plain HTTP sends the consumer secret unencrypted');
+        }
 
-    if (!GRAVITY_FORMS_URL || !GRAVITY_FORMS_KEY || !GRAVITY_FORMS_SECRET) {
-        throw new Error('Missing Gravity Forms credentials. Set GRAVITY_FORMS_URL, GRAVITY_FORMS_KEY, and GRAVITY_FORMS_SECRET environment variables.');
+        console.log(`Fetching up to ${Math.min(concurrency, forms.length)} form(s) at a time`);
+        syncResults = await runPool(forms, concurrency, form => syncFormCache(form, startDateStr, endDateStr, options));
     }
 
-    // Fetch all form entries in parallel
-    const [
-        applicationEntries,
-        bankVerificationEntries,
-        changePasswordEntries,
-        documentationUploadEntries,
-        forgotPasswordEntries,
-        loginEntries,
-        makePaymentEntries,
-        pleaseWaitEntries,
-        resetPasswordEntries,
-        uploadDocumentEntries
-    ] = await Promise.all([
-        fetchFormEntries(FORMS.applications, startDate, endDate),
-        fetchFormEntries(FORMS.bankVerification, startDate, endDate),
-        fetchFormEntries(FORMS.changePassword, startDate, endDate),
-        fetchFormEntries(FORMS.documentationUpload, startDate, endDate),
-        fetchFormEntries(FORMS.forgotPassword, startDate, endDate),
-        fetchFormEntries(FORMS.login, startDate, endDate),
-        fetchFormEntries(FORMS.makePayment, startDate, endDate),
-        fetchFormEntries(FORMS.pleaseWait, startDate, endDate),
-        fetchFormEntries(FORMS.resetPassword, startDate, endDate),
-        fetchFormEntries(FORMS.uploadDocument, startDate, endDate)
-    ]);
-
-    // Process the data
-    const applications = processApplications(applicationEntries);
-    const pleaseWaitSubmissions = processPleaseWait(pleaseWaitEntries);
-
-    // Build the final data structure (matching existing format)
+    // Build the final data structure (laid out by each form's "output")
     const data = {
-        dateRangeStart: startDate.toISOString().split('T')[0],
-        dateRangeEnd: endDate.toISOString().split('T')[0],
-        lastUpdated: new Date().toISOString().split('T')[0],
-        applications: applications,
-        pleaseWaitSubmissions: pleaseWaitSubmissions,
-        bankVerification: {
-            total: bankVerificationEntries.length
-        },
-        documentationUploadDuringApplication: {
-            total: documentationUploadEntries.length
-        },
-        otherActions: {
-            uploadDocumentAuthenticated: {
-                label: 'Upload Document (Authenticated)',
-                total: uploadDocumentEntries.length
-            },
-            changePassword: {
-                label: 'Change Password',
-                total: changePasswordEntries.length
-            },
-            loginToMemberArea: {
-                label: 'Login to Member Area',
-                total: loginEntries.length
-            },
-            forgotPassword: {
-                label: 'Forgot Password',
-                total: forgotPasswordEntries.length
-            },
-            resetPassword: {
-                label: 'Reset Password',
-                total: resetPasswordEntries.length
-            },
-            makePayment: {
-                label: 'Make Payment (Form Submissions)',
-                total: makePaymentEntries.length
-            }
-        }
+        schemaVersion: APPLICATIONS_SCHEMA_VERSION,
+        dateRangeStart: startDateStr,
+        dateRangeEnd: endDateStr,
+        lastUpdated: getToday(),
+        // The report lists these, so it's present even if no form writes to it
+        otherActions: {},
+        formStatus: {},
+        heatmaps: {},
+        series: {}
     };
+    const warnings = [];
+    const incomplete = [];
+    const periodDays = (new Date(endDateStr) - new Date(startDateStr)) / (24 * 60 * 60 * 1000) + 1;
+    const entriesByForm = {};
 
     console.log('\n=== Gravity Forms Data Summary ===');
-    console.log(`Applications: ${data.applications.total}`);
-    console.log(`  - First Time: ${data.applications.firstTimeApplications}`);
-    console.log(`  - Returning: ${data.applications.returningCustomers}`);
-    console.log(`  - From Kiosks: ${data.applications.fromStoreKiosks}`);
-    console.log(`Please Wait Submissions: ${data.pleaseWaitSubmissions.total}`);
-    console.log(`Bank Verifications: ${data.bankVerification.total}`);
-    console.log(`Logins: ${data.otherActions.loginToMemberArea.total}`);
+    for (const [i, form] of forms.entries()) {
+        const { entries, missingDays } = await loadFormEntries(form, startDateStr, endDateStr);
+        entriesByForm[form.key] = entries;
+        const result = processFormEntries(form, entries);
+        setOutput(data, form.output, result);
+        warnings.push(...validateFormEntries(form, entries));
+
+        const entryTimes = entries.map(entry => parseEntryDate(entry.date_created));
+        if (form.heatmap) {
+            data.heatmaps[form.output] = { name: form.name, ...buildHeatmap(entryTimes) };
+        }
+        if (form.series) {
+            data.series[form.output] = { name: form.name, ...buildSeries(entryTimes) };
+        }
+
+        data.formStatus[form.output] = getFormStatus(form, missingDays, periodDays, syncResults[i]);
+        if (missingDays.length > 0) {
+            incomplete.push(`${form.name}: ${describeMissingDays(data.formStatus[form.output])}`);
+        }
+
+        console.log(`${form.name}: ${entries.length}`);
+        for (const metric of form.metrics.filter(m => m.type === 'count' && m.field)) {
+            console.log(`  - ${metric.name}: ${result[metric.name]}`);
+        }
+    }
+
+    // A cache of other periods only would give all-zero metrics for this one
+    if (offline && forms.every(form => data.formStatus[form.output].status === FORM_STATUS.FAILED)) {
+        throw new Error(`No Gravity Forms entries cached for ${startDateStr} to ${endDateStr}`);
+    }
+
+    const funnel = loadFunnelConfig();
+    if (funnel && !hasFunnelSecret()) {
+        console.log('\n⚠ GRAVITY_FORMS_FUNNEL_SECRET is not set - funnel keys are not cached and the application funnel is left out');
+    } else if (funnel) {
+        data.funnel = buildFunnel(funnel, entriesByForm);
+        // Stages whose form is missing days (the report flags the funnel then)
+        data.funnel.incompleteStages = funnel.stages
+            .filter(stage => data.formStatus[forms.find(form => form.key === stage.form).output].status !== FORM_STATUS.COMPLETE)
+            .map(stage => stage.label);
+
+        console.log('\nApplication funnel:');
+        for (const stage of data.funnel.overall) {
+            console.log(`  ${stage.label}: ${stage.count}${stage.conversionRate !== null ? ` (${stage.conversionRate}% of previous, ${stage.dropOff} dropped)` : ''}`);
+        }
+    }
+
+    if (incomplete.length > 0) {
+        console.log(`\n⚠ Incomplete Gravity Forms data - these forms' counts are missing days:`);
+        incomplete.forEach(line => console.log(`  - ${line}`));
+    }
+
+    if (warnings.length > 0) {
+        console.log(`\n⚠ Gravity Forms entries don't match config/gravity_forms.json (${warnings.length} warning(s)):`);
+        warnings.forEach(warning => console.log(`  - ${warning}`));
+    }
 
     return data;
 }
 
+/**
+ * Write applications_data.json, keeping a copy for the period in data/aggregates/applications/
+ * @returns {string} path of applications_data.json
+ */
+function saveApplicationsData(data) {
+    fs.mkdirSync(path.dirname(APPLICATIONS_FILE), { recursive: true });
+    fs.writeFileSync(APPLICATIONS_FILE, JSON.stringify(data, null, 2));
+
+    fs.mkdirSync(APPLICATIONS_HISTORY_DIR, { recursive: true });
+    fs.writeFileSync(
+        path.join(APPLICATIONS_HISTORY_DIR, `${data.dateRangeStart}_to_${data.dateRangeEnd}.json`),
+        JSON.stringify(data, null, 2)
+    );
+
+    return APPLICATIONS_FILE;
+}
+
 // Export for use in other modules
-module.exports = { fetchGravityFormsData, FORMS };
+module.exports = {
+    fetchGravityFormsData,
+    saveApplicationsData,
+    processFormEntries,
+    validateFormEntries,
+    describeMissingDays,
+    getIncompleteForms,
+    FORM_STATUS,
+    APPLICATIONS_SCHEMA_VERSION,
+    APPLICATIONS_HISTORY_DIR
+};
 
 // Allow running directly
 if (require.main === module) {
     const args = process.argv.slice(2);
-    let days = 7;
+    const periodOptions = {};
+    const options = {};
 
     for (let i = 0; i < args.length; i++) {
         if (args[i] === '--days' && args[i + 1]) {
-            days = parseInt(args[i + 1], 10);
+            periodOptions.days = parseInt(args[++i], 10);
+        } else if (args[i] === '--period' && args[i + 1]) {
+            periodOptions.period = args[++i];
+        } else if (args[i] === '--start-date' && args[i + 1]) {
+            periodOptions.startDate = args[++i];
+        } else if (args[i] === '--end-date' && args[i + 1]) {
+            periodOptions.endDate = args[++i];
+        } else if (args[i] === '--offline') {
+            options.offline = true;
+        } else if (args[i] === '--refresh') {
+            options.refresh = true;
         }
     }
 
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - days);
-
-    fetchGravityFormsData(startDate, endDate)
+    Promise.resolve()
+        .then(() => {
+            const { startDate, endDate } = resolveReportPeriod(periodOptions);
+            return fetchGravityFormsData(startDate, endDate, options);
+        })
         .then(data => {
-            const fs = require('fs');
-            const path = require('path');
-            const outputPath = path.join(__dirname, '../data/manual/applications_data.json');
-            fs.writeFileSync(outputPath, JSON.stringify(data, null, 2));
+            // Offline, a period the cache only partly covers isn't saved over applications_data.json
+            const incomplete = getIncompleteForms(data);
+            if (options.offline && incomplete.length > 0) {
+                throw new Error(`Entries cached for only part of the period (${incomplete.map(formStatus => formStatus.name).join(', ')}) - not saved`);
+            }
+            const outputPath = saveApplicationsData(data);
             console.log(`\nData saved to: ${outputPath}`);
         })
         .catch(error => {
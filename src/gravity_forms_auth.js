@@ -0,0 +1,106 @@
+/**
+ * Gravity Forms Authentication
+ * Signs Gravity Forms REST API v2 requests so the consumer key and secret never
+ * appear in URLs (and so in server or proxy access logs)
+ *
+ * GRAVITY_FORMS_AUTH selects the mode:
+ *   oauth1 - OAuth 1.0a, one-legged, HMAC-SHA1 signature in the Authorization header (default)
+ *   basic  - HTTP Basic auth with the consumer key and secret (only use over HTTPS)
+ */
+
+const crypto = require('crypto');
+
+const AUTH_MODES = {
+    OAUTH1: 'oauth1',
+    BASIC: 'basic'
+};
+
+const GRAVITY_FORMS_AUTH = process.env.GRAVITY_FORMS_AUTH || AUTH_MODES.OAUTH1;
+
+// RFC 3986 encoding, as OAuth requires (encodeURIComponent leaves !'()* alone)
+function percentEncode(value) {
+    return encodeURIComponent(String(value)).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * OAuth 1.0a HMAC-SHA1 signature of a request (RFC 5849 section 3.4)
+ * Query parameters of the URL are signed along with the oauth_* parameters.
+ * @param {Object} oauthParams - oauth_* parameters, without oauth_signature
+ */
+function getOAuthSignature(method, url, oauthParams, consumerSecret, tokenSecret = '') {
+    const parsed = new URL(url);
+    // origin is already lower-cased and drops default ports, as the base string needs
+    const baseUrl = `${parsed.origin}${parsed.pathname}`;
+
+    const params = [...parsed.searchParams, ...Object.entries(oauthParams)]
+        .map(([key, value]) => [percentEncode(key), percentEncode(value)])
+        .sort(([keyA, valueA], [keyB, valueB]) => (keyA === keyB ? (valueA < valueB ? -1 : 1) : (keyA < keyB ? -1 : 1)))
+        .map(([key, value]) => `${key}=${value}`)
+        .join('&');
+
+    const baseString = [method.toUpperCase(), percentEncode(baseUrl), percentEncode(params)].join('&');
+    const signingKey = `${percentEncode(consumerSecret)}&${percentEncode(tokenSecret)}`;
+
+    return crypto.createHmac('sha1', signingKey).update(baseString).digest('base64');
+}
+
+/**
+ * Authorization header value for a one-legged OAuth 1.0a request
+ * @param {Object} options - { nonce, timestamp } to make the signature reproducible (e.g. against a stub server)
+ */
+function getOAuthHeader(method, url, credentials, options = {}) {
+    const oauthParams = {
+        oauth_consumer_key: credentials.key,
+        oauth_nonce: options.nonce || crypto.randomBytes(16).toString('hex'),
+        oauth_signature_method: 'HMAC-SHA1',
+        oauth_timestamp: String(options.timestamp || Math.floor(Date.now() / 1000)),
+        oauth_version: '1.0'
+    };
+    oauthParams.oauth_signature = getOAuthSignature(method, url, oauthParams, credentials.secret);
+
+    const fields = Object.entries(oauthParams).map(([key, value]) => `${percentEncode(key)}="${percentEncode(value)}"`);
+    return `OAuth ${fields.join(', ')}`;
+}
+
+/**
+ * Check an OAuth Authorization header against a request, as the server would
+ * (lets a local stub server verify what the fetcher sends)
+ */
+function verifyOAuthHeader(method, url, header, credentials) {
+    if (!header || !header.startsWith('OAuth ')) return false;
+
+    const oauthParams = {};
+    for (const [, key, value] of header.slice(6).matchAll(/([\w%.-]+)="([^"]*)"/g)) {
+        oauthParams[decodeURIComponent(key)] = decodeURIComponent(value);
+    }
+
+    const { oauth_signature: signature, ...signed } = oauthParams;
+    if (!signature || signed.oauth_consumer_key !== credentials.key) return false;
+
+    const expected = getOAuthSignature(method, url, signed, credentials.secret);
+    return signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+}
+
+/**
+ * Headers authenticating a Gravity Forms request
+ * @param {Object} credentials - { key, secret }
+ */
+function getAuthHeaders(method, url, credentials, mode = GRAVITY_FORMS_AUTH) {
+    if (mode === AUTH_MODES.BASIC) {
+        return { Authorization: `Basic ${Buffer.from(`${credentials.key}:${credentials.secret}`).toString('base64')}` };
+    }
+    if (mode === AUTH_MODES.OAUTH1) {
+        return { Authorization: getOAuthHeader(method, url, credentials) };
+    }
+    throw new Error(`Unknown GRAVITY_FORMS_AUTH "${mode}" (expected one of: ${Object.values(AUTH_MODES).join(', ')})`);
+}
+
+module.exports = {
+    AUTH_MODES,
+    GRAVITY_FORMS_AUTH,
+    percentEncode,
+    getOAuthSignature,
+    getOAuthHeader,
+    verifyOAuthHeader,
+    getAuthHeaders
+};
@@ -0,0 +1,284 @@
+/**
+ * Gravity Forms Entry Cache
+ * Keeps fetched entries per form under data/raw/gravity_forms/<form key>_<id>/,
+ * in the same date-range chunk files as the Sentry cache (see chunk_store.js),
+ * so applications_data.json can be rebuilt for any cached period without the API
+ *
+ * Entries are scrubbed before they're written: only id, form_id, date_created,
+ * date_updated and status are kept, plus the fields the form's metrics and the
+ * funnel segments read and any listed in its "cacheFields" (config/gravity_forms.json).
+ * The form's funnelKey (e.g. an email) is kept only as an HMAC-SHA256 keyed with
+ * GRAVITY_FORMS_FUNNEL_SECRET, in "funnelKey", so the cache can't be matched
+ * against a list of known emails without the secret. Without the secret the
+ * funnel key isn't cached at all (and there's no funnel). Names, emails,
+ * addresses and the rest never reach the disk.
+ *
+ * Chunks always live in files, whatever STORAGE_BACKEND is set to. A chunk
+ * covers whole days in its timezone; chunks can overlap, and each day is read
+ * from the most recently fetched chunk that can be used for it.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { RAW_DIR, listChunkFiles, readChunkHeader, readChunkEvents, writeChunk, removeChunk } = require('./chunk_store');
+const { getExpectedFields, getFunnelFields } = require('./gravity_forms_config');
+const { REPORT_TIMEZONE, toZonedDate, addDays, listDays } = require('./timezone');
+
+const GRAVITY_FORMS_RAW_DIR = path.join(RAW_DIR, 'gravity_forms');
+
+// Days per fetched chunk, as for Sentry chunks
+const CHUNK_DAYS = 30;
+
+// Key for the funnel key HMAC (funnel keys aren't cached without it)
+const FUNNEL_SECRET = process.env.GRAVITY_FORMS_FUNNEL_SECRET;
+
+// Entry properties that are always cached (no personal data)
+const ENTRY_KEYS = ['id', 'form_id', 'date_created', 'date_updated', 'status'];
+
+const CHUNK_STATUS = {
+    COMPLETE: 'complete',
+    FAILED: 'failed'
+};
+
+// Gravity Forms returns date_created as "YYYY-MM-DD HH:MM:SS" in UTC
+function parseEntryDate(dateCreated) {
+    return new Date(dateCreated.replace(' ', 'T') + 'Z');
+}
+
+// Group sorted days into runs of consecutive days, each cut into CHUNK_DAYS pieces
+function toRanges(days) {
+    const ranges = [];
+    for (const day of days) {
+        const last = ranges[ranges.length - 1];
+        if (last && addDays(last.end, 1) === day && day <= addDays(last.start, CHUNK_DAYS - 1)) {
+            last.end = day;
+        } else {
+            ranges.push({ start: day, end: day });
+        }
+    }
+    return ranges;
+}
+
+function getFormChunkDir(form) {
+    return path.join(GRAVITY_FORMS_RAW_DIR, `${form.key}_${form.id}`);
+}
+
+/**
+ * Entry fields cached as they are for a form: the ones its metrics and the
+ * funnel segments read, plus its "cacheFields"
+ */
+function getCachedFields(form) {
+    return [...new Set([...getExpectedFields(form), ...getFunnelFields(form), ...(form.cacheFields || []).map(String)])].sort();
+}
+
+/**
+ * Whether funnel keys are cached (GRAVITY_FORMS_FUNNEL_SECRET is set)
+ */
+function hasFunnelSecret() {
+    return Boolean(FUNNEL_SECRET);
+}
+
+// Tells chunks hashed with different secrets apart without giving the secret away
+function getFunnelSecretId() {
+    return crypto.createHmac('sha256', FUNNEL_SECRET).update('funnel secret id').digest('hex').slice(0, 12);
+}
+
+/**
+ * What a chunk records it holds (see isChunkUsable): the cached fields, and which
+ * field the funnel key was hashed from, with which secret - hashes made with
+ * another secret can't be linked to new ones, so those chunks (and ones cached
+ * without a secret, once one is set) are fetched again
+ */
+function getChunkFields(form) {
+    const fields = getCachedFields(form);
+    return form.funnelKey && hasFunnelSecret() ? [...fields, `funnelKey:${form.funnelKey}:hmac:${getFunnelSecretId()}`] : fields;
+}
+
+// Case and surrounding spaces don't make a different applicant
+function hashFunnelKey(value) {
+    return crypto.createHmac('sha256', FUNNEL_SECRET).update(String(value).trim().toLowerCase()).digest('hex');
+}
+
+/**
+ * Copy of an entry with only the cached properties (missing ones stay missing)
+ */
+function scrubEntry(entry, form) {
+    const scrubbed = {};
+    for (const key of [...ENTRY_KEYS, ...getCachedFields(form)]) {
+        if (entry[key] !== undefined) {
+            scrubbed[key] = entry[key];
+        }
+    }
+    if (form.funnelKey && hasFunnelSecret() && entry[form.funnelKey] !== undefined && entry[form.funnelKey] !== null && String(entry[form.funnelKey]).trim() !== '') {
+        scrubbed.funnelKey = hashFunnelKey(entry[form.funnelKey]);
+    }
+    return scrubbed;
+}
+
+/**
+ * A form's cached chunks with their metadata, oldest range first
+ * Unreadable chunks are listed as failed.
+ */
+function listFormChunks(form) {
+    return listChunkFiles(getFormChunkDir(form)).map(chunkFile => {
+        try {
+            const header = readChunkHeader(chunkFile.path);
+            return {
+                ...chunkFile,
+                status: header.fetchStatus || CHUNK_STATUS.COMPLETE,
+                fetchDate: header.fetchDate || null,
+                timezone: header.timezone || REPORT_TIMEZONE,
+                fields: header.fields || []
+            };
+        } catch (error) {
+            return { ...chunkFile, status: CHUNK_STATUS.FAILED, fetchDate: null, timezone: null, fields: [], fetchError: error.message };
+        }
+    });
+}
+
+// A chunk is stale if its range hadn't finished yet when it was fetched
+function isChunkStale(chunk) {
+    return !chunk.fetchDate || chunk.end >= toZonedDate(chunk.fetchDate, chunk.timezone);
+}
+
+function isChunkOlderThan(chunk, maxAgeHours) {
+    return !chunk.fetchDate || Date.now() - new Date(chunk.fetchDate).getTime() > maxAgeHours * 60 * 60 * 1000;
+}
+
+/**
+ * Whether a chunk's entries can be used for the form as it's configured now:
+ * fully fetched, cut on the reporting timezone's days, and holding every field
+ * the metrics need
+ */
+function isChunkUsable(form, chunk) {
+    if (chunk.status !== CHUNK_STATUS.COMPLETE) return false;
+    if (chunk.timezone !== REPORT_TIMEZONE) return false;
+    return getChunkFields(form).every(field => chunk.fields.includes(field));
+}
+
+/**
+ * The chunk each day in the range is read from (the most recently fetched usable one)
+ * @returns {Map<string, Object>} day → chunk, for covered days only
+ */
+function getDayCoverage(form, chunks, startDate, endDate) {
+    const coverage = new Map();
+
+    for (const chunk of chunks.filter(c => isChunkUsable(form, c))) {
+        for (const day of listDays(chunk.start > startDate ? chunk.start : startDate, chunk.end < endDate ? chunk.end : endDate)) {
+            const current = coverage.get(day);
+            if (!current || chunk.fetchDate > current.fetchDate) {
+                coverage.set(day, chunk);
+            }
+        }
+    }
+
+    return coverage;
+}
+
+/**
+ * Date ranges of a form that need fetching: days not cached, or only cached
+ * in stale, incomplete or outdated chunks
+ * @param {Object} options - { refresh, maxAgeHours } as for Sentry chunks
+ * @returns {Array<{start, end}>} at most CHUNK_DAYS days each
+ */
+function planFormRanges(form, startDate, endDate, options = {}) {
+    const { refresh = false, maxAgeHours = null } = options;
+
+    if (refresh) {
+        return toRanges(listDays(startDate, endDate));
+    }
+
+    const chunks = listFormChunks(form).filter(chunk => {
+        if (isChunkStale(chunk)) return false;
+        return maxAgeHours === null || !isChunkOlderThan(chunk, maxAgeHours);
+    });
+    const coverage = getDayCoverage(form, chunks, startDate, endDate);
+
+    return toRanges(listDays(startDate, endDate).filter(day => !coverage.has(day)));
+}
+
+/**
+ * Cache a form's entries for a fully fetched range
+ * Chunks lying entirely within the range are replaced.
+ */
+function saveFormChunk(form, startDate, endDate, entries) {
+    const chunkDir = getFormChunkDir(form);
+    // Pages can repeat an entry if new ones arrive while paging
+    const seenIds = new Set();
+    const scrubbed = [];
+    for (const entry of entries) {
+        if (seenIds.has(entry.id)) continue;
+        seenIds.add(entry.id);
+        scrubbed.push(scrubEntry(entry, form));
+    }
+
+    const header = {
+        fetchDate: new Date().toISOString(),
+        formId: form.id,
+        formKey: form.key,
+        formName: form.name,
+        dateRangeStart: startDate,
+        dateRangeEnd: endDate,
+        fetchStatus: CHUNK_STATUS.COMPLETE,
+        timezone: REPORT_TIMEZONE,
+        fields: getChunkFields(form),
+        totalEvents: scrubbed.length
+    };
+
+    const chunkPath = writeChunk(chunkDir, startDate, endDate, header, scrubbed);
+
+    for (const chunk of listChunkFiles(chunkDir)) {
+        if (chunk.path !== chunkPath && chunk.start >= startDate && chunk.end <= endDate) {
+            removeChunk(chunk.path);
+        }
+    }
+
+    console.log(`  ✓ Cached ${form.name} entries: ${startDate} to ${endDate} (${scrubbed.length} entries)`);
+}
+
+/**
+ * Cached entries of a form created within the range (days in the reporting timezone)
+ * @returns {Promise<{entries, missingDays}>} missingDays lists days no usable chunk covers
+ */
+async function loadFormEntries(form, startDate, endDate) {
+    const coverage = getDayCoverage(form, listFormChunks(form), startDate, endDate);
+    const entries = [];
+
+    for (const chunk of new Set(coverage.values())) {
+        for (const entry of await readChunkEvents(chunk.path)) {
+            if (!entry.date_created) continue;
+            const day = toZonedDate(parseEntryDate(entry.date_created));
+            if (coverage.get(day) === chunk) {
+                entries.push(entry);
+            }
+        }
+    }
+
+    const missingDays = listDays(startDate, endDate).filter(day => !coverage.has(day));
+    return { entries, missingDays };
+}
+
+/**
+ * Whether anything has been cached for a form yet
+ */
+function hasFormCache(form) {
+    return listChunkFiles(getFormChunkDir(form)).length > 0;
+}
+
+module.exports = {
+    GRAVITY_FORMS_RAW_DIR,
+    CHUNK_DAYS,
+    ENTRY_KEYS,
+    parseEntryDate,
+    toRanges,
+    getFormChunkDir,
+    getCachedFields,
+    hasFunnelSecret,
+    hashFunnelKey,
+    scrubEntry,
+    listFormChunks,
+    planFormRanges,
+    saveFormChunk,
+    loadFormEntries,
+    hasFormCache
+};
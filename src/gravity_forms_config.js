@@ -0,0 +1,206 @@
+/**
+ * Gravity Forms Mapping
+ * Loads the forms to fetch, and what to derive from their entries, from
+ * config/gravity_forms.json
+ *
+ * Each form declares:
+ *   key      - stable identifier used in code and logs
+ *   id       - Gravity Forms form ID
+ *   name     - display name
+ *   output   - where its metrics go in applications_data.json (dotted path,
+ *              e.g. "applications" or "otherActions.changePassword")
+ *   defaults - optional fixed values written alongside the metrics
+ *   cacheFields - optional extra entry fields to keep in the entry cache (see
+ *              gravity_forms_cache.js), for metrics that may be added later;
+ *              never list fields holding personal data
+ *   funnelKey - optional field identifying the applicant (e.g. email), used to
+ *              link the form's entries in the application funnel; it's only
+ *              ever cached as a hash
+ *   heatmap  - optional; true adds an hour-by-weekday heatmap of the form's
+ *              entries (by date_created) to the report
+ *   series   - optional; true charts the form's entries per day (and hour)
+ *              in the report's trends
+ *   metrics  - what to derive (defaults to the entry count as "total"):
+ *     { name, type: "count" }                            - every entry
+ *     { name, type: "count", field, values: [...] }      - entries whose field has one of the values
+ *     { name, type: "breakdown", field, labels: {...} }  - entries per field value, with optional
+ *                                                          value-to-label mapping (empty values skipped)
+ *
+ * An optional top-level "funnel" follows applicants through several forms:
+ *   stages   - [{ form, label }] in order; the first is the entry point, and
+ *              every stage's form needs a funnelKey
+ *   segments - [{ name, label, field, labels, default }] fields of the first
+ *              stage's entries to split the funnel by; values are renamed through
+ *              labels, and ones not listed (or empty) become default (or "Unknown")
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '../config/gravity_forms.json');
+const METRIC_TYPES = ['count', 'breakdown'];
+const DEFAULT_METRICS = [{ name: 'total', type: 'count' }];
+
+let cachedConfig = null;
+
+function validateMetric(form, metric, configFile) {
+    const where = `metric "${metric.name}" of form ${form.key} in ${configFile}`;
+
+    if (!metric.name) {
+        throw new Error(`Invalid metric of form ${form.key} in ${configFile}: each metric needs a "name"`);
+    }
+    if (!METRIC_TYPES.includes(metric.type)) {
+        throw new Error(`Unknown type "${metric.type}" for ${where} (expected one of: ${METRIC_TYPES.join(', ')})`);
+    }
+    if (metric.type === 'breakdown' && !metric.field) {
+        throw new Error(`Breakdown ${where} needs a "field"`);
+    }
+    if (metric.values && !metric.field) {
+        throw new Error(`Count ${where} has "values" but no "field"`);
+    }
+    if (metric.field && metric.type === 'count' && !Array.isArray(metric.values)) {
+        throw new Error(`Count ${where} needs a "values" list to match "${metric.field}" against`);
+    }
+}
+
+function validateFunnel(funnel, forms, configFile) {
+    if (!Array.isArray(funnel.stages) || funnel.stages.length < 2) {
+        throw new Error(`The funnel in ${configFile} needs at least two "stages"`);
+    }
+
+    const seenStages = new Set();
+    for (const stage of funnel.stages) {
+        const form = forms.find(f => f.key === stage.form);
+        if (!form) {
+            throw new Error(`Funnel stage "${stage.form}" in ${configFile} isn't a form key`);
+        }
+        if (!form.funnelKey) {
+            throw new Error(`Funnel stage "${stage.form}" in ${configFile} needs a "funnelKey" on its form`);
+        }
+        if (seenStages.has(stage.form)) {
+            throw new Error(`Form ${stage.form} appears twice in the funnel in ${configFile}`);
+        }
+        seenStages.add(stage.form);
+        stage.label = stage.label || form.name;
+    }
+
+    const entryForm = forms.find(f => f.key === funnel.stages[0].form);
+    funnel.segments = funnel.segments || [];
+    for (const segment of funnel.segments) {
+        if (!segment.name || !segment.field) {
+            throw new Error(`Invalid funnel segment in ${configFile}: each segment needs a "name" and "field"`);
+        }
+        segment.field = String(segment.field);
+        if (segment.field === entryForm.funnelKey) {
+            throw new Error(`Funnel segment "${segment.name}" in ${configFile} splits by the funnelKey, which is only cached as a hash`);
+        }
+        segment.label = segment.label || segment.name;
+        segment.labels = segment.labels || {};
+    }
+}
+
+/**
+ * Load and validate config/gravity_forms.json
+ * Set GRAVITY_FORMS_CONFIG to use a different file.
+ * @returns {{forms, funnel}} funnel is null when none is configured
+ */
+function loadConfig() {
+    if (cachedConfig) return cachedConfig;
+
+    const configFile = process.env.GRAVITY_FORMS_CONFIG || DEFAULT_CONFIG_FILE;
+
+    if (!fs.existsSync(configFile)) {
+        throw new Error(`Gravity Forms mapping not found: ${configFile}`);
+    }
+
+    const config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+    const forms = config.forms || [];
+    const seenKeys = new Set();
+    const seenOutputs = new Set();
+
+    for (const form of forms) {
+        if (!form.key || !form.id || !form.name || !form.output) {
+            throw new Error(`Invalid form in ${configFile}: each form needs "key", "id", "name" and "output"`);
+        }
+        if (seenKeys.has(form.key)) {
+            throw new Error(`Duplicate form key in ${configFile}: ${form.key}`);
+        }
+        if (seenOutputs.has(form.output)) {
+            throw new Error(`Duplicate output "${form.output}" in ${configFile} (form ${form.key})`);
+        }
+        seenKeys.add(form.key);
+        seenOutputs.add(form.output);
+
+        form.id = String(form.id);
+        form.defaults = form.defaults || {};
+        form.metrics = form.metrics || DEFAULT_METRICS;
+
+        if (form.cacheFields !== undefined && !Array.isArray(form.cacheFields)) {
+            throw new Error(`"cacheFields" of form ${form.key} in ${configFile} must be a list of field IDs`);
+        }
+
+        const metricNames = new Set();
+        for (const metric of form.metrics) {
+            validateMetric(form, metric, configFile);
+            if (metricNames.has(metric.name)) {
+                throw new Error(`Duplicate metric "${metric.name}" for form ${form.key} in ${configFile}`);
+            }
+            metricNames.add(metric.name);
+            if (metric.field) metric.field = String(metric.field);
+        }
+
+        if (form.funnelKey) {
+            form.funnelKey = String(form.funnelKey);
+            const plainFields = [...form.metrics.map(metric => metric.field), ...(form.cacheFields || []).map(String)];
+            if (plainFields.includes(form.funnelKey)) {
+                throw new Error(`funnelKey "${form.funnelKey}" of form ${form.key} in ${configFile} is also a metric or cache field, so it would be cached unhashed`);
+            }
+        }
+    }
+
+    const funnel = config.funnel || null;
+    if (funnel) {
+        validateFunnel(funnel, forms, configFile);
+    }
+
+    cachedConfig = { forms, funnel };
+    return cachedConfig;
+}
+
+/**
+ * The forms to fetch
+ */
+function loadFormConfig() {
+    return loadConfig().forms;
+}
+
+/**
+ * The application funnel, or null if none is configured
+ */
+function loadFunnelConfig() {
+    return loadConfig().funnel;
+}
+
+/**
+ * Entry fields a form's metrics read
+ */
+function getExpectedFields(form) {
+    return [...new Set(form.metrics.filter(metric => metric.field).map(metric => metric.field))];
+}
+
+/**
+ * Entry fields the funnel segments read from a form (only its entry-point form has any)
+ */
+function getFunnelFields(form) {
+    const funnel = loadFunnelConfig();
+    if (!funnel || funnel.stages[0].form !== form.key) return [];
+    return [...new Set(funnel.segments.map(segment => segment.field))];
+}
+
+module.exports = {
+    METRIC_TYPES,
+    loadFormConfig,
+    loadFunnelConfig,
+    getExpectedFields,
+    getFunnelFields
+};
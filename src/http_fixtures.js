@@ -0,0 +1,204 @@
+/**
+ * HTTP Record & Replay
+ * Saves every HTTP exchange made against Sentry, Gravity Forms and Resend to a
+ * fixture directory (--record), or serves those saved responses instead of
+ * touching the network (--replay)
+ *
+ * Sentry requests are routed here by sentry_client.js; Gravity Forms and
+ * Resend use the global fetch, which is wrapped while a mode is active.
+ *
+ * Fixture layout:
+ *   <dir>/run.json                   - report period and options of the recorded run
+ *   <dir>/exchanges/0001_sentry.json - one file per exchange, in request order
+ *   <dir>/data/                      - the run's cache and report (see run_weekly_report.js),
+ *                                      kept apart from the live data directory
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Query parameters never written to disk or used for matching
+const SECRET_PARAMS = [
+    'consumer_key',
+    'consumer_secret',
+    'oauth_consumer_key',
+    'oauth_nonce',
+    'oauth_signature',
+    'oauth_timestamp'
+];
+
+let mode = null;
+let fixtureDir = null;
+let sequence = 0;
+let replayQueues = null;
+let realFetch = null;
+
+function isRecording() {
+    return mode === 'record';
+}
+
+function isReplaying() {
+    return mode === 'replay';
+}
+
+// Match requests on method + path + query (minus secrets), ignoring the host,
+// so replays work regardless of SENTRY_BASE_URL / GRAVITY_FORMS_URL
+function normalizeUrl(url) {
+    const parsed = new URL(url);
+    for (const param of SECRET_PARAMS) {
+        parsed.searchParams.delete(param);
+    }
+    parsed.searchParams.sort();
+    return `${parsed.pathname}${parsed.search}`;
+}
+
+function getExchangeKey(method, url) {
+    return `${method.toUpperCase()} ${normalizeUrl(url)}`;
+}
+
+function guessService(url) {
+    const parsed = new URL(url);
+    if (parsed.pathname.startsWith('/api/0/')) return 'sentry';
+    if (parsed.pathname.includes('/wp-json/gf/')) return 'gravity_forms';
+    if (parsed.hostname.includes('resend')) return 'resend';
+    return 'http';
+}
+
+/**
+ * Save one exchange (record mode)
+ * @param {Object} response - { status, statusText, headers, body }
+ */
+function recordExchange(service, method, url, response) {
+    sequence++;
+    const headers = { ...response.headers };
+    delete headers['set-cookie'];
+
+    const exchange = {
+        sequence,
+        service,
+        method: method.toUpperCase(),
+        url: normalizeUrl(url),
+        status: response.status,
+        statusText: response.statusText || '',
+        headers,
+        body: response.body
+    };
+
+    const filename = `${String(sequence).padStart(4, '0')}_${service}.json`;
+    fs.writeFileSync(path.join(fixtureDir, 'exchanges', filename), JSON.stringify(exchange, null, 2));
+}
+
+/**
+ * Next recorded response for a request (replay mode)
+ * Identical requests are answered in recorded order; the last answer repeats.
+ */
+function takeReplay(method, url) {
+    const key = getExchangeKey(method, url);
+    const queue = replayQueues.get(key);
+
+    if (!queue || queue.length === 0) {
+        throw new Error(`No recorded response for ${key} in ${fixtureDir}`);
+    }
+
+    return queue.length > 1 ? queue.shift() : queue[0];
+}
+
+function installFetchHook() {
+    if (realFetch) return;
+    realFetch = globalThis.fetch;
+
+    globalThis.fetch = async (url, init = {}) => {
+        const method = init.method || 'GET';
+
+        if (isReplaying()) {
+            const exchange = takeReplay(method, String(url));
+            const hasBody = exchange.status !== 204 && exchange.status !== 304;
+            return new Response(hasBody ? exchange.body : null, {
+                status: exchange.status,
+                statusText: exchange.statusText,
+                headers: exchange.headers
+            });
+        }
+
+        const response = await realFetch(url, init);
+        if (!isRecording()) return response;
+
+        const body = await response.text();
+        recordExchange(guessService(String(url)), method, String(url), {
+            status: response.status,
+            statusText: response.statusText,
+            headers: Object.fromEntries(response.headers),
+            body
+        });
+
+        return new Response(response.status === 204 ? null : body, {
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers
+        });
+    };
+}
+
+/**
+ * Start recording every exchange into dir (created if needed)
+ */
+function startRecording(dir, runInfo = {}) {
+    fixtureDir = path.resolve(dir);
+    fs.mkdirSync(path.join(fixtureDir, 'exchanges'), { recursive: true });
+
+    // Start from a clean set so stale exchanges can't leak into replays
+    for (const file of fs.readdirSync(path.join(fixtureDir, 'exchanges'))) {
+        fs.unlinkSync(path.join(fixtureDir, 'exchanges', file));
+    }
+
+    fs.writeFileSync(path.join(fixtureDir, 'run.json'), JSON.stringify({
+        recordedAt: new Date().toISOString(),
+        ...runInfo
+    }, null, 2));
+
+    mode = 'record';
+    sequence = 0;
+    installFetchHook();
+    console.log(`⏺ Recording HTTP exchanges to: ${fixtureDir}`);
+}
+
+/**
+ * Serve responses from a recorded fixture directory
+ * @returns {Object} the run info saved when recording
+ */
+function startReplay(dir) {
+    fixtureDir = path.resolve(dir);
+    const exchangesDir = path.join(fixtureDir, 'exchanges');
+
+    if (!fs.existsSync(exchangesDir)) {
+        throw new Error(`No recorded exchanges found in ${fixtureDir}`);
+    }
+
+    replayQueues = new Map();
+    const files = fs.readdirSync(exchangesDir).filter(f => f.endsWith('.json')).sort();
+
+    for (const file of files) {
+        const exchange = JSON.parse(fs.readFileSync(path.join(exchangesDir, file), 'utf8'));
+        const key = `${exchange.method} ${exchange.url}`;
+        if (!replayQueues.has(key)) {
+            replayQueues.set(key, []);
+        }
+        replayQueues.get(key).push(exchange);
+    }
+
+    mode = 'replay';
+    installFetchHook();
+    console.log(`⏵ Replaying ${files.length} HTTP exchanges from: ${fixtureDir}`);
+
+    const runInfoFile = path.join(fixtureDir, 'run.json');
+    return fs.existsSync(runInfoFile) ? JSON.parse(fs.readFileSync(runInfoFile, 'utf8')) : {};
+}
+
+module.exports = {
+    startRecording,
+    startReplay,
+    isRecording,
+    isReplaying,
+    recordExchange,
+    takeReplay
+};
@@ -0,0 +1,85 @@
+/**
+ * Sentry Issue Registry
+ * Loads the list of tracked Sentry issues from config/sentry_issues.json
+ *
+ * Each issue declares:
+ *   key     - stable identifier used in code and on the command line
+ *   id      - Sentry issue ID
+ *   name    - display name (also used for the cache directory name)
+ *   section - report section that uses it: "payment_errors", "payment_success" or "additional"
+ *   tags, fields, schemaVersion - what to keep on each cached event (see event_schema.js)
+ *   breakdowns - optional tag outputs to group by in aggregate mode (defaults to all tags)
+ *   aliases - optional extra names accepted by --issue
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeSchema } = require('./event_schema');
+
+const DEFAULT_REGISTRY_FILE = path.join(__dirname, '../config/sentry_issues.json');
+const REPORT_SECTIONS = ['payment_errors', 'payment_success', 'additional'];
+
+let cachedIssues = null;
+
+/**
+ * Load and validate the issue registry
+ * Set SENTRY_ISSUES_CONFIG to use a different file.
+ */
+function loadIssueRegistry() {
+    if (cachedIssues) return cachedIssues;
+
+    const registryFile = process.env.SENTRY_ISSUES_CONFIG || DEFAULT_REGISTRY_FILE;
+
+    if (!fs.existsSync(registryFile)) {
+        throw new Error(`Sentry issue registry not found: ${registryFile}`);
+    }
+
+    const config = JSON.parse(fs.readFileSync(registryFile, 'utf8'));
+    const issues = config.issues || [];
+    const seenKeys = new Set();
+
+    for (const issue of issues) {
+        if (!issue.key || !issue.id || !issue.name) {
+            throw new Error(`Invalid issue in ${registryFile}: each issue needs "key", "id" and "name"`);
+        }
+        if (seenKeys.has(issue.key)) {
+            throw new Error(`Duplicate issue key in ${registryFile}: ${issue.key}`);
+        }
+        seenKeys.add(issue.key);
+
+        issue.id = String(issue.id);
+        issue.section = issue.section || 'additional';
+        issue.aliases = issue.aliases || [];
+        issue.schema = normalizeSchema(issue);
+
+        if (!REPORT_SECTIONS.includes(issue.section)) {
+            throw new Error(`Unknown report section "${issue.section}" for issue ${issue.key} (expected one of: ${REPORT_SECTIONS.join(', ')})`);
+        }
+    }
+
+    cachedIssues = issues;
+    return issues;
+}
+
+/**
+ * Find an issue by key, ID or alias
+ */
+function getIssue(name) {
+    return loadIssueRegistry().find(issue =>
+        issue.key === name || issue.id === String(name) || issue.aliases.includes(name)
+    ) || null;
+}
+
+/**
+ * All issues feeding a report section
+ */
+function getIssuesForSection(section) {
+    return loadIssueRegistry().filter(issue => issue.section === section);
+}
+
+module.exports = {
+    loadIssueRegistry,
+    getIssue,
+    getIssuesForSection,
+    REPORT_SECTIONS
+};
@@ -0,0 +1,135 @@
+/**
+ * Migration 001 (chunks v0 → v1)
+ * Splits the old single-file caches (data/raw/issue_<id>_events_<N>d_<date>.json,
+ * holding raw Sentry events) into calendar-month chunk files, extracting each
+ * event with its issue's schema so merchant/store tags are kept
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getIssue } = require('../issue_registry');
+const { extractEvent } = require('../event_schema');
+const { RAW_DIR, listChunkFiles, getChunkDir, readChunkHeader, readChunkEvents } = require('../chunk_store');
+
+const LEGACY_FILE_PATTERN = /^issue_(\d+)_events_.*\.json$/;
+
+function findLegacyFiles() {
+    if (!fs.existsSync(RAW_DIR)) return [];
+
+    return fs.readdirSync(RAW_DIR)
+        .map(filename => {
+            const match = filename.match(LEGACY_FILE_PATTERN);
+            if (!match) return null;
+            return { filename, path: path.join(RAW_DIR, filename), issueId: match[1], issue: getIssue(match[1]) };
+        })
+        .filter(Boolean);
+}
+
+function getMonthRange(dateStr) {
+    const date = new Date(dateStr + 'T00:00:00Z');
+    const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+    const end = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0));
+    return { start: start.toISOString().split('T')[0], end: end.toISOString().split('T')[0] };
+}
+
+// When the legacy cache was fetched: its own fetchDate, the date in its name, or its mtime
+function getLegacyFetchDate(file, cacheData) {
+    if (cacheData.fetchDate) return cacheData.fetchDate;
+    const dateMatch = file.filename.match(/_(\d{4}-\d{2}-\d{2})\.json$/);
+    if (dateMatch) return `${dateMatch[1]}T00:00:00.000Z`;
+    return fs.statSync(file.path).mtime.toISOString();
+}
+
+// Group a legacy file's events into calendar months: { 'YYYY-MM-DD_to_YYYY-MM-DD': { start, end, events } }
+function groupByMonth(issue, cacheData) {
+    const months = {};
+
+    for (const rawEvent of cacheData.events || []) {
+        const event = extractEvent(rawEvent, issue.schema);
+        const range = getMonthRange(event.timestamp.split('T')[0]);
+        const key = `${range.start}_to_${range.end}`;
+        if (!months[key]) {
+            months[key] = { ...range, events: [] };
+        }
+        months[key].events.push(event);
+    }
+
+    return months;
+}
+
+module.exports = {
+    id: '001_legacy_cache_to_chunks',
+    target: 'chunks',
+    from: 0,
+    to: 1,
+    description: 'Split legacy single-file Sentry caches into monthly chunk files',
+
+    isNeeded() {
+        return findLegacyFiles().some(file => file.issue);
+    },
+
+    plan() {
+        const lines = [];
+        const files = [];
+
+        for (const file of findLegacyFiles()) {
+            if (!file.issue) {
+                lines.push(`skip ${file.filename}: issue ${file.issueId} is not in config/sentry_issues.json`);
+                continue;
+            }
+
+            const cacheData = JSON.parse(fs.readFileSync(file.path, 'utf8'));
+            const months = Object.values(groupByMonth(file.issue, cacheData));
+            lines.push(`${file.filename}: ${(cacheData.events || []).length} events → ${months.length} monthly chunk(s) for ${file.issue.name}`);
+
+            files.push(file.path);
+            // Existing chunks for the same months are merged into, so back them up too
+            const chunkDir = getChunkDir(file.issue.id, file.issue.name);
+            for (const chunk of listChunkFiles(chunkDir)) {
+                if (months.some(m => m.start === chunk.start && m.end === chunk.end)) {
+                    files.push(chunk.path);
+                }
+            }
+        }
+
+        return { lines, files };
+    },
+
+    async apply() {
+        // Loaded here so the runner can be required without the fetcher
+        const { saveChunk } = require('../../fetch_payment_data');
+
+        for (const file of findLegacyFiles()) {
+            if (!file.issue) continue;
+
+            const issue = file.issue;
+            const cacheData = JSON.parse(fs.readFileSync(file.path, 'utf8'));
+            const fetchDate = getLegacyFetchDate(file, cacheData);
+            const chunkDir = getChunkDir(issue.id, issue.name);
+
+            for (const month of Object.values(groupByMonth(issue, cacheData))) {
+                let events = month.events;
+                let chunkFetchDate = fetchDate;
+
+                // Merge into a chunk already cached for the same month instead of overwriting it
+                const existing = listChunkFiles(chunkDir).find(c => c.start === month.start && c.end === month.end);
+                if (existing) {
+                    const existingEvents = await readChunkEvents(existing.path);
+                    const seen = new Set(existingEvents.map(e => e.eventId));
+                    events = existingEvents.concat(events.filter(e => !seen.has(e.eventId)));
+                    chunkFetchDate = [fetchDate, readChunkHeader(existing.path).fetchDate].filter(Boolean).sort()[0];
+                }
+
+                events.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+                saveChunk(issue.id, issue.name, month.start, month.end, events, {
+                    schemaVersion: issue.schema.version,
+                    fetchDate: chunkFetchDate
+                });
+            }
+
+            // The runner has already backed the legacy file up
+            fs.unlinkSync(file.path);
+            console.log(`  ✓ Migrated ${file.filename}`);
+        }
+    }
+};
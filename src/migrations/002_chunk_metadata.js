@@ -0,0 +1,97 @@
+/**
+ * Migration 002 (chunks v1 → v2)
+ * Rewrites chunk files written before chunks carried full metadata (the old
+ * migrate script's 7-day chunks, or anything predating fetch statuses) with
+ * fetchStatus, schemaVersion and an accurate totalEvents, and records them in
+ * the issue's manifest
+ */
+
+const { loadIssueRegistry } = require('../issue_registry');
+const { DEFAULT_SCHEMA_VERSION } = require('../event_schema');
+const {
+    getChunkDir,
+    listChunkFiles,
+    readManifest,
+    readChunkHeader,
+    readChunkEvents,
+    writeChunk
+} = require('../chunk_store');
+
+function isMissingMetadata(header) {
+    return !header.fetchStatus || !header.schemaVersion || header.totalEvents === undefined;
+}
+
+function findOutdatedChunks() {
+    const outdated = [];
+
+    for (const issue of loadIssueRegistry()) {
+        const chunkDir = getChunkDir(issue.id, issue.name);
+        const chunks = listChunkFiles(chunkDir);
+        if (chunks.length === 0) continue;
+
+        let manifest;
+        try {
+            manifest = readManifest(chunkDir);
+        } catch (error) {
+            manifest = { chunks: {} };
+        }
+
+        for (const chunk of chunks) {
+            let header;
+            try {
+                header = readChunkHeader(chunk.path);
+            } catch (error) {
+                // Unreadable chunks are for verify_chunks.js --quarantine, not migrations
+                continue;
+            }
+
+            if (isMissingMetadata(header) || !manifest.chunks[chunk.filename]) {
+                outdated.push({ issue, chunk, header });
+            }
+        }
+    }
+
+    return outdated;
+}
+
+module.exports = {
+    id: '002_chunk_metadata',
+    target: 'chunks',
+    from: 1,
+    to: 2,
+    description: 'Add fetch status, schema version and event counts to old chunk files and list them in the manifest',
+
+    isNeeded() {
+        return findOutdatedChunks().length > 0;
+    },
+
+    plan() {
+        const outdated = findOutdatedChunks();
+        return {
+            lines: outdated.map(({ issue, chunk }) => `${issue.name}: ${chunk.filename}`),
+            files: outdated.map(({ chunk }) => chunk.path)
+        };
+    },
+
+    async apply() {
+        for (const { issue, chunk, header } of findOutdatedChunks()) {
+            const events = await readChunkEvents(chunk.path);
+
+            writeChunk(getChunkDir(issue.id, issue.name), chunk.start, chunk.end, {
+                fetchDate: header.fetchDate || null,
+                issueId: header.issueId || issue.id,
+                issueName: header.issueName || issue.name,
+                dateRangeStart: chunk.start,
+                dateRangeEnd: chunk.end,
+                // Chunks written before statuses were recorded are assumed complete
+                fetchStatus: header.fetchStatus || 'complete',
+                lastCursor: header.lastCursor || null,
+                fetchError: header.fetchError || null,
+                schemaVersion: header.schemaVersion || DEFAULT_SCHEMA_VERSION,
+                totalEvents: events.length
+            }, events, chunk.format);
+
+            console.log(`  ✓ ${issue.name}: ${chunk.filename} (${events.length} events)`);
+        }
+    }
+};
@@ -0,0 +1,78 @@
+/**
+ * Migration 003 (applications v1 → v2)
+ * Stamps applications_data.json with its schema version and backfills sections
+ * that older (hand-edited or early fetcher) files are missing, so the report
+ * never renders "undefined"
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('../data_dir');
+
+const APPLICATIONS_FILE = path.join(DATA_DIR, 'manual', 'applications_data.json');
+
+// Sections the report reads, with the value used when a file doesn't have them
+const DEFAULT_SECTIONS = {
+    applications: { total: 0, fromStoreKiosks: 0, firstTimeApplications: 0, returningCustomers: 0, byState: {} },
+    pleaseWaitSubmissions: { total: 0, errorServer: 0, errorServerNote: '', complete: 0 },
+    bankVerification: { total: 0 },
+    documentationUploadDuringApplication: { total: 0 },
+    otherActions: {}
+};
+
+function readApplications() {
+    if (!fs.existsSync(APPLICATIONS_FILE)) return null;
+    return JSON.parse(fs.readFileSync(APPLICATIONS_FILE, 'utf8'));
+}
+
+function getMissingFields(data) {
+    const missing = [];
+    for (const [section, defaults] of Object.entries(DEFAULT_SECTIONS)) {
+        if (!data[section]) {
+            missing.push(section);
+            continue;
+        }
+        for (const field of Object.keys(defaults)) {
+            if (data[section][field] === undefined) {
+                missing.push(`${section}.${field}`);
+            }
+        }
+    }
+    return missing;
+}
+
+module.exports = {
+    id: '003_applications_schema_version',
+    target: 'applications',
+    from: 1,
+    to: 2,
+    description: 'Add schemaVersion to applications_data.json and backfill missing sections',
+
+    isNeeded() {
+        const data = readApplications();
+        return Boolean(data) && (data.schemaVersion || 1) < 2;
+    },
+
+    plan() {
+        const missing = getMissingFields(readApplications());
+        return {
+            lines: [`applications_data.json: set schemaVersion 2${missing.length > 0 ? `, add ${missing.join(', ')}` : ''}`],
+            files: [APPLICATIONS_FILE]
+        };
+    },
+
+    async apply() {
+        const data = readApplications();
+
+        for (const [section, defaults] of Object.entries(DEFAULT_SECTIONS)) {
+            data[section] = { ...defaults, ...(data[section] || {}) };
+        }
+
+        // Keep schemaVersion first, as the fetcher writes it
+        const migrated = { schemaVersion: 2, ...data };
+        migrated.schemaVersion = 2;
+
+        fs.writeFileSync(APPLICATIONS_FILE, JSON.stringify(migrated, null, 2));
+        console.log('  ✓ Updated applications_data.json');
+    }
+};
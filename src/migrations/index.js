@@ -0,0 +1,137 @@
+/**
+ * Cache Migrations
+ * Versioned migrations for the on-disk cache: Sentry chunk files ("chunks")
+ * and data/manual/applications_data.json ("applications")
+ *
+ * Each migration declares:
+ *   id          - unique, sortable name (NNN_description)
+ *   target      - "chunks" or "applications"
+ *   from, to    - versions of the target before/after it runs
+ *   description - one line shown by the runner
+ *   isNeeded()  - whether any data on disk still needs it
+ *   plan()      - { lines, files }: what it would change, and the files to back up
+ *   apply()     - performs the migration (async)
+ *
+ * The current version of a target is the "from" of its earliest migration that
+ * still has work to do, so caches copied in from elsewhere are detected too.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('../data_dir');
+
+const MIGRATIONS = [
+    require('./001_legacy_cache_to_chunks'),
+    require('./002_chunk_metadata'),
+    require('./003_applications_schema_version')
+];
+
+const TARGETS = ['chunks', 'applications'];
+
+const BACKUP_DIR = path.join(DATA_DIR, 'backups');
+
+function getLatestVersion(target) {
+    return Math.max(...MIGRATIONS.filter(m => m.target === target).map(m => m.to));
+}
+
+/**
+ * Current version of each target, detected from the data on disk
+ * @returns {Object} { chunks: n, applications: n }
+ */
+function detectVersions() {
+    const versions = {};
+
+    for (const target of TARGETS) {
+        const needed = MIGRATIONS.find(m => m.target === target && m.isNeeded());
+        versions[target] = needed ? needed.from : getLatestVersion(target);
+    }
+
+    return versions;
+}
+
+function getPendingMigrations(versions = detectVersions()) {
+    return MIGRATIONS.filter(m => m.from >= versions[m.target]);
+}
+
+/**
+ * Copy files into data/backups/<stamp>/<migration id>/, keeping their paths relative to data/
+ * @returns {string} the backup directory
+ */
+function backupFiles(migration, files, stamp) {
+    const backupDir = path.join(BACKUP_DIR, stamp, migration.id);
+
+    for (const file of files) {
+        if (!fs.existsSync(file)) continue;
+        const target = path.join(backupDir, path.relative(DATA_DIR, file));
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.copyFileSync(file, target);
+    }
+
+    return backupDir;
+}
+
+/**
+ * Apply every pending migration in order, backing up the files each one touches
+ * @param {Object} options
+ * @param {boolean} options.dryRun - Only print what would change
+ * @returns {Promise<{applied: string[], versions: Object}>}
+ */
+async function runMigrations(options = {}) {
+    const { dryRun = false } = options;
+
+    const versions = detectVersions();
+    const pending = getPendingMigrations(versions);
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const applied = [];
+
+    for (const target of TARGETS) {
+        console.log(`  ${target}: v${versions[target]} (latest v${getLatestVersion(target)})`);
+    }
+
+    if (pending.length === 0) {
+        return { applied, versions };
+    }
+
+    for (const migration of pending) {
+        console.log(`\n▸ ${migration.id} (${migration.target} v${migration.from} → v${migration.to})`);
+        console.log(`  ${migration.description}`);
+
+        if (!migration.isNeeded()) {
+            console.log('  ✓ Nothing to migrate');
+            versions[migration.target] = migration.to;
+            continue;
+        }
+
+        const { lines, files } = migration.plan();
+        lines.forEach(line => console.log(`  - ${line}`));
+
+        if (dryRun) {
+            if (migration.from !== versions[migration.target]) {
+                console.log('  (runs after the migrations above, so may change more than listed)');
+            }
+            continue;
+        }
+
+        const backupDir = backupFiles(migration, files, stamp);
+        console.log(`  Backed up ${files.length} file(s) to ${backupDir}`);
+
+        await migration.apply();
+
+        if (migration.isNeeded()) {
+            throw new Error(`Migration ${migration.id} did not complete - restore from ${backupDir} if needed`);
+        }
+
+        versions[migration.target] = migration.to;
+        applied.push(migration.id);
+    }
+
+    return { applied, versions };
+}
+
+module.exports = {
+    MIGRATIONS,
+    TARGETS,
+    detectVersions,
+    getPendingMigrations,
+    runMigrations
+};
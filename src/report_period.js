@@ -0,0 +1,111 @@
+/**
+ * Report Periods
+ * Resolves the orchestrator's --period / --start-date / --end-date / --days
+ * options to exact, inclusive YYYY-MM-DD boundaries in the reporting timezone,
+ * so a run covers the same calendar dates whenever the cron happens to fire
+ */
+
+const { getToday, addDays } = require('./timezone');
+
+const PERIODS = {
+    LAST_WEEK: 'last-week',     // Sunday to Saturday of the last full week
+    LAST_MONTH: 'last-month',   // the previous calendar month
+    QUARTER: 'quarter'          // the last full calendar quarter
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function toDate(dateStr) {
+    return new Date(dateStr + 'T00:00:00Z');
+}
+
+function toDateStr(date) {
+    return date.toISOString().split('T')[0];
+}
+
+// Dates are calendar days, so they are formatted as such (not converted between zones)
+function formatDay(dateStr, options) {
+    return toDate(dateStr).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+}
+
+function isValidDate(dateStr) {
+    return DATE_PATTERN.test(dateStr) && toDateStr(toDate(dateStr)) === dateStr;
+}
+
+function resolveLastWeek(today) {
+    const endDate = addDays(today, -(toDate(today).getUTCDay() + 1));
+    const startDate = addDays(endDate, -6);
+    return { startDate, endDate, label: `Week of ${formatDay(startDate, { month: 'short', day: 'numeric', year: 'numeric' })}` };
+}
+
+function resolveLastMonth(today) {
+    const date = toDate(today);
+    const startDate = toDateStr(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - 1, 1)));
+    const endDate = toDateStr(new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 0)));
+    return { startDate, endDate, label: formatDay(startDate, { month: 'long', year: 'numeric' }) };
+}
+
+function resolveLastQuarter(today) {
+    const date = toDate(today);
+    const quarterStartMonth = Math.floor(date.getUTCMonth() / 3) * 3;
+    const start = new Date(Date.UTC(date.getUTCFullYear(), quarterStartMonth - 3, 1));
+    const startDate = toDateStr(start);
+    const endDate = toDateStr(new Date(Date.UTC(date.getUTCFullYear(), quarterStartMonth, 0)));
+    return { startDate, endDate, label: `Q${start.getUTCMonth() / 3 + 1} ${start.getUTCFullYear()}` };
+}
+
+/**
+ * Work out the dates a report covers
+ * Only one way of choosing them may be given: a named period, explicit
+ * start/end dates, or a number of days (the N full days before today).
+ *
+ * @param {Object} options - { period, startDate, endDate, days }
+ * @param {string} today - YYYY-MM-DD (defaults to today in the reporting timezone)
+ * @returns {{startDate, endDate, days, label}} inclusive dates and a label for the report
+ */
+function resolveReportPeriod(options = {}, today = getToday()) {
+    const { period = null, startDate = null, endDate = null, days = null } = options;
+
+    const chosen = [period, startDate || endDate, days].filter(Boolean).length;
+    if (chosen > 1) {
+        throw new Error('Choose the report period with only one of --period, --start-date/--end-date or --days');
+    }
+
+    let resolved;
+    if (period) {
+        if (period === PERIODS.LAST_WEEK) {
+            resolved = resolveLastWeek(today);
+        } else if (period === PERIODS.LAST_MONTH) {
+            resolved = resolveLastMonth(today);
+        } else if (period === PERIODS.QUARTER) {
+            resolved = resolveLastQuarter(today);
+        } else {
+            throw new Error(`Unknown period "${period}" (expected ${Object.values(PERIODS).join(', ')})`);
+        }
+    } else if (startDate || endDate) {
+        if (!startDate || !endDate) {
+            throw new Error('--start-date and --end-date must be given together');
+        }
+        for (const date of [startDate, endDate]) {
+            if (!isValidDate(date)) throw new Error(`Invalid date "${date}" (expected YYYY-MM-DD)`);
+        }
+        if (startDate > endDate) {
+            throw new Error(`--start-date ${startDate} is after --end-date ${endDate}`);
+        }
+        resolved = { startDate, endDate, label: null };
+    } else {
+        const count = days || 7;
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error(`Invalid number of days: ${days}`);
+        }
+        resolved = { startDate: addDays(today, -count), endDate: addDays(today, -1), label: `Last ${count} Days` };
+    }
+
+    const dayCount = (toDate(resolved.endDate) - toDate(resolved.startDate)) / (24 * 60 * 60 * 1000) + 1;
+    const label = resolved.label
+        || `${formatDay(resolved.startDate, { month: 'short', day: 'numeric', year: 'numeric' })} to ${formatDay(resolved.endDate, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+
+    return { startDate: resolved.startDate, endDate: resolved.endDate, days: dayCount, label };
+}
+
+module.exports = { PERIODS, resolveReportPeriod };
@@ -10,7 +10,10 @@
  * 4. Sends email with the report attached
  *
  * Usage:
- *   node src/run_weekly_report.js [--days N] [--skip-email] [--skip-sentry]
+ *   node src/run_weekly_report.js [--period last-week|last-month|quarter | --start-date YYYY-MM-DD --end-date YYYY-MM-DD | --days N]
+ *                                 [--skip-email] [--skip-sentry] [--refresh] [--max-age HOURS] [--aggregate]
+ *                                 [--concurrency N]
+ *                                 [--record DIR | --replay DIR]
  *
  * Environment variables required:
  *   - SENTRY_TOKEN: Sentry API token
@@ -24,75 +27,120 @@
 
 require('dotenv').config();
 
-const fs = require('fs');
 const path = require('path');
 
+// --record / --replay runs keep everything they fetch and write in <fixture dir>/data
+// rather than the live data directory. The modules below resolve their paths
+// when loaded, so REPORT_DATA_DIR is set before requiring them.
+function getFixtureDataDir(fixtureDir) {
+    return path.resolve(fixtureDir, 'data');
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const fixtureFlag = args.findIndex(arg => arg === '--record' || arg === '--replay');
+    if (fixtureFlag !== -1 && args[fixtureFlag + 1]) {
+        process.env.REPORT_DATA_DIR = getFixtureDataDir(args[fixtureFlag + 1]);
+        process.env.SQLITE_DB_PATH = path.join(process.env.REPORT_DATA_DIR, 'events.db');
+    }
+}
+
 // Import modules
-const { fetchGravityFormsData } = require('./fetch_gravity_forms');
+const { fetchGravityFormsData, saveApplicationsData, getIncompleteForms } = require('./fetch_gravity_forms');
 const { sendReportEmail } = require('./send_email');
+const { loadIssueRegistry } = require('./issue_registry');
+const { startRecording, startReplay } = require('./http_fixtures');
+const { REPORT_TIMEZONE, toZonedDate } = require('./timezone');
+const { PERIODS, resolveReportPeriod } = require('./report_period');
+const { DATA_DIR } = require('./data_dir');
 
 // Import from parent directory
-const { fetchMissingChunks } = require('../fetch_payment_data');
+const { fetchMissingChunksForIssues } = require('../fetch_payment_data');
 const {
-    loadChunksInDateRange,
+    loadIssueEvents,
+    loadIssueAggregates,
+    findAllIncompleteChunks,
     loadApplicationsData,
-    processPaymentErrors,
-    processPaymentSuccess,
-    processMidRulesErrors,
+    buildReportData,
+    buildReportDataFromAggregates,
     generateHTMLReport,
-    generatePDF,
-    formatDate
+    generatePDF
 } = require('../process_payment_report');
 
-// Configuration
-const PAYMENT_ERROR_ISSUE_ID = "6722248692";
-const PAYMENT_SUCCESS_ISSUE_ID = "6722249177";
-const DATA_DIR = path.join(__dirname, '../data');
-const MANUAL_DIR = path.join(DATA_DIR, 'manual');
-
 /**
  * Main orchestrator function
  */
 async function runWeeklyReport(options = {}) {
     const {
-        days = 7,
+        period = null,
+        startDate = null,
+        endDate = null,
+        days = null,
         skipEmail = false,
         skipSentry = false,
-        skipGravityForms = false
+        skipGravityForms = false,
+        maxAgeHours = null,
+        concurrency = null,
+        useAggregates = false,
+        recordDir = null,
+        replayDir = null
     } = options;
+    let { refresh = false } = options;
 
     console.log('\n' + '='.repeat(70));
     console.log('   DLC Weekly Application & Payment Report Generator');
     console.log('='.repeat(70));
 
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - days);
+    const fixtureDir = replayDir || recordDir;
+    if (fixtureDir && DATA_DIR !== getFixtureDataDir(fixtureDir)) {
+        throw new Error(`--record and --replay write to ${getFixtureDataDir(fixtureDir)}; set REPORT_DATA_DIR to it before loading the report modules so the live cache isn't overwritten`);
+    }
+
+    // Exact calendar dates (inclusive) in the reporting timezone
+    let reportPeriod = resolveReportPeriod({ period, startDate, endDate, days });
+
+    // Replays reuse the recorded report period; both modes re-fetch every Sentry
+    // chunk so all requests go through the fixtures rather than a cache left in
+    // <fixture dir>/data by an earlier run
+    if (replayDir) {
+        const runInfo = startReplay(replayDir);
+        if (runInfo.startDate && runInfo.endDate) {
+            // Older recordings stored the run's start and end instants
+            const toDay = value => (value.includes('T') ? toZonedDate(new Date(value)) : value);
+            reportPeriod = resolveReportPeriod({ startDate: toDay(runInfo.startDate), endDate: toDay(runInfo.endDate) });
+            if (runInfo.label) reportPeriod.label = runInfo.label;
+        }
+        // Fetch windows follow the reporting timezone, so requests only match under the recorded one
+        if (runInfo.timezone && runInfo.timezone !== REPORT_TIMEZONE) {
+            console.log(`⚠ Fixtures were recorded with REPORT_TIMEZONE=${runInfo.timezone} (now ${REPORT_TIMEZONE}) - requests may not match`);
+        }
+        refresh = true;
+    } else if (recordDir) {
+        startRecording(recordDir, {
+            startDate: reportPeriod.startDate,
+            endDate: reportPeriod.endDate,
+            label: reportPeriod.label,
+            timezone: REPORT_TIMEZONE
+        });
+        refresh = true;
+    }
 
-    const startDateStr = formatDate(startDate);
-    const endDateStr = formatDate(endDate);
+    const { startDate: startDateStr, endDate: endDateStr } = reportPeriod;
 
-    console.log(`\nReport Period: ${startDateStr} to ${endDateStr} (${days} days)`);
+    console.log(`\nReport Period: ${reportPeriod.label} (${startDateStr} to ${endDateStr}, ${reportPeriod.days} days, ${REPORT_TIMEZONE})`);
     console.log(`Generated at: ${new Date().toISOString()}`);
     console.log('='.repeat(70));
 
     let gravityData = null;
-    let errorEvents = [];
-    let successEvents = [];
 
-    // Step 1: Fetch Gravity Forms data
+    // Step 1: Fetch Gravity Forms data (only days missing from the entry cache)
     if (!skipGravityForms) {
         try {
             console.log('\n📊 STEP 1: Fetching Gravity Forms Data');
             console.log('-'.repeat(50));
-            gravityData = await fetchGravityFormsData(startDate, endDate);
+            gravityData = await fetchGravityFormsData(startDateStr, endDateStr, { refresh, maxAgeHours });
 
-            // Save to applications_data.json
-            if (!fs.existsSync(MANUAL_DIR)) {
-                fs.mkdirSync(MANUAL_DIR, { recursive: true });
-            }
-            const outputPath = path.join(MANUAL_DIR, 'applications_data.json');
-            fs.writeFileSync(outputPath, JSON.stringify(gravityData, null, 2));
+            const outputPath = saveApplicationsData(gravityData);
             console.log(`✓ Saved Gravity Forms data to: ${outputPath}`);
         } catch (error) {
             console.error(`⚠ Gravity Forms fetch failed: ${error.message}`);
@@ -100,132 +148,97 @@ async function runWeeklyReport(options = {}) {
         }
     } else {
         console.log('\n⏭ STEP 1: Skipping Gravity Forms fetch (--skip-gravity-forms)');
-        gravityData = loadApplicationsData();
+        try {
+            // Rebuild the period from the entry cache, but only save it over
+            // applications_data.json when the cache covers the whole period
+            gravityData = await fetchGravityFormsData(startDateStr, endDateStr, { offline: true });
+            const incomplete = getIncompleteForms(gravityData);
+            if (incomplete.length > 0) {
+                throw new Error(`Entries cached for only part of the period (${incomplete.map(formStatus => formStatus.name).join(', ')})`);
+            }
+            const outputPath = saveApplicationsData(gravityData);
+            console.log(`✓ Saved Gravity Forms data to: ${outputPath}`);
+        } catch (error) {
+            console.log(`  ${error.message} - using applications_data.json as it is`);
+            gravityData = loadApplicationsData();
+        }
     }
 
     // Step 2: Fetch Sentry data
-    if (!skipSentry) {
-        console.log('\n📈 STEP 2: Fetching Sentry Payment Data');
+    let aggregatesByIssue = null;
+    if (!skipSentry && useAggregates) {
+        console.log('\n📈 STEP 2: Fetching Sentry Aggregates');
         console.log('-'.repeat(50));
 
         try {
-            // Fetch Payment Error data
-            await fetchMissingChunks(
-                PAYMENT_ERROR_ISSUE_ID,
-                'Payment Error',
-                'payment_error',
-                startDateStr,
-                endDateStr
-            );
+            aggregatesByIssue = await loadIssueAggregates(startDateStr, endDateStr);
+            console.log('✓ Sentry aggregate fetch complete');
+        } catch (error) {
+            console.error(`⚠ Sentry aggregate fetch failed: ${error.message}`);
+            console.log('Falling back to cached events, fetching any missing chunks...');
+        }
+    }
 
-            // Fetch Payment Success data
-            await fetchMissingChunks(
-                PAYMENT_SUCCESS_ISSUE_ID,
-                'Payment Success',
-                'payment_success',
+    if (skipSentry) {
+        console.log('\n⏭ STEP 2: Skipping Sentry fetch (--skip-sentry)');
+    } else if (!aggregatesByIssue) {
+        if (!useAggregates) {
+            console.log('\n📈 STEP 2: Fetching Sentry Payment Data');
+            console.log('-'.repeat(50));
+        }
+
+        try {
+            // Fetch every issue in config/sentry_issues.json through one worker pool
+            await fetchMissingChunksForIssues(
+                loadIssueRegistry(),
                 startDateStr,
-                endDateStr
+                endDateStr,
+                { refresh, maxAgeHours, ...(concurrency ? { concurrency } : {}) }
             );
 
             console.log('✓ Sentry data fetch complete');
         } catch (error) {
             console.error(`⚠ Sentry fetch failed: ${error.message}`);
         }
-    } else {
-        console.log('\n⏭ STEP 2: Skipping Sentry fetch (--skip-sentry)');
     }
 
     // Step 3: Load and process data
     console.log('\n📋 STEP 3: Processing Data');
     console.log('-'.repeat(50));
 
-    // Load Sentry events from cache
-    errorEvents = loadChunksInDateRange(
-        PAYMENT_ERROR_ISSUE_ID,
-        'Payment Error',
-        startDateStr,
-        endDateStr
-    );
-    console.log(`Loaded ${errorEvents.length} Payment Error events`);
-
-    successEvents = loadChunksInDateRange(
-        PAYMENT_SUCCESS_ISSUE_ID,
-        'Payment Success',
-        startDateStr,
-        endDateStr
-    );
-    console.log(`Loaded ${successEvents.length} Payment Success events`);
-
-    // Process data
-    const errorReasons = processPaymentErrors(errorEvents);
-    const merchants = processPaymentSuccess(successEvents);
-
-    // Calculate totals
-    const totalErrorEvents = errorReasons.reduce((sum, item) => sum + item.count, 0);
-    const totalErrorUsers = new Set(errorEvents.map(e => e.userId)).size;
-    const totalSuccessEvents = merchants.reduce((sum, item) => sum + item.count, 0);
-    const totalSuccessUsers = new Set(successEvents.map(e => e.userId)).size;
-
-    // Prepare chart data (top 12 + others)
-    const topErrorReasons = errorReasons.slice(0, 12);
-    const otherErrorReasons = errorReasons.slice(12);
-
-    let chartErrorReasons = topErrorReasons.map(item => ({
-        ...item,
-        percentage: totalErrorEvents > 0
-            ? parseFloat(((item.count / totalErrorEvents) * 100).toFixed(2))
-            : 0
-    }));
-
-    if (otherErrorReasons.length > 0) {
-        const othersCount = otherErrorReasons.reduce((sum, item) => sum + item.count, 0);
-        chartErrorReasons.push({
-            reason: 'Others',
-            count: othersCount,
-            uniqueUsers: otherErrorReasons.reduce((sum, item) => sum + item.uniqueUsers, 0),
-            percentage: totalErrorEvents > 0
-                ? parseFloat(((othersCount / totalErrorEvents) * 100).toFixed(2))
-                : 0
-        });
-    }
+    let reportData;
+    let dataWarnings = [];
 
-    const allErrorReasons = errorReasons.map(item => ({
-        ...item,
-        percentage: totalErrorEvents > 0
-            ? parseFloat(((item.count / totalErrorEvents) * 100).toFixed(2))
-            : 0
-    }));
-
-    const errorData = {
-        totalEvents: totalErrorEvents,
-        totalUsers: totalErrorUsers,
-        chartReasons: chartErrorReasons,
-        reasons: allErrorReasons
-    };
+    if (aggregatesByIssue) {
+        reportData = buildReportDataFromAggregates(aggregatesByIssue);
+    } else {
+        // Load Sentry events from cache
+        const { eventsByIssue, unreadableChunks, prunedDaysByIssue } = await loadIssueEvents(startDateStr, endDateStr);
 
-    const successData = {
-        totalEvents: totalSuccessEvents,
-        totalUsers: totalSuccessUsers,
-        merchants: merchants.map(item => ({
-            ...item,
-            percentage: totalSuccessEvents > 0
-                ? parseFloat(((item.count / totalSuccessEvents) * 100).toFixed(2))
-                : 0
-        }))
-    };
+        // Flag any partial/failed/unreadable chunks so the report doesn't silently undercount
+        dataWarnings = findAllIncompleteChunks(startDateStr, endDateStr, unreadableChunks);
+
+        reportData = buildReportData(eventsByIssue, prunedDaysByIssue);
+    }
+
+    const { errorData, successData, midRulesData, additionalIssues } = reportData;
+    const totalErrorEvents = errorData.totalEvents;
+    const totalErrorUsers = errorData.totalUsers;
+    const totalSuccessEvents = successData.totalEvents;
+    const totalSuccessUsers = successData.totalUsers;
 
     // Load applications data (may have been updated by Gravity Forms fetch)
     const applicationsData = loadApplicationsData();
 
-    // Process MID Rules error details
-    const midRulesData = processMidRulesErrors(errorEvents);
-
     console.log('\n📊 Summary:');
     console.log(`  Payment Success: ${totalSuccessEvents.toLocaleString()} events, ${totalSuccessUsers.toLocaleString()} users`);
     console.log(`  Payment Error:   ${totalErrorEvents.toLocaleString()} events, ${totalErrorUsers.toLocaleString()} users`);
     if (midRulesData) {
         console.log(`  MID Rules Errors: ${midRulesData.totalEvents.toLocaleString()} events, ${midRulesData.totalUsers.toLocaleString()} users`);
     }
+    for (const issue of additionalIssues) {
+        console.log(`  ${(issue.name + ':').padEnd(16)} ${issue.totalEvents.toLocaleString()} events, ${issue.totalUsers.toLocaleString()} users`);
+    }
     if (applicationsData) {
         console.log(`  Applications:    ${applicationsData.applications?.total?.toLocaleString() || 'N/A'} total`);
     }
@@ -234,7 +247,7 @@ async function runWeeklyReport(options = {}) {
     console.log('\n📄 STEP 4: Generating Reports');
     console.log('-'.repeat(50));
 
-    const htmlFile = generateHTMLReport(errorData, successData, applicationsData, startDateStr, endDateStr, false, midRulesData);
+    const htmlFile = generateHTMLReport(errorData, successData, applicationsData, startDateStr, endDateStr, false, midRulesData, dataWarnings, additionalIssues, reportPeriod.label);
     console.log(`✓ HTML report: ${htmlFile}`);
 
     const pdfFile = await generatePDF(htmlFile);
@@ -248,6 +261,7 @@ async function runWeeklyReport(options = {}) {
             await sendReportEmail(pdfFile, htmlFile, {
                 startDate: startDateStr,
                 endDate: endDateStr,
+                periodLabel: reportPeriod.label,
                 applications: applicationsData ? {
                     total: applicationsData.applications?.total,
                     firstTime: applicationsData.applications?.firstTimeApplications
@@ -284,14 +298,32 @@ async function runWeeklyReport(options = {}) {
 function parseArgs() {
     const args = process.argv.slice(2);
     const options = {
-        days: 7,
+        period: null,
+        startDate: null,
+        endDate: null,
+        days: null,
         skipEmail: false,
         skipSentry: false,
-        skipGravityForms: false
+        skipGravityForms: false,
+        refresh: false,
+        maxAgeHours: null,
+        concurrency: null,
+        useAggregates: false,
+        recordDir: null,
+        replayDir: null
     };
 
     for (let i = 0; i < args.length; i++) {
         switch (args[i]) {
+            case '--period':
+                options.period = args[++i];
+                break;
+            case '--start-date':
+                options.startDate = args[++i];
+                break;
+            case '--end-date':
+                options.endDate = args[++i];
+                break;
             case '--days':
                 options.days = parseInt(args[++i], 10) || 7;
                 break;
@@ -304,6 +336,25 @@ function parseArgs() {
             case '--skip-gravity-forms':
                 options.skipGravityForms = true;
                 break;
+            case '--refresh':
+                options.refresh = true;
+                break;
+            case '--aggregate':
+                options.useAggregates = true;
+                break;
+            case '--concurrency':
+                options.concurrency = parseInt(args[++i], 10) || null;
+                break;
+            case '--record':
+                options.recordDir = args[++i];
+                break;
+            case '--replay':
+                options.replayDir = args[++i];
+                break;
+            case '--max-age':
+                options.maxAgeHours = parseFloat(args[++i]);
+                if (Number.isNaN(options.maxAgeHours)) options.maxAgeHours = null;
+                break;
             case '--help':
             case '-h':
                 console.log(`
@@ -312,10 +363,28 @@ DLC Weekly Report Generator
 Usage: node src/run_weekly_report.js [options]
 
 Options:
-  --days N              Number of days to include in report (default: 7)
+  --period NAME         Report on a calendar period (in REPORT_TIMEZONE):
+                          ${PERIODS.LAST_WEEK}   last full week, Sunday to Saturday
+                          ${PERIODS.LAST_MONTH}  previous calendar month
+                          ${PERIODS.QUARTER}     last full calendar quarter
+  --start-date DATE     First day to report on (YYYY-MM-DD, with --end-date)
+  --end-date DATE       Last day to report on, inclusive
+  --days N              Report on the N full days before today (default: 7)
   --skip-email          Generate report but don't send email
   --skip-sentry         Skip fetching Sentry data (use cached)
-  --skip-gravity-forms  Skip fetching Gravity Forms data (use cached)
+  --skip-gravity-forms  Skip fetching Gravity Forms data (build it from the entry
+                        cache, or use applications_data.json if the cache
+                        doesn't cover every day of the period)
+  --refresh             Re-fetch all Sentry chunks and Gravity Forms entries in
+                        range, ignoring the cache
+  --max-age HOURS       Re-fetch Sentry chunks and Gravity Forms entries fetched
+                        more than HOURS ago
+  --concurrency N       Sentry chunks fetched at once (default: 4)
+  --aggregate           Build the Sentry sections from aggregate queries
+                        instead of caching every event (no MID Rules details)
+  --record DIR          Save every Sentry/Gravity Forms/Resend exchange to DIR
+  --replay DIR          Serve responses recorded in DIR instead of the network
+                        (both keep their cache and report in DIR/data, not data/)
   --help, -h            Show this help message
 
 Environment Variables:
@@ -323,9 +392,11 @@ Environment Variables:
   GRAVITY_FORMS_URL     WordPress site URL
   GRAVITY_FORMS_KEY     Gravity Forms consumer key
   GRAVITY_FORMS_SECRET  Gravity Forms consumer secret
+  GRAVITY_FORMS_AUTH    oauth1 (default) or basic
   GMAIL_USER            Gmail address for sending
   GMAIL_APP_PASSWORD    Gmail app password
   REPORT_RECIPIENTS     Comma-separated email addresses
+  REPORT_TIMEZONE       Timezone report days follow (default: UTC)
                 `);
                 process.exit(0);
         }
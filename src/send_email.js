@@ -6,6 +6,8 @@
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
+const { isReplaying } = require('./http_fixtures');
+const { formatDateTime } = require('./timezone');
 
 const RESEND_API_KEY = process.env.RESEND_API_KEY;
 const REPORT_RECIPIENTS = process.env.REPORT_RECIPIENTS;
@@ -17,26 +19,28 @@ const REPORT_RECIPIENTS = process.env.REPORT_RECIPIENTS;
  * @param {Object} summary - Report summary data
  */
 async function sendReportEmail(pdfPath, htmlPath, summary = {}) {
-    if (!RESEND_API_KEY) {
+    // Replayed sends are answered from fixtures, so credentials aren't needed then
+    if (!RESEND_API_KEY && !isReplaying()) {
         throw new Error('Missing Resend API key. Set RESEND_API_KEY environment variable.');
     }
 
-    if (!REPORT_RECIPIENTS) {
+    if (!REPORT_RECIPIENTS && !isReplaying()) {
         throw new Error('No recipients configured. Set REPORT_RECIPIENTS environment variable.');
     }
 
-    const recipients = REPORT_RECIPIENTS.split(',').map(email => email.trim());
+    const recipients = (REPORT_RECIPIENTS || '').split(',').map(email => email.trim()).filter(Boolean);
 
     // Format date range for subject
     const startDate = summary.startDate || 'Unknown';
     const endDate = summary.endDate || 'Unknown';
-    const today = new Date().toLocaleDateString('en-US', {
+    const today = formatDateTime(new Date(), {
         month: 'short',
         day: 'numeric',
         year: 'numeric'
     });
 
-    const subject = `DLC Weekly Report - ${startDate} to ${endDate}`;
+    const period = summary.periodLabel ? `${summary.periodLabel} (${startDate} to ${endDate})` : `${startDate} to ${endDate}`;
+    const subject = `DLC Weekly Report - ${period}`;
 
     // Build HTML body with summary
     const htmlBody = `
@@ -62,7 +66,7 @@ async function sendReportEmail(pdfPath, htmlPath, summary = {}) {
     <div class="container">
         <div class="header">
             <h1 style="margin: 0; font-size: 24px;">Weekly Application & Payment Report</h1>
-            <p style="margin: 10px 0 0 0; opacity: 0.9;">${startDate} to ${endDate}</p>
+            <p style="margin: 10px 0 0 0; opacity: 0.9;">${period}</p>
         </div>
         <div class="content">
             <p>Hi team,</p>
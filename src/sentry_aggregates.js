@@ -0,0 +1,129 @@
+/**
+ * Sentry Aggregate Queries
+ * Fetches counts, unique users, hourly series and per-tag breakdowns for an
+ * issue from Sentry's Discover (events) and events-stats endpoints, instead
+ * of paging through every raw event
+ */
+
+require('dotenv').config();
+
+const { sentryGet, getNextPageUrl, getSentryApiUrl } = require('./sentry_client');
+const { startOfDay, endOfDay, toIsoSeconds } = require('./timezone');
+
+const ORGANIZATION_SLUG = process.env.SENTRY_ORG || "xajeet";
+
+// Grouped queries return up to 100 rows per page; stop after this many pages
+const MAX_BREAKDOWN_PAGES = 10;
+
+// Whole days in the reporting timezone
+function getRangeParams(startDate, endDate) {
+    return `start=${encodeURIComponent(toIsoSeconds(startOfDay(startDate)))}&end=${encodeURIComponent(toIsoSeconds(endOfDay(endDate)))}`;
+}
+
+function getIssueQuery(issue) {
+    return `query=${encodeURIComponent(`issue.id:${issue.id}`)}`;
+}
+
+/**
+ * Total events and unique users for an issue
+ */
+async function fetchIssueTotals(issue, startDate, endDate) {
+    const url = getSentryApiUrl(`/organizations/${ORGANIZATION_SLUG}/events/?dataset=errors&field=count()&field=count_unique(user)&${getIssueQuery(issue)}&${getRangeParams(startDate, endDate)}`);
+
+    const { data } = await sentryGet(url);
+    const row = (data.data || [])[0] || {};
+
+    return {
+        totalEvents: row['count()'] || 0,
+        uniqueUsers: row['count_unique(user)'] || 0
+    };
+}
+
+/**
+ * Hourly event counts for an issue
+ * @returns {Promise<Array<{time, count}>>} time is the start of the hour (ISO, UTC)
+ */
+async function fetchHourlyCounts(issue, startDate, endDate) {
+    const url = getSentryApiUrl(`/organizations/${ORGANIZATION_SLUG}/events-stats/?dataset=errors&yAxis=count()&interval=1h&${getIssueQuery(issue)}&${getRangeParams(startDate, endDate)}`);
+
+    const { data } = await sentryGet(url);
+
+    // events-stats returns [[epochSeconds, [{ count }]], ...]
+    return (data.data || []).map(([timestamp, values]) => ({
+        time: new Date(timestamp * 1000).toISOString(),
+        count: (values || []).reduce((sum, v) => sum + (v.count || 0), 0)
+    }));
+}
+
+/**
+ * Event count and unique users per value of one tag
+ */
+async function fetchTagBreakdown(issue, tagKey, startDate, endDate) {
+    const tagField = `tags[${tagKey}]`;
+    let url = getSentryApiUrl(`/organizations/${ORGANIZATION_SLUG}/events/?dataset=errors&field=${encodeURIComponent(tagField)}&field=count()&field=count_unique(user)&sort=-count&per_page=100&${getIssueQuery(issue)}&${getRangeParams(startDate, endDate)}`);
+
+    const rows = [];
+    let pages = 0;
+
+    while (url && pages < MAX_BREAKDOWN_PAGES) {
+        const { data, linkHeader } = await sentryGet(url);
+        for (const row of data.data || []) {
+            rows.push({
+                value: row[tagField],
+                count: row['count()'] || 0,
+                uniqueUsers: row['count_unique(user)'] || 0
+            });
+        }
+        url = getNextPageUrl(linkHeader);
+        pages++;
+    }
+
+    if (url) {
+        console.log(`    ⚠ ${tagKey} breakdown truncated after ${MAX_BREAKDOWN_PAGES} pages`);
+    }
+
+    return rows;
+}
+
+/**
+ * Fetch all aggregates for an issue in a handful of requests
+ * Breakdowns are keyed by the schema's output name (the "as" rename) and use
+ * the schema default for events missing the tag.
+ *
+ * @returns {Promise<{issueKey, totalEvents, uniqueUsers, hourly, breakdowns}>}
+ */
+async function fetchIssueAggregates(issue, startDate, endDate) {
+    console.log(`\nFetching ${issue.name} aggregates...`);
+
+    const totals = await fetchIssueTotals(issue, startDate, endDate);
+    const hourly = await fetchHourlyCounts(issue, startDate, endDate);
+
+    const wanted = issue.breakdowns || issue.schema.tags.map(entry => entry.as);
+    const breakdowns = {};
+
+    for (const entry of issue.schema.tags.filter(e => wanted.includes(e.as))) {
+        const rows = await fetchTagBreakdown(issue, entry.source, startDate, endDate);
+        const fallback = entry.default !== undefined ? entry.default : 'Unknown';
+
+        breakdowns[entry.as] = rows
+            .map(row => ({ ...row, value: row.value === null || row.value === undefined || row.value === '' ? fallback : row.value }))
+            .sort((a, b) => b.count - a.count);
+    }
+
+    console.log(`  ✓ ${issue.name}: ${totals.totalEvents} events, ${totals.uniqueUsers} unique users`);
+
+    return {
+        issueKey: issue.key,
+        totalEvents: totals.totalEvents,
+        uniqueUsers: totals.uniqueUsers,
+        hourly,
+        breakdowns
+    };
+}
+
+module.exports = {
+    fetchIssueTotals,
+    fetchHourlyCounts,
+    fetchTagBreakdown,
+    fetchIssueAggregates
+};
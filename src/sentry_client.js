@@ -0,0 +1,273 @@
+/**
+ * Sentry API Client
+ * Shared HTTP client for the Sentry REST API with status checking,
+ * rate-limit handling and retry with exponential backoff
+ *
+ * Every attempt (retries included) goes through one process-wide request-rate
+ * ceiling, so concurrent fetches can't outrun Sentry's rate limits together.
+ */
+
+require('dotenv').config();
+
+const http = require('http');
+const https = require('https');
+const fixtures = require('./http_fixtures');
+const { envInt, envFloat } = require('./env');
+
+// Retry budget (overridable per call or via environment)
+const DEFAULT_MAX_RETRIES = envInt('SENTRY_MAX_RETRIES', 5);
+const DEFAULT_RETRY_BUDGET_MS = envInt('SENTRY_RETRY_BUDGET_MS', 120000);
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 30000;
+
+// Global request-rate ceiling across all concurrent callers (0 = unlimited)
+const MAX_REQUESTS_PER_SECOND = envFloat('SENTRY_MAX_REQUESTS_PER_SECOND', 5);
+
+// Sentry host - point at a self-hosted install or a local stand-in server
+// (http:// URLs are allowed)
+const SENTRY_BASE_URL = (process.env.SENTRY_BASE_URL || 'https://sentry.io').replace(/\/+$/, '');
+
+/**
+ * Build a full Sentry API URL, e.g. getSentryApiUrl('/organizations/acme/events/')
+ */
+function getSentryApiUrl(apiPath) {
+    return `${SENTRY_BASE_URL}/api/0${apiPath}`;
+}
+
+/**
+ * Error thrown when a Sentry request fails permanently
+ * (non-retryable status, or the retry budget is exhausted)
+ */
+class SentryApiError extends Error {
+    constructor(message, { status = null, url = null, attempts = 0, body = null } = {}) {
+        super(message);
+        this.name = 'SentryApiError';
+        this.status = status;
+        this.url = url;
+        this.attempts = attempts;
+        this.body = body;
+    }
+}
+
+function sleep(ms) {
+    // Replayed rate limits don't need real waiting
+    if (fixtures.isReplaying()) return Promise.resolve();
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Shared request schedule: the earliest time the next request may start, and
+// a pause that applies to every caller after a 429 or an exhausted rate-limit window
+let nextRequestAt = 0;
+let pausedUntil = 0;
+
+/**
+ * Wait for a request slot under the global rate ceiling and any active pause
+ */
+async function waitForRequestSlot() {
+    if (fixtures.isReplaying()) return;
+
+    const interval = MAX_REQUESTS_PER_SECOND > 0 ? 1000 / MAX_REQUESTS_PER_SECOND : 0;
+
+    // A pause may be set by another caller while we wait, so re-check after sleeping
+    while (true) {
+        const now = Date.now();
+        const slot = Math.max(now, nextRequestAt, pausedUntil);
+        if (slot <= now) {
+            nextRequestAt = now + interval;
+            return;
+        }
+        await sleep(slot - now);
+    }
+}
+
+/**
+ * Hold back every caller's next request for ms
+ */
+function pauseRequests(ms) {
+    pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+}
+
+function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+/**
+ * Work out how long the server asked us to wait, in ms (null if it didn't say)
+ * Honors Retry-After (seconds or HTTP date) and X-Sentry-Rate-Limit-Reset (epoch seconds)
+ */
+function getServerDelay(headers) {
+    const retryAfter = headers['retry-after'];
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        if (!Number.isNaN(seconds)) {
+            return Math.max(0, seconds * 1000);
+        }
+        const date = Date.parse(retryAfter);
+        if (!Number.isNaN(date)) {
+            return Math.max(0, date - Date.now());
+        }
+    }
+
+    const remaining = headers['x-sentry-rate-limit-remaining'];
+    const reset = headers['x-sentry-rate-limit-reset'];
+    if (remaining !== undefined && Number(remaining) <= 0 && reset) {
+        return Math.max(0, Number(reset) * 1000 - Date.now());
+    }
+
+    return null;
+}
+
+/**
+ * Exponential backoff with full jitter
+ */
+function getBackoffDelay(attempt) {
+    const ceiling = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * Math.pow(2, attempt));
+    return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Parse the "next" URL out of a Sentry Link header
+ * Returns null when there is no next page (Sentry marks this with results="false")
+ */
+function getNextPageUrl(linkHeader) {
+    if (!linkHeader) return null;
+
+    for (const part of linkHeader.split(',')) {
+        const urlMatch = part.match(/<([^>]+)>/);
+        if (!urlMatch || !/rel="next"/.test(part)) continue;
+
+        const resultsMatch = part.match(/results="(true|false)"/);
+        if (resultsMatch && resultsMatch[1] === 'false') {
+            return null;
+        }
+        return urlMatch[1];
+    }
+
+    return null;
+}
+
+async function requestOnce(url, headers) {
+    if (fixtures.isReplaying()) {
+        return fixtures.takeReplay('GET', url);
+    }
+
+    const res = await sendRequest(url, headers);
+    if (fixtures.isRecording()) {
+        fixtures.recordExchange('sentry', 'GET', url, res);
+    }
+    return res;
+}
+
+function sendRequest(url, headers) {
+    const transport = url.startsWith('http:') ? http : https;
+
+    return new Promise((resolve, reject) => {
+        transport.get(url, { headers }, (res) => {
+            let body = '';
+
+            res.on('data', (chunk) => {
+                body += chunk;
+            });
+
+            res.on('end', () => {
+                resolve({ status: res.statusCode, headers: res.headers, body });
+            });
+
+            res.on('error', reject);
+        }).on('error', reject);
+    });
+}
+
+/**
+ * GET a Sentry API URL and parse the JSON response
+ * Retries on network errors, 429, 5xx and unparseable bodies.
+ *
+ * @param {string} url - Full Sentry API URL
+ * @param {Object} options
+ * @param {string} options.token - Sentry auth token (defaults to SENTRY_TOKEN)
+ * @param {number} options.maxRetries - Maximum retries before giving up
+ * @param {number} options.retryBudgetMs - Maximum total time spent waiting between retries
+ * @returns {Promise<{data: any, linkHeader: string, headers: Object}>}
+ */
+async function sentryGet(url, options = {}) {
+    const {
+        token = process.env.SENTRY_TOKEN,
+        maxRetries = DEFAULT_MAX_RETRIES,
+        retryBudgetMs = DEFAULT_RETRY_BUDGET_MS
+    } = options;
+
+    const headers = {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+    };
+
+    let attempt = 0;
+    let waitedMs = 0;
+
+    while (true) {
+        let failure;
+        let serverDelay = null;
+
+        try {
+            await waitForRequestSlot();
+            const res = await requestOnce(url, headers);
+
+            if (res.status >= 200 && res.status < 300) {
+                try {
+                    const data = JSON.parse(res.body);
+
+                    // Hold back everyone's next request if we've used up the window
+                    const pause = getServerDelay(res.headers);
+                    if (pause) {
+                        console.log(`    ⏳ Rate limit window exhausted, pausing ${Math.ceil(pause / 1000)}s`);
+                        pauseRequests(pause);
+                    }
+
+                    return { data, linkHeader: res.headers.link, headers: res.headers };
+                } catch (e) {
+                    failure = new SentryApiError(`Invalid JSON response: ${e.message}`, {
+                        status: res.status, url, attempts: attempt + 1, body: res.body.slice(0, 500)
+                    });
+                }
+            } else if (isRetryableStatus(res.status)) {
+                serverDelay = getServerDelay(res.headers);
+                failure = new SentryApiError(`HTTP ${res.status}`, {
+                    status: res.status, url, attempts: attempt + 1, body: res.body.slice(0, 500)
+                });
+            } else {
+                throw new SentryApiError(`HTTP ${res.status}: ${res.body.slice(0, 200)}`, {
+                    status: res.status, url, attempts: attempt + 1, body: res.body.slice(0, 500)
+                });
+            }
+        } catch (error) {
+            if (error instanceof SentryApiError) throw error;
+            failure = new SentryApiError(`Network error: ${error.message}`, { url, attempts: attempt + 1 });
+        }
+
+        const delay = serverDelay !== null ? serverDelay : getBackoffDelay(attempt);
+
+        if (attempt >= maxRetries || waitedMs + delay > retryBudgetMs) {
+            failure.message = `${failure.message} (gave up after ${attempt + 1} attempts)`;
+            throw failure;
+        }
+
+        console.log(`    ⚠ ${failure.message}, retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 2}/${maxRetries + 1})`);
+
+        // A server-requested wait applies to every caller; backoff only to this one
+        if (serverDelay !== null) {
+            pauseRequests(delay);
+        } else {
+            await sleep(delay);
+        }
+        waitedMs += delay;
+        attempt++;
+    }
+}
+
+module.exports = {
+    SENTRY_BASE_URL,
+    getSentryApiUrl,
+    sentryGet,
+    getNextPageUrl,
+    SentryApiError
+};
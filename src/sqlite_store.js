@@ -0,0 +1,274 @@
+/**
+ * SQLite Event Store
+ * Alternative to the chunk files in data/raw: chunk metadata and events are kept
+ * in a local SQLite database (data/events.db, or SQLITE_DB_PATH) so the cache
+ * can also be queried ad hoc, e.g.
+ *
+ *   SELECT merchant_id, COUNT(*) FROM events
+ *   WHERE store_id = '123' AND timestamp >= '2025-12-01' AND timestamp < '2026-01-01'
+ *   GROUP BY merchant_id;
+ *
+ * Enabled with STORAGE_BACKEND=sqlite. Events are unique per issue and eventId
+ * (or content, for events without one), so overlapping chunks never double count.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { startOfDay, addDays } = require('./timezone');
+const { DATA_DIR } = require('./data_dir');
+const { getIssue } = require('./issue_registry');
+
+const DEFAULT_DB_PATH = path.join(DATA_DIR, 'events.db');
+
+// Sentry tags copied into indexed columns (the full event is kept as JSON)
+const INDEXED_TAGS = {
+    reason: 'paymentErrorReason',
+    merchant_id: 'merchant_id',
+    store_id: 'storeId'
+};
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS chunks (
+        issue_id TEXT NOT NULL,
+        issue_name TEXT NOT NULL,
+        range_start TEXT NOT NULL,
+        range_end TEXT NOT NULL,
+        fetch_date TEXT,
+        fetch_status TEXT NOT NULL,
+        last_cursor TEXT,
+        fetch_error TEXT,
+        schema_version INTEGER,
+        timezone TEXT,
+        total_events INTEGER NOT NULL,
+        sub_ranges TEXT,
+        PRIMARY KEY (issue_id, range_start, range_end)
+    );
+
+    CREATE TABLE IF NOT EXISTS events (
+        issue_id TEXT NOT NULL,
+        event_id TEXT NOT NULL,
+        timestamp TEXT NOT NULL,
+        user_id TEXT,
+        reason TEXT,
+        merchant_id TEXT,
+        store_id TEXT,
+        chunk_start TEXT NOT NULL,
+        chunk_end TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (issue_id, event_id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_events_issue_timestamp ON events (issue_id, timestamp);
+    CREATE INDEX IF NOT EXISTS idx_events_timestamp ON events (timestamp);
+    CREATE INDEX IF NOT EXISTS idx_events_reason ON events (reason);
+    CREATE INDEX IF NOT EXISTS idx_events_merchant ON events (merchant_id);
+    CREATE INDEX IF NOT EXISTS idx_events_store ON events (store_id);
+    CREATE INDEX IF NOT EXISTS idx_events_chunk ON events (issue_id, chunk_start, chunk_end);
+`;
+
+// Columns added to the chunks table after it was first created
+const ADDED_CHUNK_COLUMNS = {
+    sub_ranges: 'TEXT',
+    timezone: 'TEXT'
+};
+
+let db = null;
+
+function getDatabase() {
+    if (db) return db;
+
+    // Loaded here so the native module is only needed when the SQLite backend is used
+    const Database = require('better-sqlite3');
+
+    const dbPath = process.env.SQLITE_DB_PATH || DEFAULT_DB_PATH;
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+
+    db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+    db.exec(SCHEMA);
+
+    // Databases created by older versions need the newer columns added
+    const columns = new Set(db.prepare('PRAGMA table_info(chunks)').all().map(column => column.name));
+    for (const [name, type] of Object.entries(ADDED_CHUNK_COLUMNS)) {
+        if (!columns.has(name)) {
+            db.exec(`ALTER TABLE chunks ADD COLUMN ${name} ${type}`);
+        }
+    }
+
+    return db;
+}
+
+function toColumnValue(value) {
+    return value === undefined || value === null ? null : String(value);
+}
+
+/**
+ * All chunks stored for an issue, oldest range first
+ * @returns {Array<{issueId, start, end, fetchDate, fetchStatus, lastCursor, fetchError, schemaVersion, timezone, totalEvents, subRanges}>}
+ */
+function listChunks(issueId) {
+    return getDatabase().prepare(`
+        SELECT * FROM chunks WHERE issue_id = ? ORDER BY range_start, range_end
+    `).all(String(issueId)).map(row => ({
+        issueId: row.issue_id,
+        start: row.range_start,
+        end: row.range_end,
+        fetchDate: row.fetch_date,
+        fetchStatus: row.fetch_status,
+        lastCursor: row.last_cursor,
+        fetchError: row.fetch_error,
+        schemaVersion: row.schema_version,
+        timezone: row.timezone,
+        totalEvents: row.total_events,
+        subRanges: row.sub_ranges ? JSON.parse(row.sub_ranges) : null
+    }));
+}
+
+/**
+ * Events saved with a chunk (used to resume or top up that chunk)
+ */
+function readChunkEvents(issueId, startDate, endDate) {
+    return getDatabase().prepare(`
+        SELECT data FROM events
+        WHERE issue_id = ? AND chunk_start = ? AND chunk_end = ?
+        ORDER BY timestamp
+    `).all(String(issueId), startDate, endDate).map(row => JSON.parse(row.data));
+}
+
+/**
+ * Every event for an issue with a timestamp in [startDate, endDate] (whole days
+ * in the reporting timezone; timestamps are stored as UTC ISO strings)
+ */
+function loadEventsInRange(issueId, startDate, endDate) {
+    return getDatabase().prepare(`
+        SELECT data FROM events
+        WHERE issue_id = ? AND timestamp >= ? AND timestamp < ?
+        ORDER BY timestamp
+    `).all(
+        String(issueId),
+        startOfDay(startDate).toISOString(),
+        startOfDay(addDays(endDate, 1)).toISOString()
+    ).map(row => JSON.parse(row.data));
+}
+
+/**
+ * The cached event key each indexed column is read from, following the
+ * issue's schema - a tag kept under another name ("as") is read by that name
+ */
+function getIndexedFields(issueId) {
+    const issue = getIssue(issueId);
+    const tags = issue ? issue.schema.tags : [];
+
+    const fields = {};
+    for (const [column, tag] of Object.entries(INDEXED_TAGS)) {
+        const entry = tags.find(t => t.source === tag);
+        fields[column] = entry ? entry.as : tag;
+    }
+    return fields;
+}
+
+/**
+ * Events are stored by eventId; one without an ID is keyed by a hash of its
+ * content, so it is kept instead of every such event overwriting the others
+ */
+function getEventKey(event) {
+    if (event.eventId) return String(event.eventId);
+    return `sha256:${crypto.createHash('sha256').update(JSON.stringify(event)).digest('hex')}`;
+}
+
+/**
+ * Replace a chunk and its events in one transaction
+ * @param {Object} header - chunk metadata as written to chunk files
+ */
+function saveChunk(issueId, issueName, startDate, endDate, header, events) {
+    const database = getDatabase();
+
+    const deleteEvents = database.prepare(`
+        DELETE FROM events WHERE issue_id = ? AND chunk_start = ? AND chunk_end = ?
+    `);
+    const upsertChunk = database.prepare(`
+        INSERT OR REPLACE INTO chunks
+            (issue_id, issue_name, range_start, range_end, fetch_date, fetch_status,
+             last_cursor, fetch_error, schema_version, timezone, total_events, sub_ranges)
+        VALUES
+            (@issueId, @issueName, @start, @end, @fetchDate, @fetchStatus,
+             @lastCursor, @fetchError, @schemaVersion, @timezone, @totalEvents, @subRanges)
+    `);
+    // An event already stored by an overlapping chunk moves to this one
+    const upsertEvent = database.prepare(`
+        INSERT OR REPLACE INTO events
+            (issue_id, event_id, timestamp, user_id, reason, merchant_id, store_id, chunk_start, chunk_end, data)
+        VALUES
+            (@issueId, @eventId, @timestamp, @userId, @reason, @merchant_id, @store_id, @start, @end, @data)
+    `);
+
+    const indexedFields = getIndexedFields(issueId);
+
+    database.transaction(() => {
+        deleteEvents.run(String(issueId), startDate, endDate);
+
+        upsertChunk.run({
+            issueId: String(issueId),
+            issueName,
+            start: startDate,
+            end: endDate,
+            fetchDate: header.fetchDate || null,
+            fetchStatus: header.fetchStatus || 'complete',
+            lastCursor: header.lastCursor || null,
+            fetchError: header.fetchError || null,
+            schemaVersion: header.schemaVersion || null,
+            timezone: header.timezone || null,
+            totalEvents: events.length,
+            subRanges: header.subRanges ? JSON.stringify(header.subRanges) : null
+        });
+
+        for (const event of events) {
+            const row = {
+                issueId: String(issueId),
+                eventId: getEventKey(event),
+                timestamp: event.timestamp,
+                userId: toColumnValue(event.userId),
+                start: startDate,
+                end: endDate,
+                data: JSON.stringify(event)
+            };
+            for (const [column, field] of Object.entries(indexedFields)) {
+                row[column] = toColumnValue(event[field]);
+            }
+            upsertEvent.run(row);
+        }
+    })();
+}
+
+/**
+ * Delete a chunk and the events saved with it
+ */
+function deleteChunk(issueId, startDate, endDate) {
+    const database = getDatabase();
+
+    database.transaction(() => {
+        database.prepare(`
+            DELETE FROM events WHERE issue_id = ? AND chunk_start = ? AND chunk_end = ?
+        `).run(String(issueId), startDate, endDate);
+        database.prepare(`
+            DELETE FROM chunks WHERE issue_id = ? AND range_start = ? AND range_end = ?
+        `).run(String(issueId), startDate, endDate);
+    })();
+}
+
+function closeDatabase() {
+    if (db) {
+        db.close();
+        db = null;
+    }
+}
+
+module.exports = {
+    listChunks,
+    readChunkEvents,
+    loadEventsInRange,
+    saveChunk,
+    deleteChunk,
+    closeDatabase
+};
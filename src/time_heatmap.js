@@ -0,0 +1,103 @@
+/**
+ * Hour-by-Weekday Heatmaps
+ * Counts timestamps into a weekday x hour grid in the reporting timezone and
+ * picks out the busiest slots and the quietest stretch of the day, for planning
+ * store staffing and maintenance windows
+ */
+
+const { REPORT_TIMEZONE, getZonedParts } = require('./timezone');
+
+// Index 0 is Sunday, as getZonedParts returns it
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Busiest weekday/hour slots called out
+const PEAK_SLOTS = 3;
+
+// Hours in the suggested maintenance window
+const QUIET_WINDOW_HOURS = 2;
+
+function sum(values) {
+    return values.reduce((total, value) => total + value, 0);
+}
+
+/**
+ * The hour of the day (summed over the week) where QUIET_WINDOW_HOURS in a row,
+ * wrapping past midnight, saw the fewest counts; the earliest wins a tie
+ */
+function findQuietWindow(hourTotals) {
+    let best = null;
+    for (let startHour = 0; startHour < 24; startHour++) {
+        let count = 0;
+        for (let i = 0; i < QUIET_WINDOW_HOURS; i++) {
+            count += hourTotals[(startHour + i) % 24];
+        }
+        if (!best || count < best.count) {
+            best = { startHour, hours: QUIET_WINDOW_HOURS, count };
+        }
+    }
+    return best;
+}
+
+/**
+ * Build a heatmap from counted instants
+ * @param {Array<{time, count}>} buckets - anything new Date() takes, with how many happened then
+ * @returns {{timezone, total, grid, peaks, busiestHour, busiestWeekday, quietWindow}}
+ *   grid[weekday][hour] holds the counts; the call-outs are null when nothing was counted
+ */
+function buildHeatmapFromCounts(buckets) {
+    const grid = WEEKDAYS.map(() => new Array(24).fill(0));
+
+    for (const { time, count } of buckets) {
+        if (!time || !count) continue;
+        const { weekday, hour } = getZonedParts(time);
+        grid[weekday][hour] += count;
+    }
+
+    const total = sum(grid.map(sum));
+    if (total === 0) {
+        return { timezone: REPORT_TIMEZONE, total, grid, peaks: [], busiestHour: null, busiestWeekday: null, quietWindow: null };
+    }
+
+    const hourTotals = Array.from({ length: 24 }, (_, hour) => sum(grid.map(row => row[hour])));
+    const weekdayTotals = grid.map(sum);
+    const busiestHour = hourTotals.indexOf(Math.max(...hourTotals));
+    const busiestWeekday = weekdayTotals.indexOf(Math.max(...weekdayTotals));
+
+    const peaks = grid
+        .flatMap((row, weekday) => row.map((count, hour) => ({ weekday, hour, count })))
+        .filter(slot => slot.count > 0)
+        .sort((a, b) => b.count - a.count)
+        .slice(0, PEAK_SLOTS);
+
+    return {
+        timezone: REPORT_TIMEZONE,
+        total,
+        grid,
+        peaks,
+        busiestHour: { hour: busiestHour, count: hourTotals[busiestHour] },
+        busiestWeekday: { weekday: busiestWeekday, count: weekdayTotals[busiestWeekday] },
+        quietWindow: findQuietWindow(hourTotals)
+    };
+}
+
+/**
+ * Build a heatmap with one count per timestamp
+ */
+function buildHeatmap(timestamps) {
+    return buildHeatmapFromCounts(timestamps.map(time => ({ time, count: 1 })));
+}
+
+/**
+ * "14:00-15:00" for an hour slot, or a window of several hours
+ */
+function formatHourRange(hour, hours = 1) {
+    const pad = h => `${String(h % 24).padStart(2, '0')}:00`;
+    return `${pad(hour)}-${pad(hour + hours)}`;
+}
+
+module.exports = {
+    WEEKDAYS,
+    buildHeatmap,
+    buildHeatmapFromCounts,
+    formatHourRange
+};
@@ -0,0 +1,70 @@
+/**
+ * Daily and Hourly Series
+ * Counts timestamps per day and per hour in the reporting timezone, for the
+ * report's trend charts. Only buckets with counts are kept; listBuckets() gives
+ * every bucket of a period, for showing the empty ones as zeros.
+ */
+
+const { REPORT_TIMEZONE, getZonedParts, startOfDay, endOfDay } = require('./timezone');
+
+const INTERVALS = {
+    DAY: 'day',
+    HOUR: 'hour'
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * The bucket an instant falls in: "YYYY-MM-DD" for a day, "YYYY-MM-DD HH:00" for an hour
+ */
+function getBucketKey(time, interval) {
+    const p = getZonedParts(time);
+    const day = `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+    return interval === INTERVALS.HOUR ? `${day} ${String(p.hour).padStart(2, '0')}:00` : day;
+}
+
+/**
+ * Build series from counted instants
+ * @param {Array<{time, count}>} buckets - anything new Date() takes, with how many happened then
+ * @returns {{timezone, daily, hourly}} daily and hourly map bucket keys to counts
+ */
+function buildSeriesFromCounts(buckets) {
+    const series = { timezone: REPORT_TIMEZONE, daily: {}, hourly: {} };
+
+    for (const { time, count } of buckets) {
+        if (!time || !count) continue;
+        const day = getBucketKey(time, INTERVALS.DAY);
+        const hour = getBucketKey(time, INTERVALS.HOUR);
+        series.daily[day] = (series.daily[day] || 0) + count;
+        series.hourly[hour] = (series.hourly[hour] || 0) + count;
+    }
+
+    return series;
+}
+
+/**
+ * Build series with one count per timestamp
+ */
+function buildSeries(timestamps) {
+    return buildSeriesFromCounts(timestamps.map(time => ({ time, count: 1 })));
+}
+
+/**
+ * Every bucket of a period (whole days in the reporting timezone), in order
+ * An hour repeated when clocks go back is one bucket.
+ */
+function listBuckets(startDate, endDate, interval) {
+    const keys = new Set();
+    const end = endOfDay(endDate).getTime();
+    for (let time = startOfDay(startDate).getTime(); time <= end; time += HOUR_MS) {
+        keys.add(getBucketKey(time, interval));
+    }
+    return [...keys];
+}
+
+module.exports = {
+    INTERVALS,
+    buildSeries,
+    buildSeriesFromCounts,
+    listBuckets
+};
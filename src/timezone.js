@@ -0,0 +1,174 @@
+/**
+ * Reporting Timezone
+ * Day boundaries, fetch windows, chart buckets and displayed times all follow
+ * REPORT_TIMEZONE (an IANA name such as "America/Denver", default "UTC"), so a
+ * "day" in the report is a business day where the stores are rather than a UTC one.
+ *
+ * Dates without a time ("YYYY-MM-DD") are always days in the reporting zone;
+ * instants (Date objects, ISO strings with Z) are converted with the helpers below.
+ */
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+function resolveTimezone(timeZone) {
+    try {
+        return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+    } catch (error) {
+        throw new Error(`Invalid REPORT_TIMEZONE "${timeZone}" (expected an IANA name such as "America/Denver")`);
+    }
+}
+
+const REPORT_TIMEZONE = resolveTimezone(process.env.REPORT_TIMEZONE || DEFAULT_TIMEZONE);
+
+const partsFormatters = new Map();
+
+function getPartsFormatter(timeZone) {
+    if (!partsFormatters.has(timeZone)) {
+        partsFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            weekday: 'short'
+        }));
+    }
+    return partsFormatters.get(timeZone);
+}
+
+/**
+ * Calendar fields of an instant in a timezone
+ * @returns {{year, month, day, hour, minute, second, weekday}} weekday is 0 (Sunday) to 6
+ */
+function getZonedParts(value, timeZone = REPORT_TIMEZONE) {
+    const parts = {};
+    for (const { type, value: part } of getPartsFormatter(timeZone).formatToParts(new Date(value))) {
+        parts[type] = part;
+    }
+
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+    };
+}
+
+// Milliseconds the zone is ahead of UTC at an instant (negative west of Greenwich)
+function getTimezoneOffsetMs(value, timeZone = REPORT_TIMEZONE) {
+    const ms = new Date(value).getTime();
+    const p = getZonedParts(ms, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(ms / 1000) * 1000;
+}
+
+/**
+ * The day (YYYY-MM-DD) an instant falls on in the reporting timezone
+ */
+function toZonedDate(value, timeZone = REPORT_TIMEZONE) {
+    const p = getZonedParts(value, timeZone);
+    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/**
+ * Today's date in the reporting timezone
+ */
+function getToday() {
+    return toZonedDate(new Date());
+}
+
+/**
+ * The instant a wall-clock time ("YYYY-MM-DD", "HH:MM:SS") happens in a timezone
+ */
+function zonedTimeToUtc(dateStr, timeStr = '00:00:00', timeZone = REPORT_TIMEZONE) {
+    const [year, month, day] = dateStr.split('-').map(Number);
+    const [hour, minute, second] = timeStr.split(':').map(Number);
+    const naive = Date.UTC(year, month - 1, day, hour, minute, second || 0);
+
+    // Re-check the offset at the result, in case a DST change falls in between
+    const guess = naive - getTimezoneOffsetMs(naive, timeZone);
+    return new Date(naive - getTimezoneOffsetMs(guess, timeZone));
+}
+
+/**
+ * The day (YYYY-MM-DD) a number of days after another, or before it if negative
+ */
+function addDays(dateStr, days) {
+    const date = new Date(dateStr + 'T00:00:00Z');
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Days (YYYY-MM-DD) from startDate to endDate, both included
+ */
+function listDays(startDate, endDate) {
+    const days = [];
+    for (let day = startDate; day <= endDate; day = addDays(day, 1)) {
+        days.push(day);
+    }
+    return days;
+}
+
+/**
+ * First instant of a day in the reporting timezone
+ */
+function startOfDay(dateStr) {
+    return zonedTimeToUtc(dateStr);
+}
+
+/**
+ * Last second of a day in the reporting timezone (inclusive API bounds)
+ */
+function endOfDay(dateStr) {
+    const next = new Date(dateStr + 'T00:00:00Z');
+    next.setUTCDate(next.getUTCDate() + 1);
+    return new Date(startOfDay(next.toISOString().split('T')[0]).getTime() - 1000);
+}
+
+/**
+ * ISO timestamp without milliseconds, as used in Sentry query bounds
+ */
+function toIsoSeconds(value) {
+    return new Date(value).toISOString().replace('.000Z', 'Z');
+}
+
+/**
+ * Format an instant for display in the reporting timezone
+ */
+function formatDateTime(value, options = {}) {
+    return new Date(value).toLocaleString('en-US', { ...options, timeZone: REPORT_TIMEZONE });
+}
+
+/**
+ * Human-readable zone for report headers, e.g. "America/Denver (MDT)"
+ */
+function getTimezoneLabel(value = new Date()) {
+    const abbreviation = new Intl.DateTimeFormat('en-US', { timeZone: REPORT_TIMEZONE, timeZoneName: 'short' })
+        .formatToParts(new Date(value))
+        .find(part => part.type === 'timeZoneName').value;
+    return abbreviation === REPORT_TIMEZONE ? REPORT_TIMEZONE : `${REPORT_TIMEZONE} (${abbreviation})`;
+}
+
+module.exports = {
+    REPORT_TIMEZONE,
+    resolveTimezone,
+    getZonedParts,
+    getTimezoneOffsetMs,
+    toZonedDate,
+    getToday,
+    zonedTimeToUtc,
+    addDays,
+    listDays,
+    startOfDay,
+    endOfDay,
+    toIsoSeconds,
+    formatDateTime,
+    getTimezoneLabel
+};
@@ -0,0 +1,30 @@
+/**
+ * Bounded Worker Pool
+ * Runs an async worker over a list of items with at most `concurrency`
+ * running at once
+ */
+
+/**
+ * @param {Array} items
+ * @param {number} concurrency - Maximum workers in flight (at least 1)
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} results in item order
+ */
+async function runPool(items, concurrency, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function runWorker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    }
+
+    const workerCount = Math.max(1, Math.min(concurrency, items.length));
+    await Promise.all(Array.from({ length: workerCount }, runWorker));
+
+    return results;
+}
+
+module.exports = { runPool };
@@ -0,0 +1,88 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { useTempDataDir, silenceConsole } = require('./helpers');
+
+useTempDataDir();
+// The import test below cuts chunks on UTC and Denver days
+process.env.REPORT_TIMEZONE = 'UTC';
+
+const { saveChunk, planMissingChunks, loadExistingChunks } = require('../fetch_payment_data');
+const { pruneIssue, importChunk } = require('../cache');
+const { readChunkEvents } = require('../src/chunk_store');
+const { loadIssueEvents, buildReportData } = require('../process_payment_report');
+const { getIssuesForSection } = require('../src/issue_registry');
+
+const [issue] = getIssuesForSection('payment_errors');
+
+const FETCH_DATE = '2026-10-01T00:00:00.000Z';
+
+// Midday UTC, so the day is the same in any reporting timezone used in CI
+function makeEvent(id, day, userId, reason) {
+    return { eventId: id, timestamp: `${day}T18:00:00.000Z`, userId, paymentErrorReason: reason };
+}
+
+const JANUARY = [
+    makeEvent('e1', '2025-01-03', 'u1', 'Card declined'),
+    makeEvent('e2', '2025-01-03', 'u2', 'Card declined'),
+    makeEvent('e3', '2025-01-20', 'u1', 'Insufficient funds')
+];
+const FEBRUARY = [
+    makeEvent('e4', '2025-02-10', 'u3', 'Card declined')
+];
+
+beforeEach((t) => silenceConsole(t));
+
+test('a period pruned from the cache is still reported, and never fetched again', async () => {
+    const meta = { schemaVersion: issue.schema.version, fetchDate: FETCH_DATE };
+    saveChunk(issue.id, issue.name, '2025-01-01', '2025-01-31', JANUARY, meta);
+    saveChunk(issue.id, issue.name, '2025-02-01', '2025-02-28', FEBRUARY, meta);
+
+    const before = await loadIssueEvents('2025-01-01', '2025-02-28');
+    const expected = buildReportData(before.eventsByIssue, before.prunedDaysByIssue).errorData;
+
+    const { removed } = await pruneIssue(issue, '2025-02-01', false);
+    assert.strictEqual(removed, 1);
+
+    // January only has daily aggregates now, including the days without events
+    assert.deepStrictEqual(planMissingChunks(issue, '2025-01-01', '2025-02-28'), []);
+    assert.deepStrictEqual(planMissingChunks(issue, '2025-01-01', '2025-01-31', { refresh: true }), []);
+
+    const after = await loadIssueEvents('2025-01-01', '2025-02-28');
+    assert.strictEqual(Object.keys(after.prunedDaysByIssue[issue.key]).length, 31);
+
+    const { errorData, midRulesData } = buildReportData(after.eventsByIssue, after.prunedDaysByIssue);
+    assert.strictEqual(errorData.totalEvents, 4);
+    assert.deepStrictEqual(errorData.reasons, expected.reasons);
+    // Unique users are summed per day: u1 is counted on both January days
+    assert.strictEqual(errorData.totalUsers, 4);
+    assert.strictEqual(errorData.heatmap.total, 4);
+    assert.strictEqual(midRulesData, null);
+});
+
+test('an imported chunk merged with one cut on another timezone\'s days keeps every event', async () => {
+    // 23:30 on March 31 in Denver is already April 1 in UTC
+    const lateEvent = { eventId: 'd1', timestamp: '2024-04-01T05:30:00.000Z', userId: 'u1', paymentErrorReason: 'Card declined' };
+    saveChunk(issue.id, issue.name, '2024-03-01', '2024-03-31', [lateEvent], {
+        schemaVersion: issue.schema.version,
+        fetchDate: FETCH_DATE,
+        timezone: 'America/Denver'
+    });
+
+    const entry = {
+        start: '2024-02-20',
+        end: '2024-03-10',
+        fetchStatus: 'complete',
+        fetchDate: FETCH_DATE,
+        schemaVersion: issue.schema.version,
+        timezone: 'UTC'
+    };
+    await importChunk(issue, entry, [makeEvent('u2', '2024-02-25', 'u2', 'Card declined')], false);
+
+    const chunks = loadExistingChunks(issue.id, issue.name).filter(chunk => chunk.start.startsWith('2024'));
+    assert.deepStrictEqual(chunks.map(chunk => `${chunk.start}_to_${chunk.end}`), ['2024-02-20_to_2024-02-29', '2024-03-01_to_2024-03-31']);
+
+    const march = await readChunkEvents(chunks[1].path);
+    assert.deepStrictEqual(march.map(event => event.eventId), ['d1']);
+    // Still due for a re-fetch on the reporting timezone's days
+    assert.strictEqual(chunks[1].timezone, 'America/Denver');
+});
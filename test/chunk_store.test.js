@@ -0,0 +1,60 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { makeTempDir, silenceConsole } = require('./helpers');
+
+const { FORMATS, writeChunk, removeChunk, readManifest, readChunkHeader, readChunkEvents, hashFile } = require('../src/chunk_store');
+
+const tempDir = makeTempDir();
+let chunkDir;
+
+const HEADER = { fetchDate: '2026-02-01T00:00:00.000Z', issueId: '1', issueName: 'Test Issue', fetchStatus: 'complete' };
+const EVENTS = [
+    { eventId: 'a', timestamp: '2026-01-02T10:00:00Z', userId: 'u1' },
+    { eventId: 'b', timestamp: '2026-01-03T11:00:00Z', userId: 'u2' }
+];
+
+beforeEach(() => {
+    chunkDir = fs.mkdtempSync(path.join(tempDir, 'issue-'));
+});
+
+for (const format of Object.values(FORMATS)) {
+    test(`a ${format} chunk is written whole and recorded with its checksum`, async () => {
+        const chunkPath = writeChunk(chunkDir, '2026-01-01', '2026-01-31', HEADER, EVENTS, format);
+
+        assert.deepStrictEqual(fs.readdirSync(chunkDir).filter(f => f.endsWith('.tmp')), []);
+        assert.strictEqual(readChunkHeader(chunkPath).fetchDate, HEADER.fetchDate);
+        assert.deepStrictEqual(await readChunkEvents(chunkPath), EVENTS);
+
+        const entry = readManifest(chunkDir).chunks[path.basename(chunkPath)];
+        assert.strictEqual(entry.sha256, hashFile(chunkPath));
+        assert.strictEqual(entry.totalEvents, EVENTS.length);
+        assert.deepStrictEqual([entry.start, entry.end, entry.format], ['2026-01-01', '2026-01-31', format]);
+    });
+}
+
+test('rewriting a range in another format replaces the old file and its manifest entry', () => {
+    const jsonPath = writeChunk(chunkDir, '2026-01-01', '2026-01-31', HEADER, EVENTS, FORMATS.JSON);
+    const gzPath = writeChunk(chunkDir, '2026-01-01', '2026-01-31', HEADER, EVENTS, FORMATS.NDJSON_GZ);
+
+    assert.strictEqual(fs.existsSync(jsonPath), false);
+    assert.deepStrictEqual(Object.keys(readManifest(chunkDir).chunks), [path.basename(gzPath)]);
+});
+
+test('removing a chunk forgets it in the manifest', () => {
+    const chunkPath = writeChunk(chunkDir, '2026-01-01', '2026-01-31', HEADER, EVENTS, FORMATS.JSON);
+    removeChunk(chunkPath);
+
+    assert.strictEqual(fs.existsSync(chunkPath), false);
+    assert.deepStrictEqual(readManifest(chunkDir).chunks, {});
+});
+
+test('an unreadable manifest is started over instead of stopping the write', (t) => {
+    silenceConsole(t);
+    fs.writeFileSync(path.join(chunkDir, 'manifest.json'), '{"chunks": {');
+
+    const chunkPath = writeChunk(chunkDir, '2026-01-01', '2026-01-31', HEADER, EVENTS, FORMATS.JSON);
+
+    assert.deepStrictEqual(Object.keys(readManifest(chunkDir).chunks), [path.basename(chunkPath)]);
+});
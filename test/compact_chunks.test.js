@@ -0,0 +1,44 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useTempDataDir } = require('./helpers');
+
+// The fetcher compact_chunks.js loads creates its cache directories when required
+useTempDataDir();
+
+const { getCoveredSpans, getMonthRanges, hasOverlaps } = require('../compact_chunks');
+
+// Migrated week chunks overlapping a fetched 30-day chunk, with a gap in March
+const CHUNKS = [
+    { start: '2026-01-01', end: '2026-01-07' },
+    { start: '2026-01-08', end: '2026-01-14' },
+    { start: '2026-01-10', end: '2026-02-08' },
+    { start: '2026-03-05', end: '2026-03-11' }
+];
+
+test('adjacent and overlapping chunks merge into one span, gaps stay gaps', () => {
+    assert.deepStrictEqual(getCoveredSpans(CHUNKS), [
+        { start: '2026-01-01', end: '2026-02-08' },
+        { start: '2026-03-05', end: '2026-03-11' }
+    ]);
+});
+
+test('spans are cut on month boundaries and clipped to the cached dates', () => {
+    assert.deepStrictEqual(getMonthRanges(getCoveredSpans(CHUNKS)), [
+        { start: '2026-01-01', end: '2026-01-31' },
+        { start: '2026-02-01', end: '2026-02-08' },
+        { start: '2026-03-05', end: '2026-03-11' }
+    ]);
+});
+
+test('a span across a year end splits at December 31', () => {
+    assert.deepStrictEqual(getMonthRanges([{ start: '2025-12-20', end: '2026-01-10' }]), [
+        { start: '2025-12-20', end: '2025-12-31' },
+        { start: '2026-01-01', end: '2026-01-10' }
+    ]);
+});
+
+test('overlaps are found whatever order the chunks are listed in', () => {
+    assert.strictEqual(hasOverlaps(CHUNKS), true);
+    assert.strictEqual(hasOverlaps([...CHUNKS].reverse()), true);
+    assert.strictEqual(hasOverlaps([CHUNKS[0], CHUNKS[1], CHUNKS[3]]), false);
+});
@@ -0,0 +1,77 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { useTempDataDir, silenceConsole } = require('./helpers');
+
+useTempDataDir();
+process.env.CHUNK_FORMAT = 'ndjson.gz';
+
+const { CHUNK_STATUS, saveChunk, planMissingChunks, loadExistingChunks, getChunkDir } = require('../fetch_payment_data');
+const { loadChunksInDateRange, findAllIncompleteChunks } = require('../process_payment_report');
+const { updateManifest } = require('../src/chunk_store');
+const { loadIssueRegistry } = require('../src/issue_registry');
+
+const [issue] = loadIssueRegistry();
+
+const EVENTS = Array.from({ length: 2000 }, (_, i) => ({
+    eventId: `e${i}`,
+    timestamp: `2026-01-${String(1 + (i % 28)).padStart(2, '0')}T12:00:00Z`,
+    userId: `u${i % 50}`,
+    paymentErrorReason: `reason ${i % 7}`
+}));
+
+// Cut the chunk short, as a killed copy or a full disk would, leaving its header readable
+function truncateChunk({ forgetManifest = false } = {}) {
+    const chunkDir = getChunkDir(issue.id, issue.name);
+    const chunkPath = path.join(chunkDir, '2026-01-01_to_2026-01-31.ndjson.gz');
+    const size = fs.statSync(chunkPath).size;
+    fs.truncateSync(chunkPath, Math.floor(size / 2));
+    if (forgetManifest) {
+        updateManifest(chunkDir, { [path.basename(chunkPath)]: null });
+    }
+}
+
+beforeEach((t) => {
+    fs.rmSync(getChunkDir(issue.id, issue.name), { recursive: true, force: true });
+    silenceConsole(t);
+    saveChunk(issue.id, issue.name, '2026-01-01', '2026-01-31', EVENTS, {
+        schemaVersion: issue.schema.version,
+        fetchDate: '2026-10-01T00:00:00.000Z'
+    });
+});
+
+test('an intact chunk is complete and its events load', async () => {
+    const [chunk] = loadExistingChunks(issue.id, issue.name);
+    assert.strictEqual(chunk.status, CHUNK_STATUS.COMPLETE);
+
+    const { events, unreadable } = await loadChunksInDateRange(issue.id, issue.name, '2026-01-01', '2026-01-31');
+    assert.strictEqual(events.length, EVENTS.length);
+    assert.deepStrictEqual(unreadable, []);
+});
+
+test('an unchanged chunk isn\'t hashed again when planning', (t) => {
+    const createHash = t.mock.method(crypto, 'createHash');
+
+    assert.deepStrictEqual(planMissingChunks(issue, '2026-01-10', '2026-01-20'), []);
+    assert.strictEqual(createHash.mock.callCount(), 0);
+});
+
+for (const forgetManifest of [false, true]) {
+    test(`a truncated chunk ${forgetManifest ? 'missing from' : 'listed in'} the manifest is fetched again and flagged in the report`, async () => {
+        truncateChunk({ forgetManifest });
+
+        const [chunk] = loadExistingChunks(issue.id, issue.name);
+        assert.strictEqual(chunk.status, CHUNK_STATUS.FAILED);
+        assert.deepStrictEqual(planMissingChunks(issue, '2026-01-10', '2026-01-20').map(task => task.range), [{ start: '2026-01-01', end: '2026-01-31' }]);
+
+        const { events, unreadable } = await loadChunksInDateRange(issue.id, issue.name, '2026-01-01', '2026-01-31');
+        assert.deepStrictEqual(events, []);
+        assert.strictEqual(unreadable.length, 1);
+
+        const warnings = findAllIncompleteChunks('2026-01-01', '2026-01-31', unreadable)
+            .filter(warning => warning.issueName === issue.name);
+        assert.deepStrictEqual(warnings.map(w => [w.start, w.end, w.status]), [['2026-01-01', '2026-01-31', 'corrupt']]);
+    });
+}
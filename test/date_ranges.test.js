@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { useTempDataDir, silenceConsole } = require('./helpers');
+
+// Plan against an empty cache rather than whatever is in data/
+useTempDataDir();
+
+const { getDateRanges, planMissingChunks } = require('../fetch_payment_data');
+const { loadIssueRegistry } = require('../src/issue_registry');
+const { resolveReportPeriod } = require('../src/report_period');
+
+function listDays(startDate, endDate) {
+    const days = [];
+    for (let day = new Date(startDate + 'T00:00:00Z'); day <= new Date(endDate + 'T00:00:00Z'); day.setUTCDate(day.getUTCDate() + 1)) {
+        days.push(day.toISOString().split('T')[0]);
+    }
+    return days;
+}
+
+function listRangeDays(ranges) {
+    return ranges.flatMap(range => listDays(range.start, range.end));
+}
+
+const PERIODS = [
+    { days: 1, options: { startDate: '2026-03-15', endDate: '2026-03-15' } },
+    { days: 31, options: { startDate: '2026-01-01', endDate: '2026-01-31' } },
+    { days: 92, options: { startDate: '2026-07-01', endDate: '2026-09-30' } },
+    { days: 31, options: { days: 31 }, today: '2026-03-01' }
+];
+
+for (const { days, options, today } of PERIODS) {
+    const period = resolveReportPeriod(options, today);
+
+    test(`a ${days}-day period (${period.startDate} to ${period.endDate}) is covered day for day`, (t) => {
+        assert.strictEqual(period.days, days);
+        const expected = listDays(period.startDate, period.endDate);
+        assert.strictEqual(expected.length, days);
+
+        const ranges = getDateRanges(new Date(period.startDate + 'T00:00:00Z'), new Date(period.endDate + 'T00:00:00Z'));
+        assert.deepStrictEqual(listRangeDays(ranges), expected);
+
+        silenceConsole(t);
+        const [issue] = loadIssueRegistry();
+        const tasks = planMissingChunks(issue, period.startDate, period.endDate);
+        assert.deepStrictEqual(listRangeDays(tasks.map(task => task.range)), expected);
+    });
+}
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { silenceConsole } = require('./helpers');
+const { getOAuthHeader, getAuthHeaders, verifyOAuthHeader, AUTH_MODES } = require('../src/gravity_forms_auth');
+const { createStubServer } = require('../gravity_forms_stub');
+
+const CREDENTIALS = { key: 'ck_test', secret: 'cs_se+cret/&x' };
+
+// Query parameters with brackets (raw and percent-encoded), a "+" that means a
+// space and a "%2B" that means a plus, as the fetcher's URLSearchParams send them
+const URL_WITH_QUERY = 'https://www.example.com/wp-json/gf/v2/entries'
+    + '?form_ids=4&paging%5Bpage_size%5D=100&paging[current_page]=2'
+    + '&search=%7B%22start_date%22%3A%222026-01-04+00%3A00%3A00%22%7D&note=a%2Bb';
+
+// Worked out independently of src/gravity_forms_auth.js, following RFC 5849 section 3.4
+const EXPECTED_HEADER = 'OAuth oauth_consumer_key="ck_test", oauth_nonce="kllo9940pd9333jh", '
+    + 'oauth_signature_method="HMAC-SHA1", oauth_timestamp="1191242096", oauth_version="1.0", '
+    + 'oauth_signature="WvkL%2FUHBpg3jIf9vB%2BWXRP4t%2Fe0%3D"';
+
+test('signs a request with a fixed nonce and timestamp as RFC 5849 does', () => {
+    const header = getOAuthHeader('GET', URL_WITH_QUERY, CREDENTIALS, { nonce: 'kllo9940pd9333jh', timestamp: 1191242096 });
+    assert.strictEqual(header, EXPECTED_HEADER);
+});
+
+test('verifies the signature against the request it was made for only', () => {
+    assert.strictEqual(verifyOAuthHeader('GET', URL_WITH_QUERY, EXPECTED_HEADER, CREDENTIALS), true);
+    assert.strictEqual(verifyOAuthHeader('GET', URL_WITH_QUERY.replace('a%2Bb', 'a+b'), EXPECTED_HEADER, CREDENTIALS), false);
+    assert.strictEqual(verifyOAuthHeader('GET', URL_WITH_QUERY.replace('current_page]=2', 'current_page]=3'), EXPECTED_HEADER, CREDENTIALS), false);
+    assert.strictEqual(verifyOAuthHeader('POST', URL_WITH_QUERY, EXPECTED_HEADER, CREDENTIALS), false);
+    assert.strictEqual(verifyOAuthHeader('GET', URL_WITH_QUERY, EXPECTED_HEADER, { ...CREDENTIALS, secret: 'other' }), false);
+});
+
+test('the stub server accepts signed requests and rejects anything else', async (t) => {
+    silenceConsole(t);
+
+    const server = createStubServer({
+        credentials: CREDENTIALS,
+        entriesByForm: { 4: [{ id: '1', date_created: '2026-01-05 12:00:00' }, { id: '2', date_created: '2026-02-01 12:00:00' }] }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+
+    const params = new URLSearchParams({
+        'form_ids': '4',
+        'paging[page_size]': '100',
+        'paging[current_page]': '1',
+        'search': JSON.stringify({ start_date: '2026-01-04', end_date: '2026-01-06', note: 'a+b c' })
+    });
+    const url = `http://127.0.0.1:${server.address().port}/wp-json/gf/v2/entries?${params}`;
+
+    for (const mode of Object.values(AUTH_MODES)) {
+        const response = await fetch(url, { headers: getAuthHeaders('GET', url, CREDENTIALS, mode) });
+        assert.strictEqual(response.status, 200, mode);
+        assert.deepStrictEqual((await response.json()).entries.map(entry => entry.id), ['1']);
+    }
+
+    const wrongSecret = await fetch(url, { headers: getAuthHeaders('GET', url, { ...CREDENTIALS, secret: 'other' }) });
+    assert.strictEqual(wrongSecret.status, 401);
+
+    const otherUrl = url.replace('current_page%5D=1', 'current_page%5D=2');
+    const signedForOtherUrl = await fetch(otherUrl, { headers: getAuthHeaders('GET', url, CREDENTIALS) });
+    assert.strictEqual(signedForOtherUrl.status, 401);
+
+    const inUrl = await fetch(`${url}&consumer_key=${CREDENTIALS.key}`, { headers: getAuthHeaders('GET', `${url}&consumer_key=${CREDENTIALS.key}`, CREDENTIALS) });
+    assert.strictEqual(inUrl.status, 401);
+});
@@ -0,0 +1,29 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { CHUNK_DAYS, parseEntryDate, toRanges, scrubEntry, getCachedFields } = require('../src/gravity_forms_cache');
+const { loadFormConfig } = require('../src/gravity_forms_config');
+
+test('entry dates are read as UTC', () => {
+    assert.strictEqual(parseEntryDate('2026-01-05 23:30:00').toISOString(), '2026-01-05T23:30:00.000Z');
+});
+
+test('days are grouped into consecutive runs of at most CHUNK_DAYS days', () => {
+    const days = [];
+    for (let day = 1; day <= 31; day++) days.push(`2026-01-${String(day).padStart(2, '0')}`);
+    days.push('2026-02-02', '2026-02-03');
+
+    assert.deepStrictEqual(toRanges(days), [
+        { start: '2026-01-01', end: `2026-01-${String(CHUNK_DAYS).padStart(2, '0')}` },
+        { start: `2026-01-${String(CHUNK_DAYS + 1).padStart(2, '0')}`, end: '2026-01-31' },
+        { start: '2026-02-02', end: '2026-02-03' }
+    ]);
+});
+
+test('only the entry keys and the fields the metrics read are cached', () => {
+    const form = loadFormConfig().find(f => f.key === 'applications');
+    assert.ok(['27', '120', '151'].every(field => getCachedFields(form).includes(field)));
+
+    const entry = { id: '7', form_id: '4', date_created: '2026-01-05 12:00:00', status: 'active', 27: 'NV', 1: 'Jane Doe', email: 'jane@example.com' };
+    assert.deepStrictEqual(scrubEntry(entry, form), { id: '7', form_id: '4', date_created: '2026-01-05 12:00:00', status: 'active', 27: 'NV' });
+});
@@ -0,0 +1,107 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { execFile, execFileSync } = require('child_process');
+const path = require('path');
+const { promisify } = require('util');
+const { makeTempDir, useTempDataDir, silenceConsole } = require('./helpers');
+
+const execFileAsync = promisify(execFile);
+
+useTempDataDir();
+process.env.GRAVITY_FORMS_KEY = 'ck_test';
+process.env.GRAVITY_FORMS_SECRET = 'cs_test';
+process.env.GRAVITY_FORMS_FUNNEL_SECRET = 'funnel_test';
+
+const { createStubServer } = require('../gravity_forms_stub');
+const { loadFormConfig } = require('../src/gravity_forms_config');
+
+let server;
+let gravityForms;
+
+before(async () => {
+    const entriesByForm = Object.fromEntries(loadFormConfig().map(form => [form.id, [
+        { id: `${form.id}-1`, date_created: '2026-01-05 12:00:00', [form.funnelKey || 'email']: ' Applicant@Example.com' },
+        { id: `${form.id}-2`, date_created: '2026-01-06 12:00:00' }
+    ]]));
+    server = createStubServer({ credentials: { key: 'ck_test', secret: 'cs_test' }, entriesByForm });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    // Read when the fetcher is loaded
+    process.env.GRAVITY_FORMS_URL = `http://127.0.0.1:${server.address().port}`;
+    gravityForms = require('../src/fetch_gravity_forms');
+});
+
+after(() => server.close());
+
+beforeEach((t) => silenceConsole(t));
+
+test('builds a cached period offline', async () => {
+    const fetched = await gravityForms.fetchGravityFormsData('2026-01-05', '2026-01-07');
+    assert.deepStrictEqual(gravityForms.getIncompleteForms(fetched), []);
+
+    const offline = await gravityForms.fetchGravityFormsData('2026-01-05', '2026-01-07', { offline: true });
+    assert.deepStrictEqual(gravityForms.getIncompleteForms(offline), []);
+    assert.deepStrictEqual(offline.formStatus, fetched.formStatus);
+});
+
+test('throws offline for a period with no cached day, rather than counting zero', async () => {
+    await assert.rejects(
+        gravityForms.fetchGravityFormsData('2026-02-01', '2026-02-07', { offline: true }),
+        /No Gravity Forms entries cached for 2026-02-01 to 2026-02-07/
+    );
+});
+
+test('lists the forms a partly cached period is missing days of', async () => {
+    const offline = await gravityForms.fetchGravityFormsData('2026-01-01', '2026-01-07', { offline: true });
+    const incomplete = gravityForms.getIncompleteForms(offline);
+
+    assert.strictEqual(incomplete.length, loadFormConfig().length);
+    assert.ok(incomplete.every(formStatus => formStatus.status === gravityForms.FORM_STATUS.PARTIAL && formStatus.missingDays === 4));
+});
+
+test('keeps funnel keys only as an HMAC keyed with the funnel secret', async () => {
+    const { loadFormEntries } = require('../src/gravity_forms_cache');
+    const form = loadFormConfig().find(f => f.funnelKey);
+    const { entries } = await loadFormEntries(form, '2026-01-05', '2026-01-07');
+
+    const expected = crypto.createHmac('sha256', 'funnel_test').update('applicant@example.com').digest('hex');
+    assert.deepStrictEqual(entries.map(entry => entry.funnelKey), [expected, undefined]);
+    assert.ok(entries.every(entry => entry[form.funnelKey] === undefined));
+});
+
+test('another funnel secret makes the cached chunks unusable', () => {
+    const planDays = secret => execFileSync(process.execPath, ['-e', `
+        const { planFormRanges } = require('./src/gravity_forms_cache');
+        const form = require('./src/gravity_forms_config').loadFormConfig().find(f => f.funnelKey);
+        console.log(JSON.stringify(planFormRanges(form, '2026-01-05', '2026-01-07')));
+    `], { cwd: path.join(__dirname, '..'), env: { ...process.env, GRAVITY_FORMS_FUNNEL_SECRET: secret }, encoding: 'utf8' });
+
+    assert.deepStrictEqual(JSON.parse(planDays('funnel_test')), []);
+    assert.deepStrictEqual(JSON.parse(planDays('another_secret')), [{ start: '2026-01-05', end: '2026-01-07' }]);
+});
+
+test('without a funnel secret, entries are cached without funnel keys and only the funnel is left out', async () => {
+    const script = `
+        const { fetchGravityFormsData, getIncompleteForms } = require('./src/fetch_gravity_forms');
+        const { loadFormEntries } = require('./src/gravity_forms_cache');
+        const form = require('./src/gravity_forms_config').loadFormConfig().find(f => f.funnelKey);
+        (async () => {
+            const data = await fetchGravityFormsData('2026-01-05', '2026-01-07');
+            const { entries } = await loadFormEntries(form, '2026-01-05', '2026-01-07');
+            console.log(JSON.stringify({ funnel: data.funnel, incomplete: getIncompleteForms(data), entries }));
+        })();
+    `;
+    const { stdout } = await execFileAsync(process.execPath, ['-e', script], {
+        cwd: path.join(__dirname, '..'),
+        env: { ...process.env, GRAVITY_FORMS_FUNNEL_SECRET: '', REPORT_DATA_DIR: makeTempDir() }
+    });
+
+    const result = JSON.parse(stdout.trim().split('\n').pop());
+    assert.strictEqual(result.funnel, undefined);
+    assert.deepStrictEqual(result.incomplete, []);
+    assert.strictEqual(result.entries.length, 2);
+    const { funnelKey } = loadFormConfig().find(f => f.funnelKey);
+    assert.ok(result.entries.every(entry => entry.funnelKey === undefined && entry[funnelKey] === undefined));
+    assert.strictEqual(stdout.split('GRAVITY_FORMS_FUNNEL_SECRET is not set').length - 1, 1);
+});
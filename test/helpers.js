@@ -0,0 +1,40 @@
+/**
+ * Shared test setup
+ */
+
+const { after } = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Create a temporary directory that is removed once the test file has run
+ */
+function makeTempDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-test-'));
+    after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/**
+ * Point REPORT_DATA_DIR at a fresh temporary directory, so tests never read or
+ * write data/. Call it before requiring anything that reads the data directory.
+ */
+function useTempDataDir() {
+    const dataDir = makeTempDir();
+    process.env.REPORT_DATA_DIR = dataDir;
+    return dataDir;
+}
+
+/**
+ * Hide the progress lines the code under test prints
+ */
+function silenceConsole(t) {
+    t.mock.method(console, 'log', () => {});
+}
+
+module.exports = {
+    makeTempDir,
+    useTempDataDir,
+    silenceConsole
+};
@@ -0,0 +1,61 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { useTempDataDir, silenceConsole } = require('./helpers');
+
+useTempDataDir();
+
+const { CHUNK_STATUS, saveChunk, planMissingChunks, getChunkDir } = require('../fetch_payment_data');
+const { loadIssueRegistry } = require('../src/issue_registry');
+
+const [issue] = loadIssueRegistry();
+
+// Fetched well after any range used here ended, so nothing is stale
+const FETCH_DATE = '2026-10-01T00:00:00.000Z';
+
+function cache(start, end, meta = {}) {
+    saveChunk(issue.id, issue.name, start, end, [], { schemaVersion: issue.schema.version, fetchDate: FETCH_DATE, ...meta });
+}
+
+function plan(startDate, endDate) {
+    return planMissingChunks(issue, startDate, endDate).map(task => `${task.range.start}_to_${task.range.end}`);
+}
+
+beforeEach((t) => {
+    fs.rmSync(getChunkDir(issue.id, issue.name), { recursive: true, force: true });
+    silenceConsole(t);
+});
+
+test('compacted month chunks cover any period inside them', () => {
+    cache('2026-01-01', '2026-01-31');
+    cache('2026-02-01', '2026-02-28');
+
+    assert.deepStrictEqual(plan('2026-01-10', '2026-02-08'), []);
+});
+
+test('migrated week chunks cover a month between them', () => {
+    for (let day = 1; day <= 29; day += 7) {
+        const start = `2026-03-${String(day).padStart(2, '0')}`;
+        const end = `2026-03-${String(Math.min(day + 6, 31)).padStart(2, '0')}`;
+        cache(start, end);
+    }
+
+    assert.deepStrictEqual(plan('2026-03-01', '2026-03-31'), []);
+});
+
+test('only the days no chunk covers are fetched', () => {
+    cache('2026-04-01', '2026-04-10');
+    cache('2026-04-21', '2026-04-30');
+
+    assert.deepStrictEqual(plan('2026-04-01', '2026-05-05'), ['2026-04-11_to_2026-04-20', '2026-05-01_to_2026-05-05']);
+});
+
+test('an incomplete chunk is fetched again over its own range', () => {
+    cache('2026-05-01', '2026-05-31');
+    cache('2026-06-01', '2026-06-30', { fetchStatus: CHUNK_STATUS.PARTIAL, lastCursor: 'abc' });
+
+    const tasks = planMissingChunks(issue, '2026-05-15', '2026-06-15');
+    assert.deepStrictEqual(tasks.map(task => task.range), [{ start: '2026-06-01', end: '2026-06-30' }]);
+    assert.strictEqual(tasks[0].existing.lastCursor, 'abc');
+    assert.strictEqual(tasks[0].forced, false);
+});
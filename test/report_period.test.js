@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { resolveReportPeriod } = require('../src/report_period');
+
+// A Wednesday
+const TODAY = '2026-04-15';
+
+test('last-week is the previous Sunday to Saturday', () => {
+    const period = resolveReportPeriod({ period: 'last-week' }, TODAY);
+    assert.deepStrictEqual(period, { startDate: '2026-04-05', endDate: '2026-04-11', days: 7, label: 'Week of Apr 5, 2026' });
+});
+
+test('last-month is the whole previous calendar month', () => {
+    const period = resolveReportPeriod({ period: 'last-month' }, '2026-03-01');
+    assert.deepStrictEqual(period, { startDate: '2026-02-01', endDate: '2026-02-28', days: 28, label: 'February 2026' });
+});
+
+test('quarter is the last full calendar quarter, across a year end', () => {
+    const period = resolveReportPeriod({ period: 'quarter' }, '2026-01-10');
+    assert.deepStrictEqual(period, { startDate: '2025-10-01', endDate: '2025-12-31', days: 92, label: 'Q4 2025' });
+});
+
+test('days counts the full days before today', () => {
+    const period = resolveReportPeriod({ days: 7 }, TODAY);
+    assert.deepStrictEqual(period, { startDate: '2026-04-08', endDate: '2026-04-14', days: 7, label: 'Last 7 Days' });
+});
+
+test('explicit dates are kept as given, both included', () => {
+    const period = resolveReportPeriod({ startDate: '2026-03-15', endDate: '2026-03-15' }, TODAY);
+    assert.deepStrictEqual(period, { startDate: '2026-03-15', endDate: '2026-03-15', days: 1, label: 'Mar 15, 2026 to Mar 15, 2026' });
+});
+
+test('conflicting or invalid options are rejected', () => {
+    assert.throws(() => resolveReportPeriod({ period: 'last-week', days: 7 }, TODAY), /only one of/);
+    assert.throws(() => resolveReportPeriod({ startDate: '2026-03-01' }, TODAY), /must be given together/);
+    assert.throws(() => resolveReportPeriod({ startDate: '2026-02-30', endDate: '2026-03-01' }, TODAY), /Invalid date "2026-02-30"/);
+    assert.throws(() => resolveReportPeriod({ startDate: '2026-03-02', endDate: '2026-03-01' }, TODAY), /is after/);
+    assert.throws(() => resolveReportPeriod({ period: 'fortnight' }, TODAY), /Unknown period/);
+});
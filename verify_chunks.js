@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { loadIssueRegistry, getIssue } = require('./src/issue_registry');
+const {
+    getChunkDir,
+    hashFile,
+    readManifest,
+    updateManifest,
+    getManifestEntry,
+    listChunkFiles,
+    readChunkHeader,
+    iterateChunkEvents
+} = require('./src/chunk_store');
+const { DATA_DIR } = require('./src/data_dir');
+
+// Checks every chunk file against its issue's manifest.json:
+//   corrupt     - unreadable, or its SHA-256 no longer matches the manifest
+//   miscounted  - event count differs from the header or manifest totalEvents
+//   missing     - listed in the manifest but the file is gone
+//   overlapping - its range overlaps another chunk (see compact_chunks.js)
+//   untracked   - readable, but not in the manifest (written before manifests existed)
+//   leftover    - a *.tmp file from a write that never finished
+//
+// --quarantine moves corrupt/miscounted chunks and leftovers to data/quarantine/
+// (so the next fetch re-fetches those ranges) and drops missing entries.
+// --adopt adds readable untracked chunks to the manifest.
+
+const QUARANTINE_DIR = path.join(DATA_DIR, 'quarantine');
+
+async function countEvents(chunkPath) {
+    let count = 0;
+    // Streamed so large NDJSON chunks aren't held in memory just to be counted
+    for await (const _event of iterateChunkEvents(chunkPath)) {
+        count++;
+    }
+    return count;
+}
+
+async function verifyIssue(issue) {
+    const chunkDir = getChunkDir(issue.id, issue.name);
+    const problems = [];
+    const untracked = [];
+
+    if (!fs.existsSync(chunkDir)) {
+        return { chunkDir, checked: 0, problems, untracked };
+    }
+
+    let manifest;
+    try {
+        manifest = readManifest(chunkDir);
+    } catch (error) {
+        problems.push({ type: 'corrupt', filename: 'manifest.json', detail: error.message });
+        manifest = { chunks: {} };
+    }
+
+    const chunks = listChunkFiles(chunkDir);
+
+    for (const chunk of chunks) {
+        const entry = manifest.chunks[chunk.filename];
+
+        let header;
+        let actualEvents;
+        try {
+            header = readChunkHeader(chunk.path);
+            actualEvents = await countEvents(chunk.path);
+        } catch (error) {
+            problems.push({ type: 'corrupt', filename: chunk.filename, path: chunk.path, detail: error.message });
+            continue;
+        }
+
+        if (entry && entry.sha256 !== hashFile(chunk.path)) {
+            problems.push({ type: 'corrupt', filename: chunk.filename, path: chunk.path, detail: 'checksum does not match manifest' });
+            continue;
+        }
+
+        if (header.totalEvents !== actualEvents) {
+            problems.push({ type: 'miscounted', filename: chunk.filename, path: chunk.path, detail: `header says ${header.totalEvents} events, file has ${actualEvents}` });
+            continue;
+        }
+
+        if (entry && entry.totalEvents !== actualEvents) {
+            problems.push({ type: 'miscounted', filename: chunk.filename, path: chunk.path, detail: `manifest says ${entry.totalEvents} events, file has ${actualEvents}` });
+            continue;
+        }
+
+        if (!entry) {
+            untracked.push({ filename: chunk.filename, path: chunk.path, header });
+        }
+    }
+
+    const filenames = new Set(chunks.map(c => c.filename));
+    for (const filename of Object.keys(manifest.chunks)) {
+        if (!filenames.has(filename)) {
+            problems.push({ type: 'missing', filename, detail: 'listed in manifest but not on disk' });
+        }
+    }
+
+    for (let i = 1; i < chunks.length; i++) {
+        const previous = chunks.slice(0, i).find(c => chunks[i].start <= c.end);
+        if (previous) {
+            problems.push({ type: 'overlapping', filename: chunks[i].filename, detail: `overlaps ${previous.filename}` });
+        }
+    }
+
+    for (const filename of fs.readdirSync(chunkDir).filter(f => f.endsWith('.tmp'))) {
+        problems.push({ type: 'leftover', filename, path: path.join(chunkDir, filename), detail: 'unfinished write' });
+    }
+
+    return { chunkDir, checked: chunks.length, problems, untracked };
+}
+
+function quarantine(chunkDir, problems) {
+    const targetDir = path.join(QUARANTINE_DIR, path.basename(chunkDir));
+    const manifestUpdates = {};
+    let moved = 0;
+
+    for (const problem of problems) {
+        if (problem.type === 'missing') {
+            manifestUpdates[problem.filename] = null;
+        } else if (['corrupt', 'miscounted', 'leftover'].includes(problem.type) && problem.path) {
+            fs.mkdirSync(targetDir, { recursive: true });
+            fs.renameSync(problem.path, path.join(targetDir, problem.filename));
+            manifestUpdates[problem.filename] = null;
+            moved++;
+        }
+    }
+
+    if (Object.keys(manifestUpdates).length > 0) {
+        updateManifest(chunkDir, manifestUpdates);
+    }
+
+    return moved;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+
+    let specificIssue = null;
+    let shouldQuarantine = false;
+    let adopt = false;
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--issue' && args[i + 1]) {
+            specificIssue = args[i + 1];
+            i++;
+        } else if (args[i] === '--quarantine') {
+            shouldQuarantine = true;
+        } else if (args[i] === '--adopt') {
+            adopt = true;
+        }
+    }
+
+    let issues = loadIssueRegistry();
+    if (specificIssue) {
+        const issue = getIssue(specificIssue);
+        if (!issue) {
+            console.error(`Error: unknown issue "${specificIssue}" (see config/sentry_issues.json)`);
+            process.exit(1);
+        }
+        issues = [issue];
+    }
+
+    console.log('\n' + '='.repeat(60));
+    console.log('Chunk Verification');
+    console.log('='.repeat(60));
+
+    let totalProblems = 0;
+    let totalUntracked = 0;
+    let totalQuarantined = 0;
+
+    for (const issue of issues) {
+        const { chunkDir, checked, problems, untracked } = await verifyIssue(issue);
+
+        console.log(`\n${issue.name}: ${checked} chunk(s) checked`);
+        problems.forEach(p => console.log(`  ✗ ${p.type}: ${p.filename} - ${p.detail}`));
+
+        if (untracked.length > 0) {
+            console.log(`  ⚠ ${untracked.length} chunk(s) not in manifest${adopt ? '' : ' (use --adopt to add them)'}`);
+            if (adopt) {
+                updateManifest(chunkDir, Object.fromEntries(
+                    untracked.map(u => [u.filename, getManifestEntry(u.path, u.header)])
+                ));
+                console.log(`  ✓ Added ${untracked.length} chunk(s) to manifest`);
+            }
+        }
+
+        if (problems.length === 0 && untracked.length === 0) {
+            console.log('  ✓ All chunks verified');
+        }
+
+        if (shouldQuarantine && problems.length > 0) {
+            totalQuarantined += quarantine(chunkDir, problems);
+        }
+
+        totalProblems += problems.length;
+        totalUntracked += adopt ? 0 : untracked.length;
+    }
+
+    console.log('\n' + '='.repeat(60));
+    if (totalProblems === 0) {
+        console.log(`✓ No problems found${totalUntracked > 0 ? ` (${totalUntracked} untracked chunk(s))` : ''}`);
+    } else if (shouldQuarantine) {
+        console.log(`⚠ ${totalProblems} problem(s); moved ${totalQuarantined} file(s) to ${QUARANTINE_DIR}`);
+        console.log('  Re-run the fetch to replace quarantined ranges; overlaps are fixed by `npm run compact`');
+    } else {
+        console.log(`⚠ ${totalProblems} problem(s). To quarantine corrupt/miscounted chunks, run:`);
+        console.log(`  node verify_chunks.js${specificIssue ? ` --issue ${specificIssue}` : ''} --quarantine`);
+        process.exitCode = 1;
+    }
+    console.log('='.repeat(60));
+}
+
+if (require.main === module) {
+    main().catch(console.error);
+}
+
+module.exports = { verifyIssue };